@@ -1,3 +1,6 @@
+// global object of any environment, not known to this version of flow
+declare var globalThis: Object;
+
 declare type CompilerOptions = {
   warn?: Function; // allow customizing warning in different environments; e.g. node
   modules?: Array<ModuleOptions>; // platform specific modules; e.g. style; class
@@ -9,6 +12,7 @@ declare type CompilerOptions = {
   preserveWhitespace?: boolean; // preserve whitespace between elements? (Deprecated)
   whitespace?: 'preserve' | 'condense'; // whitespace handling strategy
   optimize?: boolean; // optimize static content?
+  patchFlags?: boolean; // mark dynamic parts of elements to skip static work when patching
 
   // web specific
   mustUseProp?: (tag: string, type: ?string, name: string) => boolean; // check if an attribute should be bound as a property
@@ -20,6 +24,12 @@ declare type CompilerOptions = {
   shouldDecodeNewlines?:  boolean;
   shouldDecodeNewlinesForHref?: boolean;
   outputSourceRange?: boolean;
+  sourceMap?: boolean; // generate source maps for render functions, requires outputSourceRange
+  filename?: string; // source file name of the template used in source maps
+  mode?: 'function' | 'module'; // also generate an ES module exporting the render functions
+  runtimeModuleName?: string; // module the render helpers are imported from in module mode
+  interpret?: boolean; // evaluate render code with an interpreter instead of new Function, for CSP
+  plugins?: Array<CompilerPlugin>; // user-land AST transforms and directive codegen
 
   // runtime user-configurable
   delimiters?: [string, string]; // template delimiters
@@ -40,10 +50,21 @@ declare type CompiledResult = {
   render: string;
   staticRenderFns: Array<string>;
   stringRenderFns?: Array<string>;
+  map?: SourceMap;
+  staticMaps?: Array<SourceMap>;
+  code?: string;
   errors?: Array<string | WarningMessage>;
   tips?: Array<string | WarningMessage>;
 };
 
+declare type SourceMap = {
+  version: number;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
+};
+
 declare type ModuleOptions = {
   // transform an AST node before any attributes are processed
   // returning an ASTElement from pre/transforms replaces the element
@@ -58,6 +79,36 @@ declare type ModuleOptions = {
   staticKeys?: Array<string>; // AST properties to be considered static
 };
 
+declare type CompilerPlugin = {
+  name?: string;
+  enforce?: 'pre' | 'post'; // run before or after plugins without enforce
+  // called for every node before its children are visited
+  enter?: (node: ASTNode, context: TransformContext) => void;
+  // called for every node after its children have been visited
+  exit?: (node: ASTNode, context: TransformContext) => void;
+  directives?: { [key: string]: Function }; // compile-time directives, see compiler/directives
+};
+
+declare type TransformContext = {
+  options: CompilerOptions;
+  parent: ?ASTElement; // element the node belongs to, also for v-else branches and scoped slots
+  ancestors: Array<ASTElement>;
+  siblings: Array<ASTNode>; // children of the parent, empty when the node isn't one of them
+  index: number; // index in siblings, -1 when the node isn't one of them
+  replaceNode: (node: ASTNode) => void;
+  removeNode: () => void;
+  insertBefore: (node: ASTNode) => void;
+  insertAfter: (node: ASTNode) => void;
+  skip: () => void; // don't visit the children of the node
+  warn: (msg: string, range?: { start?: number, end?: number }) => void;
+  parse: (template: string) => Array<ASTNode>; // parse a template into processed nodes
+  // helpers of compiler/helpers to modify processed elements
+  addAttr: Function;
+  addProp: Function;
+  addDirective: Function;
+  addHandler: Function;
+};
+
 declare type ASTModifiers = { [key: string]: boolean };
 declare type ASTIfCondition = { exp: ?string; block: ASTElement };
 declare type ASTIfConditions = Array<ASTIfCondition>;
@@ -116,6 +167,10 @@ declare type ASTElement = {
   staticProcessed?: boolean;
   hasBindings?: boolean;
 
+  patchFlag?: number;
+  dynamicProps?: Array<string>;
+  blockRoot?: boolean;
+
   text?: string;
   attrs?: Array<ASTAttr>;
   dynamicAttrs?: Array<ASTAttr>;
@@ -168,6 +223,7 @@ declare type ASTElement = {
   directives?: Array<ASTDirective>;
 
   forbidden?: true;
+  fragment?: true; // <template> wrapping multiple root elements
   once?: true;
   onceProcessed?: boolean;
   wrapData?: (code: string) => string;
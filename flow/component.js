@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { ComputedInspection } from '../src/core/instance/state'
 
 declare interface Component {
   // constructor information
@@ -42,10 +43,13 @@ declare interface Component {
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
   $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
-  $on: (event: string | Array<string>, fn: Function) => Component;
-  $once: (event: string, fn: Function) => Component;
+  $inspectComputed: (name: string) => ?ComputedInspection;
+  $on: (event: string | Array<string>, fn: Function, options?: { priority?: number }) => Component;
+  $once: (event: string | Array<string>, fn: Function, options?: { priority?: number }) => Component;
+  $onScoped: (event: string | Array<string>, fn: Function, scope: Component, options?: { priority?: number }) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
   $emit: (event: string, ...args: Array<mixed>) => Component;
+  $emitCancelable: (event: string, e: any, ...args: Array<mixed>) => boolean;
   $nextTick: (fn: Function) => void | Promise<*>;
   $createElement: (tag?: string | Component, data?: Object, children?: VNodeChildren) => VNode;
 
@@ -58,6 +62,11 @@ declare interface Component {
   _renderContext: ?Component;
   _watcher: Watcher;
   _watchers: Array<Watcher>;
+  _scope: ?Object; // effect scope of setup()
+  _setupState: ?Object;
+  _setupPending: ?boolean; // async setup() not resolved yet
+  _suspense: ?Object; // state of a <suspense> boundary
+  _teleportChildren: ?Array<VNode>; // content rendered by a <teleport>
   _computedWatchers: { [key: string]: Watcher };
   _data: Object;
   _props: Object;
@@ -70,6 +79,7 @@ declare interface Component {
   _vnode: ?VNode; // self root node
   _staticTrees: ?Array<VNode>; // v-once cached trees
   _hasHookEvent: boolean;
+  _hasWildcardEvent: boolean;
   _provided: ?Object;
   // _virtualComponents?: { [key: string]: Component };
 
@@ -132,6 +142,12 @@ declare interface Component {
   _k: (eventKeyCode: number, key: string, builtInAlias?: number | Array<number>, eventKeyName?: string) => ?boolean;
   // resolve scoped slots
   _u: (scopedSlots: ScopedSlotsData, res?: Object) => { [key: string]: Function };
+  // open a block
+  _ob: () => void;
+  // close a block
+  _bk: (vnode: VNode, id: number, patchFlag: number, dynamicProps?: Array<string>) => VNode;
+  // track a dynamic node in the current block
+  _pf: (vnode: VNode, id: number, patchFlag: number, dynamicProps?: Array<string>) => VNode;
 
   // SSR specific
   _ssrNode: Function;
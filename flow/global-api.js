@@ -3,13 +3,17 @@ declare interface GlobalAPI {
   options: Object;
   config: Config;
   util: Object;
+  version: string;
 
   extend: (options: Object) => Function;
   set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
   delete: <T>(target: Object| Array<T>, key: string | number) => void;
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
+  setTimerFunc: (fn?: ?(flush: Function) => void) => void;
+  flushAll: () => void;
   use: (plugin: Function | Object) => GlobalAPI;
   mixin: (mixin: Object) => GlobalAPI;
+  createApp: (rootOptions?: Object) => Object;
   compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
 
   directive: (id: string, def?: Function | Object) => Function | Object | void;
@@ -17,6 +21,45 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  propTypes: {
+    oneOf: (values: Array<any>) => Object;
+    arrayOf: (type: any) => Object;
+    shape: (fields: Object) => Object;
+    instanceOf: (Ctor: Function) => Object;
+    nullable: (type: any) => Object;
+  };
+  reactive: <T: Object>(value: T) => T;
+  shallowReactive: <T: Object>(value: T) => T;
+  readonly: <T: Object>(value: T) => T;
+  shallowReadonly: <T: Object>(value: T) => T;
+  isReactive: (value: any) => boolean;
+  isShallow: (value: any) => boolean;
+  isReadonly: (value: any) => boolean;
+  toRaw: <T>(value: T) => T;
+  ref: Function;
+  isRef: (value: any) => boolean;
+  unref: Function;
+  computed: Function;
+  watch: (source: any, cb: Function, options?: Object) => () => void;
+  watchEffect: (effect: Function, options?: Object) => () => void;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
+  provide: (key: string | Symbol, value: any) => void;
+  inject: (key: string | Symbol, defaultValue?: any, treatDefaultAsFactory?: boolean) => any;
 
   // allow dynamic method registration
   [key: string]: any
@@ -12,18 +12,23 @@ declare type ComponentOptions = {
   componentId?: string;
 
   // data
+  setup?: (props: Object, ctx: Object) => Object | Function | void;
   data: Object | Function | void;
+  dataMode?: 'shallow' | 'readonly' | 'shallowReadonly';
   props?: { [key: string]: PropOptions };
   propsData?: ?Object;
   computed?: {
     [key: string]: Function | {
       get?: Function;
       set?: Function;
-      cache?: boolean
+      cache?: boolean;
+      onTrack?: Function;
+      onTrigger?: Function
     }
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  emits?: { [key: string]: ?Function };
 
   // DOM
   el?: string | Element;
@@ -45,6 +50,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: Function;
+  renderTriggered?: Function;
 
   // assets
   directives?: { [key: string]: Object };
@@ -54,6 +61,7 @@ declare type ComponentOptions = {
 
   // context
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
+  reactiveProvide?: boolean;
   inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
 
   // component v-model customization
@@ -83,7 +91,7 @@ declare type ComponentOptions = {
 };
 
 declare type PropOptions = {
-  type: Function | Array<Function> | null;
+  type: Function | Object | Array<Function | Object> | null;
   default: any;
   required: ?boolean;
   validator: ?Function;
@@ -30,6 +30,8 @@ declare type VNodeWithData = {
   componentOptions?: VNodeComponentOptions;
   componentInstance?: Component;
   isRootInsert: boolean;
+  patchFlag?: number;
+  dynamicProps?: Array<string>;
 };
 
 declare interface VNodeData {
@@ -9,6 +9,13 @@ interface CompilerOptions {
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
   outputSourceRange?: any
+  sourceMap?: boolean;
+  filename?: string;
+  patchFlags?: boolean;
+  mode?: 'function' | 'module';
+  runtimeModuleName?: string;
+  interpret?: boolean;
+  plugins?: CompilerPlugin[];
 }
 
 interface CompilerOptionsWithSourceRange extends CompilerOptions {
@@ -27,6 +34,17 @@ interface CompiledResult<ErrorType> {
   staticRenderFns: string[];
   errors: ErrorType[];
   tips: ErrorType[];
+  map?: SourceMap;
+  staticMaps?: SourceMap[];
+  code?: string;
+}
+
+interface SourceMap {
+  version: number;
+  sources: string[];
+  sourcesContent: string[];
+  names: string[];
+  mappings: string;
 }
 
 interface CompiledResultFunctions {
@@ -43,7 +61,52 @@ interface ModuleOptions {
   staticKeys?: string[];
 }
 
-type DirectiveFunction = (node: ASTElement, directiveMeta: ASTDirective) => void;
+type DirectiveFunction = (
+  node: ASTElement,
+  directiveMeta: ASTDirective,
+  warn: (msg: string) => void
+) => boolean | void;
+
+export interface CompilerPlugin {
+  name?: string;
+  enforce?: 'pre' | 'post';
+  enter?: (node: ASTNode, context: TransformContext) => void;
+  exit?: (node: ASTNode, context: TransformContext) => void;
+  directives?: Record<string, DirectiveFunction>;
+}
+
+export interface TransformContext {
+  options: CompilerOptions;
+  parent: ASTElement | undefined;
+  ancestors: ASTElement[];
+  siblings: ASTNode[];
+  index: number;
+  replaceNode(node: ASTNode): void;
+  removeNode(): void;
+  insertBefore(node: ASTNode): void;
+  insertAfter(node: ASTNode): void;
+  skip(): void;
+  warn(msg: string): void;
+  parse(template: string): ASTNode[];
+  addAttr(el: ASTElement, name: string, value: any): void;
+  addProp(el: ASTElement, name: string, value: string): void;
+  addDirective(
+    el: ASTElement,
+    name: string,
+    rawName: string,
+    value: string,
+    arg?: string,
+    isDynamicArg?: boolean,
+    modifiers?: ASTModifiers
+  ): void;
+  addHandler(
+    el: ASTElement,
+    name: string,
+    value: string,
+    modifiers?: ASTModifiers,
+    important?: boolean
+  ): void;
+}
 
 /*
  * AST Types
@@ -43,6 +43,64 @@ compiled.errors.forEach(e => {
   console.log(e.msg)
 })
 
+// with sourceMap: true, source maps are generated for the render functions
+const { map, staticMaps } = compile("<div>hi</div>", {
+  outputSourceRange: true,
+  sourceMap: true,
+  filename: "App.vue"
+});
+if (map && staticMaps) {
+  map.mappings.split(";");
+  staticMaps.forEach(m => m.sources);
+}
+
+// with patchFlags: true, dynamic parts of elements are marked for the patcher
+compile("<div :class=\"cls\">{{ msg }}</div>", {
+  patchFlags: true
+});
+
+// with mode: 'module', the code of an ES module is generated as well
+const { code } = compile("<div>{{ msg }}</div>", {
+  mode: "module",
+  runtimeModuleName: "vue"
+});
+if (code) {
+  code.trim();
+}
+
+// with interpret: true, expressions are checked without new Function
+compile("<div>{{ msg }}</div>", {
+  interpret: true
+});
+
+// with plugins, the AST is transformed before it is optimized
+compile("<div><icon name=\"home\"></icon></div>", {
+  plugins: [
+    {
+      name: "icons",
+      enforce: "pre",
+      enter(node, context) {
+        if (node.type === 1 && node.tag === "icon") {
+          context.replaceNode(context.parse(`<i class="icon-${node.attrsMap.name}"></i>`)[0]);
+        } else if (node.type === 1 && context.parent) {
+          context.addAttr(node, "data-index", String(context.index));
+        }
+      },
+      exit(node, context) {
+        if (node.type === 3 && !node.text.trim()) {
+          context.removeNode();
+        }
+      },
+      directives: {
+        upper: (el, dir, warn) => {
+          if (!dir.value) warn("v-upper expects a value");
+          return true;
+        }
+      }
+    }
+  ]
+});
+
 // without option or without outputSourceRange: true, should be strings
 const { errors } = compile(`foo`)
 errors.forEach(e => {
@@ -6,6 +6,8 @@ import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import { emptySlotScopeToken } from '../parser/index'
+import { genSourceMarker, extractSourceMap } from './source-map'
+import { genModule } from './module'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
 type DataGenFunction = (el: ASTElement) => string;
@@ -19,8 +21,10 @@ export class CodegenState {
   directives: { [key: string]: DirectiveFunction };
   maybeComponent: (el: ASTElement) => boolean;
   onceId: number;
+  patchId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  sourceMap: boolean;
 
   constructor (options: CompilerOptions) {
     this.options = options
@@ -31,27 +35,65 @@ export class CodegenState {
     const isReservedTag = options.isReservedTag || no
     this.maybeComponent = (el: ASTElement) => !!el.component || !isReservedTag(el.tag)
     this.onceId = 0
+    this.patchId = 0
     this.staticRenderFns = []
     this.pre = false
+    this.sourceMap = false
   }
 }
 
 export type CodegenResult = {
   render: string,
-  staticRenderFns: Array<string>
+  staticRenderFns: Array<string>,
+  map?: SourceMap,
+  staticMaps?: Array<SourceMap>,
+  code?: string
 };
 
+/**
+ * Generate render function code from the AST. With the `sourceMap`
+ * option (which requires `outputSourceRange`), a source map is also
+ * generated for the render function and each static render function,
+ * mapping their code back to `source`, the template that was parsed.
+ * With `mode: 'module'`, the code of an ES module exporting the render
+ * functions is generated as well.
+ */
 export function generate (
   ast: ASTElement | void,
-  options: CompilerOptions
+  options: CompilerOptions,
+  source?: string
 ): CodegenResult {
   const state = new CodegenState(options)
+  state.sourceMap = !!(options.sourceMap && options.outputSourceRange && source != null)
   // 优化后的AST节点如果存在，则创建VNode，否则创建空内容的元素型div的VNode
   const code = ast ? genElement(ast, state) : '_c("div")'
-  return {
-    render: `with(this){return ${code}}`,
-    staticRenderFns: state.staticRenderFns
+  const render = `with(this){return ${code}}`
+  let res: CodegenResult
+  if (state.sourceMap && source != null) {
+    const filename = options.filename || 'template.html'
+    const result = extractSourceMap(render, source, filename)
+    const statics = state.staticRenderFns.map(code => extractSourceMap(code, (source: any), filename))
+    res = {
+      render: result.code,
+      staticRenderFns: statics.map(res => res.code),
+      map: result.map,
+      staticMaps: statics.map(res => res.map)
+    }
+  } else {
+    res = {
+      render,
+      staticRenderFns: state.staticRenderFns
+    }
   }
+  if (options.mode === 'module') {
+    res.code = genModule(res.render, res.staticRenderFns, options)
+  }
+  return res
+}
+
+// 在节点代码前插入其在模板中的位置标记，用于生成source map
+function genMarker (node: ASTNode | ASTAttr, state: CodegenState): string {
+  return state.sourceMap ? genSourceMarker(node.start) : ''
 }
 
 // 创建VNode
@@ -98,8 +140,24 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
+    return genBlock(el, genMarker(el, state) + code, state)
+  }
+}
+
+// attach the patch flags marked by the optimizer: block roots open a new
+// block and collect their dynamic descendants, other dynamic elements are
+// pushed into the nearest block.
+function genBlock (el: ASTElement, code: string, state: CodegenState): string {
+  if (el.patchFlag === undefined || (!el.blockRoot && !el.patchFlag)) {
     return code
   }
+  const args = `,${state.patchId++},${el.patchFlag}${
+    el.dynamicProps ? `,${JSON.stringify(el.dynamicProps)}` : ''
+  }`
+  if (el.blockRoot) {
+    return `(_ob(),_bk(${code}${args}))`
+  }
+  return `_pf(${code}${args})`
 }
 
 // hoist static sub-trees out
@@ -170,8 +228,9 @@ function genIfConditions (
   }
 
   const condition = conditions.shift()
+  const marker = genMarker(condition.block, state)
   if (condition.exp) {
-    return `(${condition.exp})?${
+    return `${marker}(${condition.exp})?${
       genTernaryExp(condition.block)
     }:${
       genIfConditions(conditions, state, altGen, altEmpty)
@@ -217,7 +276,7 @@ export function genFor (
   }
 
   el.forProcessed = true // avoid recursion
-  return `${altHelper || '_l'}((${exp}),` +
+  return `${genMarker(el, state)}${altHelper || '_l'}((${exp}),` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
     '})'
@@ -257,11 +316,11 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // attributes
   if (el.attrs) {
-    data += `attrs:${genProps(el.attrs)},`
+    data += `attrs:${genProps(el.attrs, state)},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:${genProps(el.props)},`
+    data += `domProps:${genProps(el.props, state)},`
   }
   // event handlers
   if (el.events) { // 如果是自定义事件
@@ -301,7 +360,7 @@ export function genData (el: ASTElement, state: CodegenState): string {
   // v-bind with dynamic arguments must be applied using the same v-bind object
   // merge helper so that class/style/mustUseProp attrs are handled correctly.
   if (el.dynamicAttrs) {
-    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs)})`
+    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs, state)})`
   }
   // v-bind data wrap
   if (el.wrapData) {
@@ -549,7 +608,7 @@ function genNode (node: ASTNode, state: CodegenState): string {
   } else if (node.type === 3 && node.isComment) {
     return genComment(node)
   } else {
-    return genText(node) // 获取元素节点后，获取元素节点的中的文本节点，并生成文本VNode
+    return genMarker(node, state) + genText(node) // 获取元素节点后，获取元素节点的中的文本节点，并生成文本VNode
   }
 }
 
@@ -603,14 +662,14 @@ function genComponent (
   })`
 }
 
-function genProps (props: Array<ASTAttr>): string {
+function genProps (props: Array<ASTAttr>, state?: CodegenState): string {
   let staticProps = ``
   let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    const value = __WEEX__
+    const value = (state ? genMarker(prop, state) : '') + (__WEEX__
       ? generateValue(prop.value)
-      : transformSpecialNewlines(prop.value)
+      : transformSpecialNewlines(prop.value))
     if (prop.dynamic) {
       dynamicProps += `${prop.name},${value},`
     } else {
@@ -0,0 +1,83 @@
+/* @flow */
+
+import { prefixIdentifiers } from './prefix-identifiers'
+
+/**
+ * Render helpers that can be imported from the runtime by compiled
+ * modules, mapped to the name they are exported as. Helpers marked with
+ * `ctx` need the render context, which is passed as their first argument.
+ * The runtime exports live in core/instance/render-helpers/exports.js.
+ */
+export const moduleHelpers: { [name: string]: { name: string, ctx: boolean } } = {
+  _c: { name: 'createElement', ctx: true },
+  _o: { name: 'markOnce', ctx: false },
+  _n: { name: 'toNumber', ctx: false },
+  _s: { name: 'toDisplayString', ctx: false },
+  _l: { name: 'renderList', ctx: false },
+  _t: { name: 'renderSlot', ctx: true },
+  _q: { name: 'looseEqual', ctx: false },
+  _i: { name: 'looseIndexOf', ctx: false },
+  _m: { name: 'renderStatic', ctx: true },
+  _f: { name: 'resolveFilter', ctx: true },
+  _k: { name: 'checkKeyCodes', ctx: true },
+  _b: { name: 'bindObjectProps', ctx: true },
+  _v: { name: 'createTextVNode', ctx: false },
+  _e: { name: 'createEmptyVNode', ctx: false },
+  _u: { name: 'resolveScopedSlots', ctx: false },
+  _g: { name: 'bindObjectListeners', ctx: true },
+  _d: { name: 'bindDynamicKeys', ctx: true },
+  _p: { name: 'prependModifier', ctx: false },
+  _ob: { name: 'openBlock', ctx: false },
+  _bk: { name: 'closeBlock', ctx: true },
+  _pf: { name: 'trackDynamicNode', ctx: true }
+}
+
+const prefixHelpers = {}
+Object.keys(moduleHelpers).forEach(key => {
+  prefixHelpers[key] = moduleHelpers[key].ctx
+})
+
+const withRE = /^with\(this\)\{return ([\s\S]*)\}$/
+
+/**
+ * Generate an ES module from the code of a render function and its
+ * static render functions:
+ *
+ * import { createElement as _c, toDisplayString as _s, ... } from "vue"
+ * export const staticRenderFns = [...]
+ * export function render (_ctx) {
+ *   return _c(_ctx,'div',[_v(_s(_ctx.msg))])
+ * }
+ * render._withContext = true
+ *
+ * Render functions receive the render context as argument instead of
+ * being called with it as `this`, so the code does not need `with` and
+ * is valid in strict mode. `_withContext` tells the runtime to do so.
+ */
+export function genModule (
+  render: string,
+  staticRenderFns: Array<string>,
+  options: CompilerOptions
+): string {
+  const used = {}
+  const genFunction = (code: string, name: string = ''): string => {
+    const match = code.match(withRE)
+    const body = prefixIdentifiers(match ? match[1] : code, prefixHelpers, used)
+    return `function ${name ? `${name} ` : ''}(_ctx) {\n  return ${body}\n}`
+  }
+  const statics = staticRenderFns.map(code => genFunction(code))
+  const renderCode = genFunction(render, 'render')
+
+  // 只导入实际使用到的helper，以便打包工具进行tree-shaking
+  const imports = Object.keys(moduleHelpers)
+    .filter(key => used[key])
+    .map(key => `${moduleHelpers[key].name} as ${key}`)
+  const runtime = JSON.stringify(options.runtimeModuleName || 'vue')
+
+  return (
+    (imports.length ? `import { ${imports.join(', ')} } from ${runtime}\n\n` : '') +
+    `export const staticRenderFns = [${statics.join(',')}]\n\n` +
+    `export ${renderCode}\n` +
+    `render._withContext = true\n`
+  )
+}
@@ -0,0 +1,259 @@
+/* @flow */
+
+import { makeMap, hasOwn } from 'shared/util'
+import { tokenize, matchBrackets, openers } from '../tokenizer'
+
+/**
+ * Rewrite generated render code so that it no longer relies on `with`:
+ * every free identifier is read from the render context, e.g. `msg`
+ * becomes `_ctx.msg`, while locals (v-for aliases, slot scope, handler
+ * arguments, declared variables), allowed globals and keywords are left
+ * untouched. Render helpers (`_c`, `_v`...) are reported to the caller,
+ * which imports them instead; helpers that need the context receive it
+ * as their first argument: `_c('div')` becomes `_c(_ctx,'div')`.
+ *
+ * The code is tokenized rather than parsed into a full AST: generated
+ * code and template expressions only use a limited set of syntax.
+ */
+
+type Scope = Array<{ [key: string]: true }>;
+
+export type PrefixHelpers = { [name: string]: boolean };
+
+// same as the globals allowed in render proxies (core/instance/proxy.js)
+const isAllowedGlobal = makeMap(
+  'Infinity,undefined,NaN,isFinite,isNaN,' +
+  'parseFloat,parseInt,decodeURI,decodeURIComponent,encodeURI,encodeURIComponent,' +
+  'Math,Number,Date,Array,Object,Boolean,String,RegExp,Map,Set,JSON,Intl,' +
+  'require,arguments'
+)
+
+const isKeyword = makeMap(
+  'break,case,catch,class,const,continue,debugger,default,delete,do,else,' +
+  'export,extends,false,finally,for,function,if,import,in,instanceof,let,' +
+  'new,null,of,return,super,switch,throw,true,try,typeof,var,void,while,' +
+  'with,yield,async,await'
+)
+
+// keywords after which a brace starts a block
+const isBlockPrefixKeyword = makeMap('else,try,finally,do')
+
+export function prefixIdentifiers (
+  code: string,
+  helpers: PrefixHelpers,
+  usedHelpers: { [name: string]: boolean }
+): string {
+  const tokens = tokenize(code)
+  const match = matchBrackets(tokens)
+
+  const is = (i: number, value: string): boolean => {
+    const token = tokens[i]
+    return !!token && (token.type === 'name' || token.type === 'punc') && token.value === value
+  }
+  const closeOf = (i: number): number => {
+    return match[i] == null ? tokens.length : match[i]
+  }
+  const isLocal = (scope: Scope, name: string): boolean => {
+    return scope.some(names => names[name] === true)
+  }
+  const newScope = (scope: Scope, names: { [key: string]: true }): Scope => {
+    return scope.concat([names])
+  }
+
+  // find the end of an expression starting at i: the next comma or
+  // semicolon on the same level, or the end of the enclosing brackets
+  function expressionEnd (i: number, end: number): number {
+    while (i < end) {
+      const token = tokens[i]
+      if (token.type === 'punc') {
+        if (token.value === ',' || token.value === ';') return i
+        if (hasOwn(openers, token.value)) {
+          i = closeOf(i) + 1
+          continue
+        }
+        if (token.value === ')' || token.value === ']' || token.value === '}') return i
+      }
+      i++
+    }
+    return end
+  }
+
+  function rewriteName (i: number, scope: Scope) {
+    const token = tokens[i]
+    const name = token.value
+    if (name === 'this') {
+      // 渲染函数调用时没有接收者，模板中的this即渲染上下文，
+      // 非箭头函数内的this保持不变
+      if (!isLocal(scope, name)) token.out = '_ctx'
+      return
+    }
+    if (isKeyword(name) || isAllowedGlobal(name) || isLocal(scope, name)) {
+      return
+    }
+    if (hasOwn(helpers, name)) {
+      usedHelpers[name] = true
+      // 需要渲染上下文的helper，将_ctx作为第一个参数传入
+      if (helpers[name] && is(i + 1, '(')) {
+        tokens[i + 1].out = is(i + 2, ')') ? '(_ctx' : '(_ctx,'
+      }
+      return
+    }
+    token.out = `_ctx.${name}`
+  }
+
+  // declare the names bound by a list of (possibly destructured)
+  // bindings, e.g. function parameters, walking their default values
+  function bindPattern (i: number, end: number, names: Object, scope: Scope) {
+    while (i < end) {
+      if (tokens[i].type === 'name') {
+        names[tokens[i].value] = true
+        i++
+      } else if (is(i, '{')) {
+        bindObjectPattern(i + 1, closeOf(i), names, scope)
+        i = closeOf(i) + 1
+      } else if (is(i, '[')) {
+        bindPattern(i + 1, closeOf(i), names, scope)
+        i = closeOf(i) + 1
+      } else if (is(i, '=')) {
+        const valueEnd = expressionEnd(i + 1, end)
+        walk(i + 1, valueEnd, scope, 'expression')
+        i = valueEnd
+      } else {
+        i++
+      }
+    }
+  }
+
+  function bindObjectPattern (i: number, end: number, names: Object, scope: Scope) {
+    while (i < end) {
+      if (is(i, '[')) {
+        // computed key
+        walk(i + 1, closeOf(i), scope, 'expression')
+        i = closeOf(i) + 2
+      } else if (tokens[i].type !== 'punc' && is(i + 1, ':')) {
+        i += 2
+      }
+      const elementEnd = expressionEnd(i, end)
+      bindPattern(i, elementEnd, names, scope)
+      i = elementEnd + 1
+    }
+  }
+
+  // bind a declarator of var/let/const and walk its initializer
+  function bindDeclarator (i: number, end: number, scope: Scope): number {
+    const declaratorEnd = expressionEnd(i, end)
+    bindPattern(i, declaratorEnd, scope[scope.length - 1], scope)
+    return declaratorEnd
+  }
+
+  // walk a function whose parameter list starts at the given paren,
+  // functions other than catch clauses have their own `this`
+  function walkFunction (paren: number, scope: Scope, bindsThis: boolean = true): number {
+    const names = bindsThis ? { this: true } : {}
+    bindPattern(paren + 1, closeOf(paren), names, scope)
+    return walkBlock(closeOf(paren) + 1, newScope(scope, names))
+  }
+
+  function walkArrow (arrow: number, names: Object, scope: Scope): number {
+    const bodyScope = newScope(scope, names)
+    if (is(arrow + 1, '{')) {
+      return walkBlock(arrow + 1, bodyScope)
+    }
+    const end = expressionEnd(arrow + 1, tokens.length)
+    walk(arrow + 1, end, bodyScope, 'expression')
+    return end
+  }
+
+  function walkBlock (open: number, scope: Scope): number {
+    const close = closeOf(open)
+    walk(open + 1, close, newScope(scope, {}), 'block')
+    return close + 1
+  }
+
+  // a brace inside a block starts a nested block at the start of a
+  // statement, anywhere else it starts an object literal
+  function isBlockStart (i: number, start: number): boolean {
+    const prev = tokens[i - 1]
+    return i === start ||
+      is(i - 1, ')') ||
+      is(i - 1, ';') ||
+      is(i - 1, '{') ||
+      is(i - 1, '}') ||
+      (prev.type === 'name' && !!isBlockPrefixKeyword(prev.value))
+  }
+
+  function walk (start: number, end: number, scope: Scope, kind: 'block' | 'object' | 'expression') {
+    // 当前是否处于 var/let/const 声明中，用于处理以逗号分隔的多个声明
+    let declaring = false
+    let i = start
+    while (i < end) {
+      const token = tokens[i]
+      if (token.type === 'name' && !is(i - 1, '.') && !is(i - 1, '?.')) {
+        const name = token.value
+        if (name === 'with' && is(i + 1, '(') && is(i + 2, 'this') && is(i + 3, ')') && is(i + 4, '{')) {
+          // nested render functions, e.g. of inline templates
+          token.out = tokens[i + 1].out = tokens[i + 2].out = tokens[i + 3].out = ''
+          tokens[i + 4].out = '{var _ctx=this;'
+          i = walkBlock(i + 4, scope)
+        } else if (name === 'function') {
+          i = walkFunction(is(i + 1, '(') ? i + 1 : i + 2, scope)
+        } else if (name === 'catch' && is(i + 1, '(')) {
+          i = walkFunction(i + 1, scope, false)
+        } else if (name === 'var' || name === 'let' || name === 'const') {
+          declaring = true
+          i = bindDeclarator(i + 1, end, scope)
+        } else if (is(i + 1, '=>')) {
+          i = walkArrow(i + 1, { [name]: true }, scope)
+        } else if (kind === 'object' && (is(i - 1, '{') || is(i - 1, ','))) {
+          if (is(i + 1, ':')) {
+            // property key
+            i += 2
+          } else if (is(i + 1, '(')) {
+            // method shorthand
+            i = walkFunction(i + 1, scope)
+          } else {
+            // property shorthand
+            rewriteName(i, scope)
+            if (token.out) token.out = `${name}:${token.out}`
+            i++
+          }
+        } else {
+          rewriteName(i, scope)
+          i++
+        }
+      } else if (is(i, '(') && is(closeOf(i) + 1, '=>')) {
+        const names = {}
+        bindPattern(i + 1, closeOf(i), names, scope)
+        i = walkArrow(closeOf(i) + 1, names, scope)
+      } else if (is(i, '{')) {
+        if (kind === 'block' && isBlockStart(i, start)) {
+          i = walkBlock(i, scope)
+        } else {
+          walk(i + 1, closeOf(i), scope, 'object')
+          i = closeOf(i) + 1
+        }
+      } else if (token.type === 'punc' && hasOwn(openers, token.value)) {
+        walk(i + 1, closeOf(i), scope, 'expression')
+        i = closeOf(i) + 1
+      } else if (declaring && is(i, ',')) {
+        i = bindDeclarator(i + 1, end, scope)
+      } else {
+        if (is(i, ';')) declaring = false
+        i++
+      }
+    }
+  }
+
+  walk(0, tokens.length, [{}], 'expression')
+
+  let res = ''
+  let last = 0
+  for (let i = 0; i < tokens.length; i++) {
+    const { start, end, out } = tokens[i]
+    if (out != null) {
+      res += code.slice(last, start) + out
+      last = end
+    }
+  }
+  return res + code.slice(last)
+}
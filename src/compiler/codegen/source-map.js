@@ -0,0 +1,104 @@
+/* @flow */
+
+import { encodeVLQ } from 'core/util/source-map'
+
+/**
+ * Source maps for render functions. While generating code, the start
+ * offset of each node in the template is written in front of its code
+ * as a marker; extractSourceMap() then strips the markers and turns
+ * their positions into source map mappings.
+ *
+ * The marker is delimited by \u0001, which never appears verbatim in
+ * generated code: template text is JSON.stringify-ed, which escapes it.
+ */
+const MARKER = '\u0001'
+const markerRE = new RegExp(`${MARKER}(\\d+)${MARKER}`, 'g')
+
+export function genSourceMarker (start: ?number): string {
+  return start == null ? '' : `${MARKER}${start}${MARKER}`
+}
+
+// 将源码中的偏移量转换为从0开始的行号和列号
+function createPositionResolver (source: string): (offset: number) => [number, number] {
+  const lineStarts = [0]
+  for (let i = 0; i < source.length; i++) {
+    if (source.charCodeAt(i) === 10 /* \n */) {
+      lineStarts.push(i + 1)
+    }
+  }
+  return offset => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (lineStarts[mid] <= offset) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+    return [low, offset - lineStarts[low]]
+  }
+}
+
+export function extractSourceMap (
+  code: string,
+  source: string,
+  filename: string
+): { code: string, map: SourceMap } {
+  const resolve = createPositionResolver(source)
+  const lines = [[]]
+  let res = ''
+  let line = 0
+  let lineStart = 0
+  let last = 0
+  let match
+  // 记录上一个片段的值，mappings中除生成代码的列外都是相对于上一个片段的增量
+  let prevSourceLine = 0
+  let prevSourceColumn = 0
+
+  const append = (chunk: string) => {
+    for (let i = 0; i < chunk.length; i++) {
+      if (chunk.charCodeAt(i) === 10 /* \n */) {
+        lines.push([])
+        line++
+        lineStart = res.length + i + 1
+      }
+    }
+    res += chunk
+  }
+
+  markerRE.lastIndex = 0
+  while ((match = markerRE.exec(code))) {
+    append(code.slice(last, match.index))
+    last = match.index + match[0].length
+    const [sourceLine, sourceColumn] = resolve(Number(match[1]))
+    lines[line].push([res.length - lineStart, sourceLine, sourceColumn])
+  }
+  append(code.slice(last))
+
+  const mappings = lines.map(segments => {
+    let prevColumn = 0
+    return segments.map(([column, sourceLine, sourceColumn]) => {
+      const segment = encodeVLQ(column - prevColumn) +
+        encodeVLQ(0) +
+        encodeVLQ(sourceLine - prevSourceLine) +
+        encodeVLQ(sourceColumn - prevSourceColumn)
+      prevColumn = column
+      prevSourceLine = sourceLine
+      prevSourceColumn = sourceColumn
+      return segment
+    }).join(',')
+  }).join(';')
+
+  return {
+    code: res,
+    map: {
+      version: 3,
+      sources: [filename],
+      sourcesContent: [source],
+      names: [],
+      mappings
+    }
+  }
+}
@@ -2,6 +2,7 @@
 
 import { extend } from 'shared/util'
 import { detectErrors } from './error-detector'
+import { resolvePlugins } from './transform'
 import { createCompileToFunctionFn } from './to-function'
 
 export function createCompilerCreator (baseCompile: Function): Function {
@@ -41,16 +42,24 @@ export function createCompilerCreator (baseCompile: Function): Function {
           finalOptions.modules =
             (baseOptions.modules || []).concat(options.modules)
         }
-        // merge custom directives
-        if (options.directives) {
-          finalOptions.directives = extend(
-            Object.create(baseOptions.directives || null),
-            options.directives
+        // merge plugins in the order they run
+        if (options.plugins) {
+          finalOptions.plugins = resolvePlugins(
+            (baseOptions.plugins || []).concat(options.plugins)
           )
         }
+        // merge custom directives, including the ones registered by plugins
+        const plugins = finalOptions.plugins
+        if (options.directives || options.plugins) {
+          const directives: Object = Object.create(baseOptions.directives || null)
+          if (plugins) {
+            plugins.forEach(plugin => extend(directives, plugin.directives))
+          }
+          finalOptions.directives = extend(directives, options.directives)
+        }
         // copy other options
         for (const key in options) {
-          if (key !== 'modules' && key !== 'directives') {
+          if (key !== 'modules' && key !== 'directives' && key !== 'plugins') {
             finalOptions[key] = options[key]
           }
         }
@@ -60,7 +69,7 @@ export function createCompilerCreator (baseCompile: Function): Function {
 
       const compiled = baseCompile(template.trim(), finalOptions)
       if (process.env.NODE_ENV !== 'production') {
-        detectErrors(compiled.ast, warn)
+        detectErrors(compiled.ast, warn, !!finalOptions.interpret)
       }
       compiled.errors = errors
       compiled.tips = tips
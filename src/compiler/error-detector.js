@@ -1,6 +1,7 @@
 /* @flow */
 
 import { dirRE, onRE } from './parser/index'
+import { parseFunction } from './interpreter/parser'
 
 type Range = { start?: number, end?: number };
 
@@ -20,8 +21,15 @@ const unaryOperatorsRE = new RegExp('\\b' + (
 // strip strings in expressions
 const stripStringRE = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`\\]|\\.)*\$\{|\}(?:[^`\\]|\\.)*`|`(?:[^`\\]|\\.)*`/g
 
+// checks the syntax of a function like `new Function(params, body)`
+let checkFunction: (params: string, body: string) => any
+
 // detect problematic expressions in a template
-export function detectErrors (ast: ?ASTNode, warn: Function) {
+export function detectErrors (ast: ?ASTNode, warn: Function, interpret?: boolean) {
+  // 解释执行模式下（如CSP禁止eval时）使用解释器的解析器检查语法
+  checkFunction = interpret
+    ? parseFunction
+    : (params, body) => new Function(params, body)
   if (ast) {
     checkNode(ast, warn)
   }
@@ -85,7 +93,7 @@ function checkIdentifier (
 ) {
   if (typeof ident === 'string') {
     try {
-      new Function(`var ${ident}=_`)
+      checkFunction('', `var ${ident}=_`)
     } catch (e) {
       warn(`invalid ${type} "${ident}" in expression: ${text.trim()}`, range)
     }
@@ -94,7 +102,7 @@ function checkIdentifier (
 
 function checkExpression (exp: string, text: string, warn: Function, range?: Range) {
   try {
-    new Function(`return ${exp}`)
+    checkFunction('', `return ${exp}`)
   } catch (e) {
     const keywordMatch = exp.replace(stripStringRE, '').match(prohibitedKeywordRE)
     if (keywordMatch) {
@@ -116,7 +124,7 @@ function checkExpression (exp: string, text: string, warn: Function, range?: Ran
 
 function checkFunctionParameterExpression (exp: string, text: string, warn: Function, range?: Range) {
   try {
-    new Function(exp, '')
+    checkFunction(exp, '')
   } catch (e) {
     warn(
       `invalid function parameter expression: ${e.message} in\n\n` +
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { parse } from './parser/index'
+import { transform } from './transform'
 import { optimize } from './optimizer'
 import { generate } from './codegen/index'
 import { createCompilerCreator } from './create-compiler'
@@ -13,16 +14,21 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   options: CompilerOptions
 ): CompiledResult {
   // 模板解析阶段：用正则等方式解析 template 模板中的指令、class、style等数据，形成AST
-  const ast = parse(template.trim(), options)
+  let ast = parse(template.trim(), options)
+  // 插件转换阶段：运行用户插件的 enter/exit 访问器，插件可以替换或移除节点
+  ast = transform(ast, options)
   if (options.optimize !== false) {
     // 优化阶段：遍历AST，找出其中的静态节点，并打上标记；因为diff算法中会直接跳过静态节点，不进入对比的过程
     optimize(ast, options)
   }
   // 代码生成阶段：将AST转换成渲染函数；
-  const code = generate(ast, options)
+  const code = generate(ast, options, template.trim())
   return {
     ast, // 抽象语法树
     render: code.render, // 渲染函数
-    staticRenderFns: code.staticRenderFns // 静态渲染函数
+    staticRenderFns: code.staticRenderFns, // 静态渲染函数
+    map: code.map, // 渲染函数的source map，仅在开启sourceMap选项时生成
+    staticMaps: code.staticMaps,
+    code: code.code // ES模块形式的渲染函数，仅在mode为module时生成
   }
 })
@@ -0,0 +1,634 @@
+/* @flow */
+
+import { hasSymbol } from 'core/util/env'
+import { parseFunction } from './parser'
+import type { Node } from './parser'
+
+/**
+ * Template interpreter. Render code is normally turned into functions
+ * with `new Function`, which is forbidden by a Content Security Policy
+ * without 'unsafe-eval'. Instead, the interpreter parses the code once
+ * and compiles the tree into nested closures, which evaluate it against
+ * a chain of scopes when the resulting function is called.
+ */
+
+type Scope = {
+  vars: Object;
+  parent: ?Scope;
+  // the object of a `with` statement
+  object?: Object;
+  // `this` of a (non-arrow) function
+  fn?: { self: any };
+};
+
+type Evaluator = (scope: Scope) => any;
+type Binder = (name: string, value: any) => void;
+type PatternEvaluator = (scope: Scope, value: any, bind: Binder) => void;
+type Completion = ?{ value: any };
+
+// 全局对象：Web Worker中没有window，浏览器中没有global
+const globalObject: Object =
+  typeof globalThis !== 'undefined' ? globalThis
+    : typeof self !== 'undefined' ? self
+      : typeof window !== 'undefined' ? window
+        : typeof global !== 'undefined' ? global
+          : {}
+
+// marks the short-circuit of an optional chain, e.g. `a?.b.c` with a == null
+const SHORT_CIRCUIT = {}
+
+function createScope (parent: ?Scope, fn?: { self: any }, object?: Object): Scope {
+  const scope: Scope = { vars: Object.create(null), parent }
+  if (fn) scope.fn = fn
+  if (object) scope.object = object
+  return scope
+}
+
+// find the scope binding a name, like the resolution of identifiers in
+// `with` statements it checks the object of `with` scopes using `in`
+function resolveScope (scope: ?Scope, name: string): ?Scope {
+  while (scope) {
+    if (scope.object ? name in scope.object : name in scope.vars) {
+      return scope
+    }
+    scope = scope.parent
+  }
+}
+
+function functionScope (scope: Scope): Scope {
+  let s = scope
+  while (s.parent && !s.fn) s = s.parent
+  return s
+}
+
+function toArray (value: any): Array<any> {
+  if (Array.isArray(value)) return value
+  if (value == null || !hasSymbol || typeof value[Symbol.iterator] !== 'function') {
+    throw new TypeError(`${String(value)} is not iterable`)
+  }
+  const res = []
+  const iterator = value[Symbol.iterator]()
+  let result = iterator.next()
+  while (!result.done) {
+    res.push(result.value)
+    result = iterator.next()
+  }
+  return res
+}
+
+function assignOwnProperties (target: Object, source: any) {
+  if (source != null) {
+    const keys = Object.keys(source)
+    for (let i = 0; i < keys.length; i++) {
+      target[keys[i]] = source[keys[i]]
+    }
+  }
+}
+
+/**
+ * Create a function from the code of its parameters and body, the same
+ * way as `new Function(params, body)` but without evaluating code.
+ */
+export function interpretFunction (params: string, body: string): Function {
+  return compileFunction(parseFunction(params, body))(createScope(null))
+}
+
+const binaryOperators: { [key: string]: (a: any, b: any) => any } = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => Math.pow(a, b),
+  '==': (a, b) => a == b, // eslint-disable-line eqeqeq
+  '!=': (a, b) => a != b, // eslint-disable-line eqeqeq
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '>>>': (a, b) => a >>> b,
+  '&': (a, b) => a & b,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  'in': (a, b) => a in b,
+  'instanceof': (a, b) => a instanceof b
+}
+
+const unaryOperators: { [key: string]: (a: any) => any } = {
+  '!': a => !a,
+  '-': a => -a,
+  '+': a => +a,
+  '~': a => ~a,
+  'typeof': a => typeof a,
+  'void': () => undefined
+}
+
+/**
+ * Expressions
+ */
+
+function compileExpression (node: Node): Evaluator {
+  switch (node.type) {
+    case 'Literal': {
+      const { value } = node
+      return () => value
+    }
+    case 'RegExpLiteral': {
+      const { pattern, flags } = node
+      return () => new RegExp(pattern, flags)
+    }
+    case 'TemplateLiteral': {
+      const { quasis } = node
+      const expressions = node.expressions.map(compileExpression)
+      return scope => {
+        let res = quasis[0]
+        for (let i = 0; i < expressions.length; i++) {
+          res += String(expressions[i](scope)) + quasis[i + 1]
+        }
+        return res
+      }
+    }
+    case 'Identifier':
+      return compileIdentifier(node.name)
+    case 'ThisExpression':
+      return scope => {
+        const { fn } = functionScope(scope)
+        return fn && fn.self
+      }
+    case 'ArrayExpression':
+      return compileElements(node.elements)
+    case 'ObjectExpression':
+      return compileObject(node)
+    case 'FunctionExpression':
+      return compileFunction(node)
+    case 'UnaryExpression':
+      return compileUnary(node)
+    case 'UpdateExpression':
+      return compileUpdate(node)
+    case 'BinaryExpression': {
+      const op = binaryOperators[node.operator]
+      const left = compileExpression(node.left)
+      const right = compileExpression(node.right)
+      return scope => op(left(scope), right(scope))
+    }
+    case 'LogicalExpression': {
+      const left = compileExpression(node.left)
+      const right = compileExpression(node.right)
+      switch (node.operator) {
+        case '&&': return scope => left(scope) && right(scope)
+        case '||': return scope => left(scope) || right(scope)
+        default: return scope => {
+          const value = left(scope)
+          return value == null ? right(scope) : value
+        }
+      }
+    }
+    case 'ConditionalExpression': {
+      const test = compileExpression(node.test)
+      const consequent = compileExpression(node.consequent)
+      const alternate = compileExpression(node.alternate)
+      return scope => test(scope) ? consequent(scope) : alternate(scope)
+    }
+    case 'SequenceExpression': {
+      const expressions = node.expressions.map(compileExpression)
+      return scope => {
+        let value
+        for (let i = 0; i < expressions.length; i++) {
+          value = expressions[i](scope)
+        }
+        return value
+      }
+    }
+    case 'AssignmentExpression':
+      return compileAssignment(node)
+    case 'MemberExpression': {
+      const object = compileExpression(node.object)
+      const property = compileExpression(node.property)
+      const { optional } = node
+      return scope => {
+        const obj = object(scope)
+        if (obj === SHORT_CIRCUIT || (optional && obj == null)) {
+          return SHORT_CIRCUIT
+        }
+        return obj[property(scope)]
+      }
+    }
+    case 'CallExpression':
+      return compileCall(node)
+    case 'NewExpression': {
+      const callee = compileExpression(node.callee)
+      const args = compileElements(node.arguments)
+      return scope => {
+        const Ctor = callee(scope)
+        // new with a variable number of arguments
+        return new ((Function.prototype.bind: any).apply(Ctor, [null].concat(args(scope))))()
+      }
+    }
+    case 'ChainExpression': {
+      const expression = compileExpression(node.expression)
+      return scope => {
+        const value = expression(scope)
+        return value === SHORT_CIRCUIT ? undefined : value
+      }
+    }
+  }
+  throw new SyntaxError(`unsupported expression: ${node.type}`)
+}
+
+function compileIdentifier (name: string): Evaluator {
+  return scope => {
+    const s = resolveScope(scope, name)
+    if (s) {
+      return (s.object || s.vars)[name]
+    }
+    if (name in globalObject) {
+      return globalObject[name]
+    }
+    throw new ReferenceError(`${name} is not defined`)
+  }
+}
+
+// array elements and call arguments, which may be spread
+function compileElements (elements: Array<?Node>): Evaluator {
+  const compiled: Array<Evaluator> = elements.map(el => {
+    if (!el) return () => undefined
+    if (el.type === 'SpreadElement') {
+      const argument = compileExpression(el.argument)
+      const spread = scope => toArray(argument(scope))
+      ;(spread: any).spread = true
+      return spread
+    }
+    return compileExpression(el)
+  })
+  return scope => {
+    const res = []
+    for (let i = 0; i < compiled.length; i++) {
+      const value: any = compiled[i](scope)
+      if ((compiled[i]: any).spread) {
+        for (let j = 0; j < value.length; j++) res.push(value[j])
+      } else {
+        res.push(value)
+      }
+    }
+    return res
+  }
+}
+
+function compileObject (node: Node): Evaluator {
+  const properties = node.properties.map(prop => {
+    if (prop.type === 'SpreadElement') {
+      const argument = compileExpression(prop.argument)
+      return (scope, obj) => assignOwnProperties(obj, argument(scope))
+    }
+    const key = compileExpression(prop.key)
+    const value = compileExpression(prop.value)
+    return (scope, obj) => {
+      obj[key(scope)] = value(scope)
+    }
+  })
+  return scope => {
+    const obj = {}
+    for (let i = 0; i < properties.length; i++) {
+      properties[i](scope, obj)
+    }
+    return obj
+  }
+}
+
+function compileUnary (node: Node): Evaluator {
+  const { operator, argument } = node
+  if (operator === 'typeof' && argument.type === 'Identifier') {
+    // typeof doesn't throw for undeclared variables
+    const { name } = argument
+    const value = compileIdentifier(name)
+    return scope => resolveScope(scope, name) || name in globalObject
+      ? typeof value(scope)
+      : 'undefined'
+  }
+  if (operator === 'delete') {
+    if (argument.type !== 'MemberExpression') {
+      return () => false
+    }
+    const object = compileExpression(argument.object)
+    const property = compileExpression(argument.property)
+    return scope => delete object(scope)[property(scope)]
+  }
+  const op = unaryOperators[operator]
+  const arg = compileExpression(argument)
+  return scope => op(arg(scope))
+}
+
+type Reference = {
+  get: (scope: Scope) => [any, any],
+  set: (scope: Scope, base: any, value: any) => void
+};
+
+// a reference to an assignable location: a variable or a property. get
+// returns its base (the object holding it) along with its value
+function compileReference (node: Node): Reference {
+  if (node.type === 'Identifier') {
+    const { name } = node
+    const value = compileIdentifier(name)
+    return {
+      get: scope => [null, value(scope)],
+      set: (scope, base, val) => {
+        const s = resolveScope(scope, name)
+        if (s) {
+          (s.object || s.vars)[name] = val
+        } else {
+          globalObject[name] = val
+        }
+      }
+    }
+  }
+  if (node.type === 'MemberExpression' && !node.optional) {
+    const object = compileExpression(node.object)
+    const property = compileExpression(node.property)
+    return {
+      get: scope => {
+        const obj = object(scope)
+        const key = property(scope)
+        return [[obj, key], obj[key]]
+      },
+      set: (scope, base, val) => {
+        base[0][base[1]] = val
+      }
+    }
+  }
+  throw new SyntaxError('invalid assignment target')
+}
+
+function compileUpdate (node: Node): Evaluator {
+  const ref = compileReference(node.argument)
+  const delta = node.operator === '++' ? 1 : -1
+  const { prefix } = node
+  return scope => {
+    const [base, oldValue] = ref.get(scope)
+    const old = +oldValue
+    ref.set(scope, base, old + delta)
+    return prefix ? old + delta : old
+  }
+}
+
+function compileAssignment (node: Node): Evaluator {
+  const { operator } = node
+  const right = compileExpression(node.right)
+  if (operator === '=' && node.left.type === 'Identifier') {
+    const ref = compileReference(node.left)
+    return scope => {
+      const value = right(scope)
+      ref.set(scope, null, value)
+      return value
+    }
+  }
+  const ref = compileReference(node.left)
+  const op = binaryOperators[operator.slice(0, -1)]
+  return scope => {
+    const [base, current] = ref.get(scope)
+    let value
+    if (operator === '=') {
+      value = right(scope)
+    } else if (operator === '&&=' || operator === '||=' || operator === '??=') {
+      // logical assignments short-circuit
+      const assign = operator === '&&='
+        ? current
+        : operator === '||=' ? !current : current == null
+      if (!assign) return current
+      value = right(scope)
+    } else {
+      value = op(current, right(scope))
+    }
+    ref.set(scope, base, value)
+    return value
+  }
+}
+
+function compileCall (node: Node): Evaluator {
+  const { callee, optional } = node
+  const args = compileElements(node.arguments)
+  let getCallee: Evaluator
+  if (callee.type === 'MemberExpression') {
+    // member calls are bound to the object
+    const object = compileExpression(callee.object)
+    const property = compileExpression(callee.property)
+    getCallee = scope => {
+      const obj = object(scope)
+      if (obj === SHORT_CIRCUIT || (callee.optional && obj == null)) {
+        return SHORT_CIRCUIT
+      }
+      return [obj, obj[property(scope)]]
+    }
+  } else if (callee.type === 'Identifier') {
+    // calls of functions found on the object of a `with` statement are
+    // bound to the object, e.g. `_m(0)` in render code
+    const { name } = callee
+    const value = compileIdentifier(name)
+    getCallee = scope => {
+      const s = resolveScope(scope, name)
+      return [s && s.object, value(scope)]
+    }
+  } else {
+    const fn = compileExpression(callee)
+    getCallee = scope => {
+      const value = fn(scope)
+      return value === SHORT_CIRCUIT ? value : [undefined, value]
+    }
+  }
+  const describe = describeCallee(callee)
+  return scope => {
+    const res = getCallee(scope)
+    if (res === SHORT_CIRCUIT) return res
+    const [self, fn] = res
+    if (typeof fn !== 'function') {
+      if (optional && fn == null) return SHORT_CIRCUIT
+      throw new TypeError(`${describe} is not a function`)
+    }
+    return fn.apply(self, args(scope))
+  }
+}
+
+function describeCallee (node: Node): string {
+  if (node.type === 'Identifier') {
+    return node.name
+  }
+  if (node.type === 'MemberExpression' && !node.computed) {
+    return `${describeCallee(node.object)}.${node.property.value}`
+  }
+  return 'expression'
+}
+
+/**
+ * Functions and patterns
+ */
+
+function compileFunction (node: Node): Evaluator {
+  const { arrow, expression } = node
+  const params = node.params.map(compileParam)
+  const body = expression
+    ? compileExpression(node.body)
+    : compileStatements(node.body)
+
+  return parent => {
+    const call = (self, args) => {
+      const scope = createScope(parent, arrow ? undefined : { self })
+      if (!arrow) scope.vars.arguments = args
+      const bind = (name, value) => { scope.vars[name] = value }
+      for (let i = 0; i < params.length; i++) {
+        params[i](scope, args, i, bind)
+      }
+      if (expression) {
+        return body(scope)
+      }
+      const completion = body(scope)
+      return completion ? completion.value : undefined
+    }
+    return arrow
+      ? (...args) => call(undefined, args)
+      : function () { return call(this, arguments) }
+  }
+}
+
+function compileParam (node: Node): (scope: Scope, args: any, index: number, bind: Binder) => void {
+  if (node.type === 'RestElement') {
+    const pattern = compilePattern(node.argument)
+    return (scope, args, index, bind) => {
+      pattern(scope, Array.prototype.slice.call(args, index), bind)
+    }
+  }
+  const pattern = compilePattern(node)
+  return (scope, args, index, bind) => pattern(scope, args[index], bind)
+}
+
+function compilePattern (node: Node): PatternEvaluator {
+  switch (node.type) {
+    case 'Identifier': {
+      const { name } = node
+      return (scope, value, bind) => bind(name, value)
+    }
+    case 'AssignmentPattern': {
+      const left = compilePattern(node.left)
+      const right = compileExpression(node.right)
+      return (scope, value, bind) => {
+        left(scope, value === undefined ? right(scope) : value, bind)
+      }
+    }
+    case 'ArrayPattern': {
+      const elements = node.elements.map(el => el && compileParam(el))
+      return (scope, value, bind) => {
+        const arr = toArray(value)
+        for (let i = 0; i < elements.length; i++) {
+          const el = elements[i]
+          if (el) el(scope, arr, i, bind)
+        }
+      }
+    }
+    case 'ObjectPattern': {
+      const properties = node.properties.map(prop => {
+        if (prop.type === 'RestElement') {
+          const pattern = compilePattern(prop.argument)
+          return (scope, value, bind, used) => {
+            const rest = {}
+            assignOwnProperties(rest, value)
+            for (let i = 0; i < used.length; i++) delete rest[used[i]]
+            pattern(scope, rest, bind)
+          }
+        }
+        const key = compileExpression(prop.key)
+        const pattern = compilePattern(prop.value)
+        return (scope, value, bind, used) => {
+          const k = key(scope)
+          used.push(k)
+          pattern(scope, value[k], bind)
+        }
+      })
+      return (scope, value, bind) => {
+        if (value == null) {
+          throw new TypeError(`Cannot destructure '${String(value)}' as it is ${String(value)}.`)
+        }
+        const used = []
+        for (let i = 0; i < properties.length; i++) {
+          properties[i](scope, value, bind, used)
+        }
+      }
+    }
+  }
+  throw new SyntaxError(`unsupported pattern: ${node.type}`)
+}
+
+/**
+ * Statements
+ */
+
+function compileStatements (nodes: Array<Node>): (scope: Scope) => Completion {
+  const statements = nodes.map(compileStatement)
+  return scope => {
+    for (let i = 0; i < statements.length; i++) {
+      const completion = statements[i](scope)
+      if (completion) return completion
+    }
+  }
+}
+
+function compileStatement (node: Node): (scope: Scope) => Completion {
+  switch (node.type) {
+    case 'ExpressionStatement': {
+      const expression = compileExpression(node.expression)
+      return scope => {
+        expression(scope)
+      }
+    }
+    case 'ReturnStatement': {
+      const argument = node.argument && compileExpression(node.argument)
+      return scope => ({ value: argument ? argument(scope) : undefined })
+    }
+    case 'VariableDeclaration': {
+      const isVar = node.kind === 'var'
+      const declarations = node.declarations.map(decl => {
+        const pattern = compilePattern(decl.id)
+        const init = decl.init && compileExpression(decl.init)
+        return { pattern, init, name: decl.id.name }
+      })
+      return scope => {
+        const target = isVar ? functionScope(scope) : scope
+        const bind = (name, value) => { target.vars[name] = value }
+        for (let i = 0; i < declarations.length; i++) {
+          const { pattern, init, name } = declarations[i]
+          // `var a` keeps the current value of a
+          if (!init && isVar && name && name in target.vars) continue
+          pattern(scope, init ? init(scope) : undefined, bind)
+        }
+      }
+    }
+    case 'IfStatement': {
+      const test = compileExpression(node.test)
+      const consequent = compileStatement(node.consequent)
+      const alternate = node.alternate && compileStatement(node.alternate)
+      return scope => {
+        if (test(scope)) return consequent(scope)
+        if (alternate) return alternate(scope)
+      }
+    }
+    case 'BlockStatement': {
+      const body = compileStatements(node.body)
+      return scope => body(createScope(scope))
+    }
+    case 'WithStatement': {
+      const object = compileExpression(node.object)
+      const body = compileStatement(node.body)
+      return scope => body(createScope(scope, undefined, object(scope)))
+    }
+    case 'ThrowStatement': {
+      const argument = compileExpression(node.argument)
+      return scope => {
+        throw argument(scope)
+      }
+    }
+    case 'EmptyStatement':
+      return () => {}
+  }
+  throw new SyntaxError(`unsupported statement: ${node.type}`)
+}
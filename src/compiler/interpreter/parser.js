@@ -0,0 +1,642 @@
+/* @flow */
+
+import { makeMap, hasOwn } from 'shared/util'
+import { tokenize } from '../tokenizer'
+
+/**
+ * Parser for the subset of JavaScript used by render code: the code
+ * generated from templates and the expressions and statements written
+ * in them. It produces an ESTree-like tree that is evaluated by the
+ * interpreter (./index.js) without `new Function`.
+ *
+ * Supported: literals (including template literals and regular
+ * expressions), arrays, objects, functions and arrow functions with
+ * destructured parameters, all unary, binary, logical, conditional,
+ * assignment and update operators, member access, optional chaining,
+ * calls, `new`, spread, and the statements var/let/const, if/else,
+ * return, throw, with and blocks. Loops, classes, generators and
+ * async functions are not supported.
+ */
+
+export type Node = Object;
+
+const binaryPrecedence = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '|': 4,
+  '^': 5,
+  '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11,
+  '**': 12
+}
+
+const isAssignOperator = makeMap(
+  '=,+=,-=,*=,/=,%=,**=,<<=,>>=,>>>=,&=,|=,^=,&&=,||=,??='
+)
+
+const isUnaryOperator = makeMap('!,-,+,~,typeof,void,delete')
+
+// reserved words that can't be used as binding names
+const isReserved = makeMap(
+  'break,case,catch,class,const,continue,debugger,default,delete,do,else,' +
+  'export,extends,false,finally,for,function,if,import,in,instanceof,let,' +
+  'new,null,return,super,switch,this,throw,true,try,typeof,var,void,while,' +
+  'with,yield,await'
+)
+
+const isUnsupportedKeyword = makeMap(
+  'for,while,do,switch,try,class,async,await,yield,import,export,' +
+  'break,continue,debugger,super'
+)
+
+const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' }
+
+// decode the escape sequences of a string or template literal
+function unescape (str: string): string {
+  return str.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|0(?!\d)|\r\n|[\s\S])/g, (_, seq) => {
+    const c = seq[0]
+    if (c === 'u' || c === 'x') {
+      const code = parseInt(seq.replace(/[ux{}]/g, ''), 16)
+      return code > 0xffff
+        ? String.fromCharCode(((code - 0x10000) >> 10) + 0xd800, ((code - 0x10000) & 0x3ff) + 0xdc00)
+        : String.fromCharCode(code)
+    }
+    if (c === '0') return '\0'
+    // line continuation
+    if (c === '\n' || c === '\r' || seq === '\r\n' || c === '\u2028' || c === '\u2029') return ''
+    return escapes[c] || c
+  })
+}
+
+function createParser (code: string) {
+  const tokens = tokenize(code)
+  let i = 0
+
+  const error = (msg: string): any => {
+    const token = tokens[i]
+    throw new SyntaxError(token
+      ? `${msg} (unexpected token "${token.value}" at position ${token.start})`
+      : `${msg} (unexpected end of input)`)
+  }
+  const peek = (offset?: number = 0) => tokens[i + offset]
+  const is = (value: string, offset?: number): boolean => {
+    const token = tokens[i + (offset || 0)]
+    return !!token && (token.type === 'punc' || token.type === 'name') && token.value === value
+  }
+  const eat = (value: string): boolean => {
+    if (is(value)) {
+      i++
+      return true
+    }
+    return false
+  }
+  const expect = (value: string) => {
+    if (!eat(value)) error(`expected "${value}"`)
+  }
+  // whether there is a line break before the current token
+  const newlineBefore = (): boolean => {
+    const prev = tokens[i - 1]
+    const token = tokens[i]
+    return !!prev && !!token && /[\n\r\u2028\u2029]/.test(code.slice(prev.end, token.start))
+  }
+  const identifier = (): string => {
+    const token = tokens[i]
+    if (!token || token.type !== 'name') {
+      error('expected an identifier')
+    }
+    i++
+    return token.value
+  }
+
+  // index of the bracket closing the one at the current position
+  const findClose = (): number => {
+    let depth = 0
+    for (let j = i; j < tokens.length; j++) {
+      const { type, value } = tokens[j]
+      if (type !== 'punc') continue
+      if (value === '(' || value === '[' || value === '{' || value === '${') depth++
+      else if (value === ')' || value === ']' || value === '}') {
+        if (--depth === 0) return j
+      }
+    }
+    return tokens.length
+  }
+
+  /**
+   * Statements
+   */
+
+  function parseStatements (end: ?string): Array<Node> {
+    const body = []
+    while (i < tokens.length && !(end && is(end))) {
+      body.push(parseStatement())
+    }
+    return body
+  }
+
+  function parseStatement (): Node {
+    const token = peek()
+    if (eat('{')) {
+      const body = parseStatements('}')
+      expect('}')
+      return { type: 'BlockStatement', body }
+    }
+    if (eat(';')) {
+      return { type: 'EmptyStatement' }
+    }
+    if (token.type === 'name') {
+      const { value } = token
+      if (value === 'var' || value === 'let' || value === 'const') {
+        i++
+        const declarations = []
+        do {
+          const id = parsePattern()
+          const init = eat('=') ? parseAssign() : null
+          declarations.push({ id, init })
+        } while (eat(','))
+        endStatement()
+        return { type: 'VariableDeclaration', kind: value, declarations }
+      }
+      if (value === 'if') {
+        i++
+        expect('(')
+        const test = parseExpression()
+        expect(')')
+        const consequent = parseStatement()
+        const alternate = eat('else') ? parseStatement() : null
+        return { type: 'IfStatement', test, consequent, alternate }
+      }
+      if (value === 'return') {
+        i++
+        const argument = is(';') || is('}') || i >= tokens.length || newlineBefore()
+          ? null
+          : parseExpression()
+        endStatement()
+        return { type: 'ReturnStatement', argument }
+      }
+      if (value === 'throw') {
+        i++
+        const argument = parseExpression()
+        endStatement()
+        return { type: 'ThrowStatement', argument }
+      }
+      if (value === 'with') {
+        i++
+        expect('(')
+        const object = parseExpression()
+        expect(')')
+        return { type: 'WithStatement', object, body: parseStatement() }
+      }
+      if (value === 'function' && peek(1) && peek(1).type === 'name') {
+        // function declaration: bind it like a var
+        const name = peek(1).value
+        return {
+          type: 'VariableDeclaration',
+          kind: 'var',
+          declarations: [{ id: { type: 'Identifier', name }, init: parseFunction() }]
+        }
+      }
+      if (isUnsupportedKeyword(value)) {
+        error(`"${value}" is not supported`)
+      }
+    }
+    const expression = parseExpression()
+    endStatement()
+    return { type: 'ExpressionStatement', expression }
+  }
+
+  // automatic semicolon insertion
+  function endStatement () {
+    if (!eat(';') && i < tokens.length && !is('}') && !newlineBefore()) {
+      error('expected ";"')
+    }
+  }
+
+  /**
+   * Expressions
+   */
+
+  function parseExpression (): Node {
+    const expr = parseAssign()
+    if (!is(',')) {
+      return expr
+    }
+    const expressions = [expr]
+    while (eat(',')) {
+      expressions.push(parseAssign())
+    }
+    return { type: 'SequenceExpression', expressions }
+  }
+
+  function parseAssign (): Node {
+    const token = peek()
+    if (!token) error('expected an expression')
+    // arrow functions
+    if (token.type === 'name' && is('=>', 1)) {
+      return parseArrow([{ type: 'Identifier', name: identifier() }])
+    }
+    if (is('(') && is('=>', findClose() - i + 1)) {
+      i++
+      const params = parseParams(')')
+      expect(')')
+      return parseArrow(params)
+    }
+    const left = parseConditional()
+    const next = peek()
+    if (next && next.type === 'punc' && isAssignOperator(next.value)) {
+      if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+        error('invalid assignment target')
+      }
+      i++
+      return { type: 'AssignmentExpression', operator: next.value, left, right: parseAssign() }
+    }
+    return left
+  }
+
+  function parseArrow (params: Array<Node>): Node {
+    expect('=>')
+    if (eat('{')) {
+      const body = parseStatements('}')
+      expect('}')
+      return { type: 'FunctionExpression', arrow: true, params, body, expression: false }
+    }
+    return { type: 'FunctionExpression', arrow: true, params, body: parseAssign(), expression: true }
+  }
+
+  function parseConditional (): Node {
+    const test = parseBinary(0)
+    if (!eat('?')) {
+      return test
+    }
+    const consequent = parseAssign()
+    expect(':')
+    const alternate = parseAssign()
+    return { type: 'ConditionalExpression', test, consequent, alternate }
+  }
+
+  // precedence climbing
+  function parseBinary (minPrecedence: number): Node {
+    let left = parseUnary()
+    let precedence
+    while ((precedence = precedenceOf(peek())) > minPrecedence) {
+      const operator = peek().value
+      i++
+      // ** is right associative
+      const right = parseBinary(operator === '**' ? precedence - 1 : precedence)
+      left = {
+        type: operator === '&&' || operator === '||' || operator === '??'
+          ? 'LogicalExpression'
+          : 'BinaryExpression',
+        operator,
+        left,
+        right
+      }
+    }
+    return left
+  }
+
+  function precedenceOf (token: any): number {
+    return token && (token.type === 'punc' || token.type === 'name') && hasOwn(binaryPrecedence, token.value)
+      ? binaryPrecedence[token.value]
+      : 0
+  }
+
+  function parseUnary (): Node {
+    const token = peek()
+    if (token && (token.type === 'punc' || token.type === 'name') && isUnaryOperator(token.value)) {
+      i++
+      return { type: 'UnaryExpression', operator: token.value, argument: parseUnary() }
+    }
+    if (is('++') || is('--')) {
+      i++
+      return { type: 'UpdateExpression', operator: token.value, prefix: true, argument: parseUnary() }
+    }
+    const expr = parseCall()
+    if ((is('++') || is('--')) && !newlineBefore()) {
+      const operator = peek().value
+      i++
+      return { type: 'UpdateExpression', operator, prefix: false, argument: expr }
+    }
+    return expr
+  }
+
+  function parseCall (): Node {
+    let expr
+    let chained = false
+    if (eat('new')) {
+      // the callee of new can't contain calls
+      let callee = parsePrimary()
+      while (is('.') || is('[')) {
+        callee = parseMember(callee, false)
+      }
+      expr = { type: 'NewExpression', callee, arguments: is('(') ? parseArguments() : [] }
+    } else {
+      expr = parsePrimary()
+    }
+    for (;;) {
+      if (is('.') || is('[')) {
+        expr = parseMember(expr, false)
+      } else if (eat('?.')) {
+        chained = true
+        expr = is('(')
+          ? { type: 'CallExpression', callee: expr, arguments: parseArguments(), optional: true }
+          : parseMember(expr, true)
+      } else if (is('(')) {
+        expr = { type: 'CallExpression', callee: expr, arguments: parseArguments(), optional: false }
+      } else if (peek() && peek().type === 'template') {
+        error('tagged templates are not supported')
+      } else {
+        break
+      }
+    }
+    return chained ? { type: 'ChainExpression', expression: expr } : expr
+  }
+
+  function parseMember (object: Node, optional: boolean): Node {
+    if (eat('[')) {
+      const property = parseExpression()
+      expect(']')
+      return { type: 'MemberExpression', object, property, computed: true, optional }
+    }
+    if (!optional) expect('.')
+    const name = identifier()
+    return {
+      type: 'MemberExpression',
+      object,
+      property: { type: 'Literal', value: name },
+      computed: false,
+      optional
+    }
+  }
+
+  function parseArguments (): Array<Node> {
+    expect('(')
+    const args = []
+    while (!is(')')) {
+      args.push(eat('...') ? { type: 'SpreadElement', argument: parseAssign() } : parseAssign())
+      if (!is(')')) expect(',')
+    }
+    expect(')')
+    return args
+  }
+
+  function parsePrimary (): Node {
+    const token = peek()
+    if (!token) error('expected an expression')
+    const { type, value } = token
+    if (type === 'number') {
+      i++
+      return { type: 'Literal', value: Number(value) }
+    }
+    if (type === 'string') {
+      i++
+      return { type: 'Literal', value: unescape(value.slice(1, -1)) }
+    }
+    if (type === 'regex') {
+      i++
+      const flagsStart = value.lastIndexOf('/')
+      return { type: 'RegExpLiteral', pattern: value.slice(1, flagsStart), flags: value.slice(flagsStart + 1) }
+    }
+    if (type === 'template') {
+      return parseTemplate()
+    }
+    if (type === 'name') {
+      if (value === 'function') {
+        return parseFunction()
+      }
+      i++
+      switch (value) {
+        case 'true': return { type: 'Literal', value: true }
+        case 'false': return { type: 'Literal', value: false }
+        case 'null': return { type: 'Literal', value: null }
+        case 'this': return { type: 'ThisExpression' }
+      }
+      if (isUnsupportedKeyword(value)) {
+        i--
+        error(`"${value}" is not supported`)
+      }
+      return { type: 'Identifier', name: value }
+    }
+    if (eat('(')) {
+      const expr = parseExpression()
+      expect(')')
+      return expr
+    }
+    if (eat('[')) {
+      const elements = []
+      while (!is(']')) {
+        if (is(',')) {
+          elements.push(null)
+        } else {
+          elements.push(eat('...') ? { type: 'SpreadElement', argument: parseAssign() } : parseAssign())
+        }
+        if (!is(']')) expect(',')
+      }
+      expect(']')
+      return { type: 'ArrayExpression', elements }
+    }
+    if (eat('{')) {
+      return parseObject()
+    }
+    return error('expected an expression')
+  }
+
+  function parseTemplate (): Node {
+    const quasis = []
+    const expressions = []
+    for (;;) {
+      const token = peek()
+      if (!token || token.type !== 'template') error('unterminated template literal')
+      i++
+      if (!eat('${')) {
+        // the last part includes the closing backtick
+        quasis.push(unescape(token.value.slice(0, -1)))
+        break
+      }
+      quasis.push(unescape(token.value))
+      expressions.push(parseExpression())
+      expect('}')
+    }
+    return { type: 'TemplateLiteral', quasis, expressions }
+  }
+
+  function parsePropertyKey (): { key: Node, computed: boolean } {
+    const token = peek()
+    if (eat('[')) {
+      const key = parseAssign()
+      expect(']')
+      return { key, computed: true }
+    }
+    if (!token || (token.type !== 'name' && token.type !== 'string' && token.type !== 'number')) {
+      error('expected a property name')
+    }
+    i++
+    return {
+      key: {
+        type: 'Literal',
+        value: token.type === 'string'
+          ? unescape(token.value.slice(1, -1))
+          : token.type === 'number' ? String(Number(token.value)) : token.value
+      },
+      computed: false
+    }
+  }
+
+  function parseObject (): Node {
+    const properties = []
+    while (!is('}')) {
+      if (eat('...')) {
+        properties.push({ type: 'SpreadElement', argument: parseAssign() })
+      } else {
+        const token = peek()
+        const { key, computed } = parsePropertyKey()
+        let value
+        if (eat(':')) {
+          value = parseAssign()
+        } else if (is('(')) {
+          // method shorthand
+          value = parseFunctionRest(false)
+        } else if (!computed && token.type === 'name') {
+          value = { type: 'Identifier', name: token.value }
+        } else {
+          error('expected ":"')
+        }
+        properties.push({ type: 'Property', key, computed, value })
+      }
+      if (!is('}')) expect(',')
+    }
+    expect('}')
+    return { type: 'ObjectExpression', properties }
+  }
+
+  function parseFunction (): Node {
+    expect('function')
+    if (peek() && peek().type === 'name') {
+      // the name of function expressions is not bound
+      i++
+    }
+    return parseFunctionRest(false)
+  }
+
+  function parseFunctionRest (arrow: boolean): Node {
+    expect('(')
+    const params = parseParams(')')
+    expect(')')
+    expect('{')
+    const body = parseStatements('}')
+    expect('}')
+    return { type: 'FunctionExpression', arrow, params, body, expression: false }
+  }
+
+  /**
+   * Binding patterns
+   */
+
+  function parseParams (end: string): Array<Node> {
+    const params = []
+    while (i < tokens.length && !is(end)) {
+      params.push(parseBindingElement())
+      if (i < tokens.length && !is(end)) expect(',')
+    }
+    return params
+  }
+
+  function parseBindingElement (): Node {
+    if (eat('...')) {
+      return { type: 'RestElement', argument: parsePattern() }
+    }
+    const pattern = parsePattern()
+    return eat('=')
+      ? { type: 'AssignmentPattern', left: pattern, right: parseAssign() }
+      : pattern
+  }
+
+  function parsePattern (): Node {
+    if (eat('[')) {
+      const elements = []
+      while (!is(']')) {
+        elements.push(is(',') ? null : parseBindingElement())
+        if (!is(']')) expect(',')
+      }
+      expect(']')
+      return { type: 'ArrayPattern', elements }
+    }
+    if (eat('{')) {
+      const properties = []
+      while (!is('}')) {
+        if (eat('...')) {
+          properties.push({ type: 'RestElement', argument: parsePattern() })
+        } else {
+          const token = peek()
+          const { key, computed } = parsePropertyKey()
+          let value
+          if (eat(':')) {
+            value = parseBindingElement()
+          } else if (!computed && token.type === 'name') {
+            value = { type: 'Identifier', name: token.value }
+            if (eat('=')) {
+              value = { type: 'AssignmentPattern', left: value, right: parseAssign() }
+            }
+          } else {
+            error('expected ":"')
+          }
+          properties.push({ type: 'Property', key, computed, value })
+        }
+        if (!is('}')) expect(',')
+      }
+      expect('}')
+      return { type: 'ObjectPattern', properties }
+    }
+    const token = peek()
+    if (token && isReserved(token.value)) {
+      error(`unexpected keyword "${token.value}"`)
+    }
+    return { type: 'Identifier', name: identifier() }
+  }
+
+  const done = () => {
+    if (i < tokens.length) error('unexpected token')
+  }
+
+  return {
+    parseProgram (): Array<Node> {
+      const body = parseStatements()
+      done()
+      return body
+    },
+    parseParams (): Array<Node> {
+      const params = parseParams('')
+      done()
+      return params
+    },
+    parseExpression (): Node {
+      const expr = parseExpression()
+      done()
+      return expr
+    }
+  }
+}
+
+/**
+ * Parse a function from the code of its parameters and body, the same
+ * way as `new Function(params, body)`; throws a SyntaxError when the
+ * code is invalid or uses unsupported syntax.
+ */
+export function parseFunction (params: string, body: string): Node {
+  return {
+    type: 'FunctionExpression',
+    arrow: false,
+    params: createParser(params).parseParams(),
+    body: createParser(body).parseProgram(),
+    expression: false
+  }
+}
+
+export function parseExpression (code: string): Node {
+  return createParser(code).parseExpression()
+}
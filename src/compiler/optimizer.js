@@ -2,6 +2,7 @@
 // 模板优化阶段
 
 import { makeMap, isBuiltInTag, cached, no } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 
 let isStaticKey
 let isPlatformReservedTag
@@ -46,6 +47,10 @@ export function optimize (root: ?ASTElement, options: CompilerOptions) {
   markStatic(root) // 标记静态节点
   // second pass: mark static roots.
   markStaticRoots(root, false) // 标记静态根节点
+  // third pass: mark which parts of each dynamic element can change.
+  if (options.patchFlags) {
+    markPatchFlags(root, false) // 标记补丁标记和区块根节点
+  }
 }
 
 function genStaticKeys (keys: string): Function {
@@ -159,3 +164,115 @@ function isDirectChildOfTemplateFor (node: ASTElement): boolean {
   }
   return false
 }
+
+/**
+ * Patch flags tell the runtime which parts of a dynamic element can
+ * change (see PatchFlags), so patchVnode can skip the static ones.
+ *
+ * Dynamic elements are also collected into flat "blocks" at runtime: an
+ * element is a block root when its children may change in structure
+ * (v-if, v-for, slots, components...) or it is a root node. Every
+ * flagged element below a block root, down to the next block roots, is
+ * pushed into the block's dynamicChildren in render order, so the
+ * block can be patched without walking its static parts.
+ */
+function markPatchFlags (node: ASTNode, inOnce: boolean) {
+  if (node.type !== 1 || node.static || node.pre) {
+    return
+  }
+  // v-once内的节点只渲染一次，不能加入区块中被更新
+  inOnce = inOnce || !!node.once
+  if (!inOnce && isPlainElement(node)) {
+    node.patchFlag = getPatchFlag(node)
+    node.blockRoot = isBlockRoot(node)
+  }
+  for (let i = 0, l = node.children.length; i < l; i++) {
+    markPatchFlags(node.children[i], inOnce)
+  }
+  if (node.ifConditions) {
+    for (let i = 1, l = node.ifConditions.length; i < l; i++) {
+      markPatchFlags(node.ifConditions[i].block, inOnce)
+    }
+  }
+}
+
+function getPatchFlag (el: ASTElement): number {
+  let flag = 0
+  if (el.children.some(child => child.type === 2)) {
+    flag |= PatchFlags.TEXT
+  }
+  if (el.classBinding) {
+    flag |= PatchFlags.CLASS
+  }
+  if (el.styleBinding) {
+    flag |= PatchFlags.STYLE
+  }
+  const attrs = (el.attrs || []).concat(el.props || [])
+  if (el.dynamicAttrs || attrs.some(attr => attr.dynamic)) {
+    // 动态的属性名可能是class或style
+    flag |= PatchFlags.FULL_PROPS | PatchFlags.CLASS | PatchFlags.STYLE
+  } else {
+    const dynamicProps = attrs
+      .filter(attr => !isConstant(attr.value))
+      .map(attr => attr.name)
+    if (dynamicProps.length) {
+      flag |= PatchFlags.PROPS
+      el.dynamicProps = dynamicProps
+    }
+  }
+  // 带ref的元素即使ref不变也要更新，新vnode需要拿到elm，否则$refs会保留已移除的元素
+  if (
+    el.directives || el.events || el.nativeEvents ||
+    el.wrapData || el.wrapListeners || el.ref
+  ) {
+    flag |= PatchFlags.NEED_PATCH
+  }
+  if (hasUnstableChildren(el)) {
+    flag |= hasKeyedChildren(el)
+      ? PatchFlags.KEYED_CHILDREN
+      : PatchFlags.UNKEYED_CHILDREN
+  }
+  return flag
+}
+
+// 是否为平台原生元素（组件、slot和template不会生成对应的元素）
+function isPlainElement (el: ASTElement): boolean {
+  return (
+    el.tag !== 'slot' &&
+    el.tag !== 'template' &&
+    !el.component &&
+    !!isPlatformReservedTag(el.tag)
+  )
+}
+
+function isBlockRoot (el: ASTElement): boolean {
+  let parent = el.parent
+  // template不生成元素，其子节点属于外层元素
+  while (parent && parent.tag === 'template') {
+    parent = parent.parent
+  }
+  return !parent || !isPlainElement(parent) || hasUnstableChildren(parent)
+}
+
+// 子节点的数量或类型在不同的渲染之间是否可能变化
+function hasUnstableChildren (el: ASTElement): boolean {
+  return el.children.some(child => child.type === 1 && (
+    child.if || child.for || !isPlainElement(child) ||
+    (child.key && !isConstant(child.key))
+  ))
+}
+
+// slot和组件渲染出的节点也可能带有key
+function hasKeyedChildren (el: ASTElement): boolean {
+  return el.children.some(child => child.type === 1 && (
+    !!child.key || (child.tag === 'template'
+      ? hasKeyedChildren(child)
+      : !isPlainElement(child))
+  ))
+}
+
+const constantRE = /^(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|true|false|-?\d+(?:\.\d+)?)$/
+
+function isConstant (exp: string): boolean {
+  return constantRE.test(exp.trim())
+}
@@ -101,6 +101,7 @@ export function parse (
   const preserveWhitespace = options.preserveWhitespace !== false
   const whitespaceOption = options.whitespace
   let root // 最终导出的根节点
+  const roots: Array<ASTElement> = [] // 所有根节点，多于一个时作为片段渲染
   let currentParent // 当前节点的父节点
   let inVPre = false
   let inPre = false
@@ -119,28 +120,18 @@ export function parse (
       element = processElement(element, options)
     }
     // tree management
-    if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
-        }
-        addIfCondition(root, {
-          exp: element.elseif,
-          block: element
-        })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+    if (!stack.length) {
+      // root elements with v-else-if and v-else are chained to the
+      // preceding v-if root, other roots are rendered as a fragment
+      if (element.elseif || element.else) {
+        processIfConditions(element, roots)
+      } else if (!element.forbidden || element === root) {
+        roots.push(element)
       }
     }
     if (currentParent && !element.forbidden) {
       if (element.elseif || element.else) {
-        processIfConditions(element, currentParent)
+        processIfConditions(element, currentParent.children)
       } else {
         if (element.slotScope) {
           // scoped slot
@@ -187,23 +178,6 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
-    }
-  }
-
   // HTML解析器
   /** 
    * @param template 待转换的模板字符串
@@ -294,9 +268,6 @@ export function parse (
 
       if (!root) {
         root = element
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(root)
-        }
       }
 
       if (!unary) {
@@ -427,6 +398,16 @@ export function parse (
     }
   })
 
+  if (roots.length > 1) {
+    // 多个根节点时，使用<template>包裹，代码生成时得到子节点数组，渲染为片段
+    const fragment = createASTElement('template', [], undefined)
+    fragment.fragment = true
+    roots.forEach(el => {
+      el.parent = fragment
+      fragment.children.push(el)
+    })
+    return fragment
+  }
   return root
 }
 
@@ -577,8 +558,8 @@ function processIf (el) {
   }
 }
 
-function processIfConditions (el, parent) {
-  const prev = findPrevElement(parent.children)
+function processIfConditions (el, siblings) {
+  const prev = findPrevElement(siblings)
   if (prev && prev.if) {
     addIfCondition(prev, {
       exp: el.elseif,
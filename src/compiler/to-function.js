@@ -3,21 +3,55 @@
 import { noop, extend } from 'shared/util'
 import { warn as baseWarn, tip } from 'core/util/debug'
 import { generateCodeFrame } from './codeframe'
+import { interpretFunction } from './interpreter/index'
 
 type CompiledFunctionResult = {
   render: Function;
   staticRenderFns: Array<Function>;
 };
 
-function createFunction (code, errors) {
+function createFunction (code, errors, map, interpret) {
   try {
-    return new Function(code)
+    if (interpret) {
+      return interpretFunction('', code)
+    }
+    if (map) {
+      // new Function()的源码以"function anonymous(\n) {\n"开头，函数体从第3行开始
+      map = extend(extend({}, map), { mappings: ';;' + map.mappings })
+      code += `\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${toBase64(JSON.stringify(map))}`
+    }
+    const fn = new Function(code)
+    if (map) {
+      // 供错误处理时将报错位置映射回模板
+      fn.sourceMap = map
+    }
+    return fn
   } catch (err) {
     errors.push({ err, code })
     return noop
   }
 }
 
+function toBase64 (str: string): string {
+  return typeof btoa === 'function'
+    ? btoa(unescape(encodeURIComponent(str)))
+    : Buffer.from(str).toString('base64')
+}
+
+// whether new Function() is allowed, i.e. not forbidden by a CSP
+let evalAllowed: ?boolean
+function canEvaluate (): boolean {
+  if (evalAllowed == null) {
+    try {
+      new Function('return 1')
+      evalAllowed = true
+    } catch (e) {
+      evalAllowed = false
+    }
+  }
+  return evalAllowed
+}
+
 export function createCompileToFunctionFn (compile: Function): Function {
   const cache = Object.create(null)
 
@@ -30,28 +64,16 @@ export function createCompileToFunctionFn (compile: Function): Function {
     const warn = options.warn || baseWarn
     delete options.warn
 
-    /* istanbul ignore if */
-    if (process.env.NODE_ENV !== 'production') {
-      // detect possible CSP restriction
-      try {
-        new Function('return 1')
-      } catch (e) {
-        if (e.toString().match(/unsafe-eval|CSP/)) {
-          warn(
-            'It seems you are using the standalone build of Vue.js in an ' +
-            'environment with Content Security Policy that prohibits unsafe-eval. ' +
-            'The template compiler cannot work in this environment. Consider ' +
-            'relaxing the policy to allow unsafe-eval or pre-compiling your ' +
-            'templates into render functions.'
-          )
-        }
-      }
+    // when a Content Security Policy prohibits unsafe-eval, render code
+    // is evaluated by the template interpreter instead of new Function
+    if (options.interpret == null) {
+      options.interpret = !canEvaluate()
     }
 
     // check cache
-    const key = options.delimiters
+    const key = (options.interpret ? 'interpret:' : '') + (options.delimiters
       ? String(options.delimiters) + template
-      : template
+      : template)
     if (cache[key]) {
       return cache[key]
     }
@@ -90,9 +112,11 @@ export function createCompileToFunctionFn (compile: Function): Function {
     // turn code into functions
     const res = {}
     const fnGenErrors = []
-    res.render = createFunction(compiled.render, fnGenErrors)
-    res.staticRenderFns = compiled.staticRenderFns.map(code => {
-      return createFunction(code, fnGenErrors)
+    const { map, staticMaps } = compiled
+    const { interpret } = options
+    res.render = createFunction(compiled.render, fnGenErrors, map, interpret)
+    res.staticRenderFns = compiled.staticRenderFns.map((code, i) => {
+      return createFunction(code, fnGenErrors, staticMaps && staticMaps[i], interpret)
     })
 
     // check function generation errors.
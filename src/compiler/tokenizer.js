@@ -0,0 +1,153 @@
+/* @flow */
+
+import { makeMap, hasOwn } from 'shared/util'
+
+/**
+ * A tokenizer for the JavaScript used in generated render code and
+ * template expressions. It is shared by the module codegen, which
+ * rewrites identifiers, and the template interpreter.
+ *
+ * Template literals are split into `template` tokens (the text after
+ * the opening backtick or a substitution, the last one including the
+ * closing backtick) around the tokens of their `${}` substitutions.
+ */
+
+export type Token = {
+  type: 'name' | 'punc' | 'string' | 'template' | 'number' | 'regex';
+  value: string;
+  start: number;
+  end: number;
+  out?: string;
+};
+
+// keywords after which a slash starts a regular expression
+const isRegexPrefixKeyword = makeMap(
+  'return,typeof,instanceof,in,of,new,delete,void,throw,case,do,else'
+)
+
+const identRE = /[\w$]/
+const numberRE = /^(?:0[xob][\da-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/i
+// longer punctuators first
+const puncs = [
+  '>>>=', '...', '===', '!==', '**=', '>>>', '<<=', '>>=', '&&=', '||=', '??=',
+  '=>', '?.', '==', '!=', '<=', '>=', '&&', '||', '??', '++', '--',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>', '${'
+]
+
+export function tokenize (code: string): Array<Token> {
+  const tokens = []
+  // 记录大括号的嵌套，区分普通的 } 与模板字符串中 ${} 的结束
+  const braces = []
+  let i = 0
+
+  const push = (type, start, end) => {
+    tokens.push({ type, value: code.slice(start, end), start, end })
+  }
+
+  // 读取模板字符串在 ` 或 ${} 之后的一段，遇到 ${ 时停止
+  const readTemplate = (start: number) => {
+    let j = start
+    while (j < code.length && code[j] !== '`') {
+      if (code[j] === '\\') {
+        j += 2
+      } else if (code[j] === '$' && code[j + 1] === '{') {
+        push('template', start, j)
+        push('punc', j, j + 2)
+        braces.push('${')
+        return j + 2
+      } else {
+        j++
+      }
+    }
+    push('template', start, j + 1)
+    return j + 1
+  }
+
+  while (i < code.length) {
+    const c = code[i]
+    if (/\s/.test(c)) {
+      i++
+    } else if (c === '"' || c === '\'') {
+      let j = i + 1
+      while (j < code.length && code[j] !== c) {
+        j += code[j] === '\\' ? 2 : 1
+      }
+      push('string', i, j + 1)
+      i = j + 1
+    } else if (c === '`') {
+      i = readTemplate(i + 1)
+    } else if (c === '}' && braces[braces.length - 1] === '${') {
+      braces.pop()
+      push('punc', i, i + 1)
+      i = readTemplate(i + 1)
+    } else if (/\d/.test(c) || (c === '.' && /\d/.test(code[i + 1]))) {
+      const match = code.slice(i).match(numberRE)
+      const end = i + (match ? match[0].length : 1)
+      push('number', i, end)
+      i = end
+    } else if (identRE.test(c)) {
+      let j = i + 1
+      while (j < code.length && identRE.test(code[j])) j++
+      push('name', i, j)
+      i = j
+    } else if (c === '/' && isRegexStart(tokens[tokens.length - 1])) {
+      let j = i + 1
+      let inClass = false
+      while (j < code.length && (inClass || code[j] !== '/')) {
+        if (code[j] === '\\') j++
+        else if (code[j] === '[') inClass = true
+        else if (code[j] === ']') inClass = false
+        j++
+      }
+      j++
+      while (j < code.length && identRE.test(code[j])) j++
+      push('regex', i, j)
+      i = j
+    } else {
+      let punc = c
+      for (let k = 0; k < puncs.length; k++) {
+        if (code.startsWith(puncs[k], i)) {
+          punc = puncs[k]
+          break
+        }
+      }
+      // `a?.5:b` is a conditional, not optional chaining
+      if (punc === '?.' && /\d/.test(code[i + 2])) {
+        punc = '?'
+      }
+      if (punc === '{') braces.push('{')
+      else if (punc === '}') braces.pop()
+      push('punc', i, i + punc.length)
+      i += punc.length
+    }
+  }
+  return tokens
+}
+
+function isRegexStart (prev: ?Token): boolean {
+  if (!prev) return true
+  if (prev.type === 'punc') return !/^[)\]}]$/.test(prev.value)
+  return prev.type === 'name' && !!isRegexPrefixKeyword(prev.value)
+}
+
+export const openers: { [key: string]: string } = { '(': ')', '[': ']', '{': '}', '${': '}' }
+
+// 预先计算每个括号对应的另一半括号的位置
+export function matchBrackets (tokens: Array<Token>): Array<number> {
+  const match = []
+  const stack = []
+  for (let i = 0; i < tokens.length; i++) {
+    const { type, value } = tokens[i]
+    if (type !== 'punc') continue
+    if (hasOwn(openers, value)) {
+      stack.push(i)
+    } else if (value === ')' || value === ']' || value === '}') {
+      const open = stack.pop()
+      if (open != null) {
+        match[open] = i
+        match[i] = open
+      }
+    }
+  }
+  return match
+}
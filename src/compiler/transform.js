@@ -0,0 +1,246 @@
+/* @flow */
+// 插件转换阶段：在解析之后、优化之前，由用户插件遍历并修改AST
+
+import { hasOwn } from 'shared/util'
+import { parse } from './parser/index'
+import {
+  baseWarn,
+  addAttr,
+  addProp,
+  addDirective,
+  addHandler
+} from './helpers'
+
+// where a node is stored:
+// - root: the root of the AST
+// - children: a child of its parent
+// - condition: a v-else-if / v-else branch, in the ifConditions of the v-if element
+// - slot: a scoped slot, in the scopedSlots of its parent
+type Location = {
+  kind: 'root' | 'children' | 'condition' | 'slot';
+  parent: ASTElement | void;
+  container: any;
+  key: any;
+  removed: boolean;
+  skipped: boolean;
+  inserted: number; // nodes inserted after the node
+};
+
+type SharedContext = {
+  options: CompilerOptions;
+  warn: Function;
+  parse: (template: string) => Array<ASTNode>;
+  addAttr: Function;
+  addProp: Function;
+  addDirective: Function;
+  addHandler: Function;
+};
+
+/**
+ * Order plugins: plugins enforced as `pre` first, then the ones
+ * without `enforce`, then `post`, keeping the given order within each group.
+ */
+export function resolvePlugins (plugins: ?Array<CompilerPlugin>): Array<CompilerPlugin> {
+  const pre = []
+  const normal = []
+  const post = []
+  ;(plugins || []).forEach(plugin => {
+    (plugin.enforce === 'pre' ? pre : plugin.enforce === 'post' ? post : normal).push(plugin)
+  })
+  return pre.concat(normal, post)
+}
+
+/**
+ * Run the `enter` and `exit` visitors of compiler plugins over the AST.
+ *
+ * Nodes are visited depth first: the `enter` visitors of all plugins run
+ * before the children and scoped slots of a node are visited, the `exit`
+ * visitors after, in reverse order. v-else-if / v-else branches are
+ * visited after the v-if element, as its siblings. Nodes inserted by
+ * plugins are not visited.
+ *
+ * Returns the root, which plugins may have replaced or removed.
+ */
+export function transform (ast: ASTElement | void, options: CompilerOptions): ASTElement | void {
+  const plugins = options.plugins
+  if (!ast || !plugins || !plugins.length) return ast
+  const warn = options.warn || baseWarn
+  const shared: SharedContext = {
+    options,
+    warn,
+    parse (template: string): Array<ASTNode> {
+      const root = parse(template.trim(), options)
+      if (!root) return []
+      const nodes = root.fragment ? root.children : [root]
+      nodes.forEach(node => {
+        if (node.type === 1) node.parent = undefined
+      })
+      return nodes
+    },
+    addAttr,
+    addProp,
+    addDirective,
+    addHandler
+  }
+  const holder = { root: ast }
+  visit(createLocation('root', undefined, holder, 'root'), [], plugins, shared)
+  return holder.root
+}
+
+function createLocation (
+  kind: 'root' | 'children' | 'condition' | 'slot',
+  parent: ASTElement | void,
+  container: any,
+  key: any
+): Location {
+  return { kind, parent, container, key, removed: false, skipped: false, inserted: 0 }
+}
+
+function getNode (loc: Location): ASTNode {
+  return loc.kind === 'condition'
+    ? loc.container[loc.key].block
+    : loc.container[loc.key]
+}
+
+function visit (
+  loc: Location,
+  ancestors: Array<ASTElement>,
+  plugins: Array<CompilerPlugin>,
+  shared: SharedContext
+) {
+  const context = createContext(loc, ancestors, shared)
+  for (let i = 0; i < plugins.length; i++) {
+    const enter = plugins[i].enter
+    if (enter) {
+      enter(getNode(loc), context)
+      // 节点被移除后，不再访问其子节点，也不再调用 exit
+      if (loc.removed) return
+    }
+  }
+
+  const node = getNode(loc)
+  if (node.type === 1 && !loc.skipped) {
+    const path = ancestors.concat(node)
+    visitList(node.children, 'children', node, path, 0, plugins, shared)
+    const slots = node.scopedSlots
+    if (slots) {
+      Object.keys(slots).forEach(name => {
+        // a previous slot may have removed this one
+        if (hasOwn(slots, name)) {
+          visit(createLocation('slot', node, slots, name), path, plugins, shared)
+        }
+      })
+    }
+  }
+
+  for (let i = plugins.length - 1; i >= 0; i--) {
+    const exit = plugins[i].exit
+    if (exit) {
+      exit(getNode(loc), context)
+      if (loc.removed) return
+    }
+  }
+
+  // the first condition is the v-if element itself
+  const el = getNode(loc)
+  if (el.type === 1 && el.ifConditions) {
+    visitList(el.ifConditions, 'condition', loc.parent, ancestors, 1, plugins, shared)
+  }
+}
+
+function visitList (
+  list: Array<any>,
+  kind: 'children' | 'condition',
+  parent: ASTElement | void,
+  ancestors: Array<ASTElement>,
+  start: number,
+  plugins: Array<CompilerPlugin>,
+  shared: SharedContext
+) {
+  let i = start
+  while (i < list.length) {
+    const loc = createLocation(kind, parent, list, i)
+    visit(loc, ancestors, plugins, shared)
+    // skip the nodes inserted by plugins
+    i = loc.key + (loc.removed ? 0 : 1) + loc.inserted
+  }
+}
+
+function createContext (
+  loc: Location,
+  ancestors: Array<ASTElement>,
+  shared: SharedContext
+): TransformContext {
+  const warn = shared.warn
+  const isChild = loc.kind === 'children'
+
+  function check (method: string): boolean {
+    if (loc.removed) {
+      warn(`Cannot call ${method}() after the node has been removed.`)
+      return false
+    }
+    return true
+  }
+
+  function adopt (node: ASTNode) {
+    if (node.type === 1) node.parent = loc.parent
+  }
+
+  const context: any = Object.create(shared)
+  context.parent = loc.parent
+  context.ancestors = ancestors
+  context.siblings = isChild ? loc.container : []
+  context.index = isChild ? loc.key : -1
+
+  context.replaceNode = (node: ASTNode) => {
+    if (!check('replaceNode')) return
+    if (!isChild && node.type !== 1) {
+      warn(`Only elements can replace the root element, v-else branches or scoped slots.`)
+      return
+    }
+    adopt(node)
+    if (loc.kind === 'condition') {
+      loc.container[loc.key].block = node
+    } else {
+      loc.container[loc.key] = node
+    }
+  }
+
+  context.removeNode = () => {
+    if (!check('removeNode')) return
+    if (loc.kind === 'root') {
+      loc.container.root = undefined
+    } else if (loc.kind === 'slot') {
+      delete loc.container[loc.key]
+    } else {
+      loc.container.splice(loc.key, 1)
+    }
+    loc.removed = true
+    context.index = -1
+  }
+
+  context.insertBefore = (node: ASTNode) => {
+    if (!isChild) {
+      warn(`Nodes can only be inserted next to child nodes.`)
+      return
+    }
+    adopt(node)
+    loc.container.splice(loc.key++, 0, node)
+    if (!loc.removed) context.index = loc.key
+  }
+
+  context.insertAfter = (node: ASTNode) => {
+    if (!isChild) {
+      warn(`Nodes can only be inserted next to child nodes.`)
+      return
+    }
+    adopt(node)
+    loc.container.splice(loc.key + (loc.removed ? 0 : 1) + loc.inserted++, 0, node)
+  }
+
+  context.skip = () => {
+    loc.skipped = true
+  }
+
+  return context
+}
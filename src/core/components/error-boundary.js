@@ -0,0 +1,95 @@
+/* @flow */
+
+function keysChanged (a: ?Array<any>, b: ?Array<any>): boolean {
+  if (!a || !b || a.length !== b.length) {
+    return a !== b
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return true
+  }
+  return false
+}
+
+// 默认插槽在这个抽象子组件的render中求值，插槽内容抛出的错误因此会
+// 经过error-boundary的errorCaptured，状态在那里修改，而不是在render中
+const content = {
+  name: 'error-boundary-content',
+  abstract: true,
+  props: {
+    content: Function,
+    tag: String
+  },
+  render (h: Function) {
+    return renderSlot(h, this.tag, this.content ? this.content() : undefined)
+  }
+}
+
+/**
+ * Catches errors thrown by descendants (render, lifecycle hooks, watchers
+ * and v-on handlers, including rejected async ones) and renders the
+ * `fallback` scoped slot with `{ error, reset }` in place of the default
+ * slot. The error stops propagating unless no fallback slot is provided.
+ */
+export default {
+  name: 'error-boundary',
+
+  props: {
+    // 当数组中任一元素变化时自动清除错误，重新渲染默认插槽
+    resetKeys: Array,
+    // 默认插槽包含多个根节点时使用的包裹元素
+    tag: {
+      type: String,
+      default: 'div'
+    }
+  },
+
+  data () {
+    return { error: null }
+  },
+
+  watch: {
+    resetKeys (val: ?Array<any>, oldVal: ?Array<any>) {
+      // 父组件每次渲染都会传入新数组，因此需要逐项比较
+      if (this.error && keysChanged(val, oldVal)) {
+        this.reset()
+      }
+    }
+  },
+
+  errorCaptured (err: Error, vm: Component, info: string) {
+    if (!this.$scopedSlots.fallback) {
+      return
+    }
+    this.error = err
+    // errors of the slot content are reported as the boundary's own
+    this.$emit('error', err, vm.$options.render === content.render ? this : vm, info)
+    return false
+  },
+
+  methods: {
+    reset () {
+      this.error = null
+    }
+  },
+
+  render (h: Function) {
+    const { fallback, default: slot } = this.$scopedSlots
+    if (this.error && fallback) {
+      return renderSlot(h, this.tag, fallback({
+        error: this.error,
+        reset: this.reset
+      }))
+    }
+    if (!fallback) {
+      return renderSlot(h, this.tag, slot ? slot() : undefined)
+    }
+    return h(content, { props: { content: slot, tag: this.tag }})
+  }
+}
+
+function renderSlot (h: Function, tag: string, children: any): any {
+  if (Array.isArray(children) && children.length === 1) {
+    return children[0]
+  }
+  return Array.isArray(children) ? h(tag, children) : children
+}
@@ -1,5 +1,11 @@
 import KeepAlive from './keep-alive'
+import ErrorBoundary from './error-boundary'
+import Suspense from './suspense'
+import Teleport from './teleport'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  ErrorBoundary,
+  Suspense,
+  Teleport
 }
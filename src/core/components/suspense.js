@@ -0,0 +1,236 @@
+/* @flow */
+
+import {
+  isDef,
+  isUndef,
+  isTrue,
+  extend,
+  isPromise,
+  nextTick,
+  isServerRendering,
+  invokeWithErrorHandling
+} from 'core/util/index'
+import { cloneVNode } from 'core/vdom/vnode'
+import { PatchFlags } from 'shared/constants'
+
+type SuspenseState = {
+  pending: boolean;
+  deps: number;
+  factories: Array<Function>;
+};
+
+// 查找vm所在的最近的<suspense>边界（包括vm自身）
+function findBoundary (vm: ?Component): any {
+  while (vm) {
+    if (vm._suspense) {
+      return vm
+    }
+    vm = vm.$parent
+  }
+}
+
+/**
+ * Register an async dependency with the closest <suspense> boundary
+ * containing `vm` (vm included). Returns a callback to invoke once the
+ * dependency settles, or undefined when there is no pending boundary.
+ */
+export function registerSuspenseDep (vm: ?Component): ?Function {
+  const boundary = findBoundary(vm)
+  if (!boundary || !boundary._suspense.pending) {
+    return
+  }
+  const state: SuspenseState = boundary._suspense
+  state.deps++
+  let settled = false
+  return () => {
+    if (settled) return
+    settled = true
+    if (--state.deps === 0) {
+      // 已解析的组件会在下一次刷新时渲染，其内部可能还有新的异步依赖，
+      // 因此等到渲染完成后再检查
+      nextTick(() => {
+        if (state.deps === 0) {
+          boundary._resolveSuspense()
+        }
+      })
+    }
+  }
+}
+
+/**
+ * Called when an async component placeholder is created during patch.
+ * `vm` is the instance being patched, i.e. the placeholder's position
+ * in the component tree.
+ */
+export function registerAsyncFactory (factory: Function, vm: ?Component) {
+  if (isDef(factory.resolved) || isTrue(factory.error)) {
+    return
+  }
+  const boundary = findBoundary(vm)
+  if (!boundary || boundary._suspense.factories.indexOf(factory) > -1) {
+    return
+  }
+  const done = registerSuspenseDep(boundary)
+  if (done) {
+    boundary._suspense.factories.push(factory)
+    ;(factory.suspenseCallbacks || (factory.suspenseCallbacks = [])).push(done)
+  }
+}
+
+export function settleAsyncFactory (factory: Function) {
+  const cbs = factory.suspenseCallbacks
+  if (cbs) {
+    factory.suspenseCallbacks = undefined
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
+/**
+ * serverPrefetch hooks only run during server rendering. Inside a
+ * pending <suspense> boundary they also run on the client, and the
+ * boundary waits for the promises they return.
+ */
+export function suspendOnPrefetch (vm: Component) {
+  const handlers = vm.$options.serverPrefetch
+  if (!handlers || isServerRendering()) {
+    return
+  }
+  const boundary = findBoundary(vm.$parent)
+  if (!boundary || !boundary._suspense.pending) {
+    return
+  }
+  for (let i = 0; i < handlers.length; i++) {
+    const res = invokeWithErrorHandling(handlers[i], vm, null, vm, 'serverPrefetch hook')
+    if (isPromise(res)) {
+      const done = registerSuspenseDep(boundary)
+      if (done) {
+        (res: any).then(done, done)
+      }
+    }
+  }
+}
+
+// 给默认插槽的每个根元素加上v-show。插槽节点在父组件未重新渲染时会被复用，
+// 因此在克隆的节点上添加，避免重复添加指令、新旧节点相同而跳过更新
+function withShow (vnodes: Array<VNode>, value: boolean): Array<VNode> {
+  return vnodes.map(vnode => {
+    if (isUndef(vnode.tag)) {
+      return vnode
+    }
+    const cloned = cloneVNode(vnode)
+    const data = cloned.data = extend({}, vnode.data)
+    data.directives = (data.directives || []).concat({ name: 'show', value })
+    if (isDef(cloned.patchFlag)) {
+      // 编译器优化过的节点只有带NEED_PATCH时才会更新指令
+      cloned.patchFlag |= PatchFlags.NEED_PATCH
+    }
+    return cloned
+  })
+}
+
+/**
+ * Renders the `fallback` slot until every async component and async
+ * setup() nested in the default slot has settled. The default slot is
+ * rendered meanwhile with `v-show` semantics on its root elements, so
+ * that nested dependencies are discovered and their state is kept when
+ * it is revealed (root text nodes can't be hidden). The slot contents
+ * and the fallback are rendered inside a `tag` element (a <div> by
+ * default). Server rendering has no pending state: the renderer waits
+ * for async components and serverPrefetch itself, so the default slot
+ * is rendered right away.
+ */
+export default {
+  name: 'suspense',
+
+  props: {
+    // 显示fallback前等待的毫秒数，避免依赖很快解析时fallback一闪而过
+    timeout: {
+      type: [Number, String],
+      default: 0
+    },
+    tag: {
+      type: String,
+      default: 'div'
+    }
+  },
+
+  data () {
+    return {
+      isPending: !isServerRendering(),
+      showFallback: false
+    }
+  },
+
+  created () {
+    this._suspense = ({
+      pending: !isServerRendering(),
+      deps: 0,
+      factories: []
+    }: SuspenseState)
+    this._fallbackTimer = null
+  },
+
+  mounted () {
+    // 子树已经完成patch，此时所有初始的异步依赖都已注册
+    if (this._suspense.deps === 0) {
+      this._resolveSuspense()
+      return
+    }
+    this.$emit('pending')
+    const timeout = Number(this.timeout)
+    if (timeout > 0) {
+      this._fallbackTimer = setTimeout(() => {
+        this._fallbackTimer = null
+        this._showFallback()
+      }, timeout)
+    } else {
+      this._showFallback()
+    }
+  },
+
+  destroyed () {
+    this._suspense.pending = false
+    if (this._fallbackTimer !== null) {
+      clearTimeout(this._fallbackTimer)
+      this._fallbackTimer = null
+    }
+  },
+
+  methods: {
+    _showFallback () {
+      if (this.isPending) {
+        this.showFallback = true
+        this.$emit('fallback')
+      }
+    },
+
+    _resolveSuspense () {
+      if (!this._suspense.pending || this._isDestroyed) {
+        return
+      }
+      this._suspense.pending = false
+      this._suspense.factories.length = 0
+      if (this._fallbackTimer !== null) {
+        clearTimeout(this._fallbackTimer)
+        this._fallbackTimer = null
+      }
+      this.isPending = false
+      this.showFallback = false
+      // 在默认插槽显示之后触发
+      this.$nextTick(() => this.$emit('resolve'))
+    }
+  },
+
+  render (h: Function) {
+    const { default: slot, fallback } = this.$scopedSlots
+    const content = withShow((slot && slot()) || [], !this.isPending)
+    // fallback放在默认插槽之后，显示和移除它时默认插槽的节点位置不变，
+    // 组件不会被重新创建
+    const children = this.showFallback && fallback
+      ? content.concat(fallback() || [])
+      : content
+    return h(this.tag, children)
+  }
+}
@@ -0,0 +1,127 @@
+/* @flow */
+
+import VNode, { createEmptyVNode } from 'core/vdom/vnode'
+import { setActiveInstance } from 'core/instance/lifecycle'
+import { warn, inBrowser } from 'core/util/index'
+
+// 服务端渲染时，被传送的内容使用这两个注释包裹后输出到渲染上下文的teleports中
+export const TELEPORT_START = 'teleport start'
+export const TELEPORT_END = 'teleport end'
+
+function resolveTarget (to: string | Element, vm: Component): ?Element {
+  if (typeof to !== 'string') {
+    return to
+  }
+  const target = inBrowser ? document.querySelector(to) : null
+  if (!target) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed to locate Teleport target with selector "${to}".`,
+      vm
+    )
+  }
+  return target
+}
+
+// 以目标元素自身作为根节点，这样patch时只会增删被传送的子节点，
+// 目标元素原有的其他子节点不受影响
+function createTargetVNode (target: Element, children: ?Array<VNode>): VNode {
+  return new VNode(target.tagName.toLowerCase(), undefined, children, undefined, target)
+}
+
+// remove content rendered by the server so that it is not duplicated
+function removeServerContent (target: Element) {
+  let node = target.firstChild
+  let removing = false
+  while (node) {
+    const next = node.nextSibling
+    const isMarker = node.nodeType === 8
+    if (isMarker && (node: any).data === TELEPORT_START) {
+      removing = true
+    }
+    if (removing) {
+      target.removeChild(node)
+      if (isMarker && (node: any).data === TELEPORT_END) {
+        return
+      }
+    }
+    node = next
+  }
+}
+
+/**
+ * Renders its default slot into another DOM node (`to`, a selector or an
+ * element). The content stays a logical child of the teleport: child
+ * components get it as $parent, so inject and $emit work as usual. In
+ * its original position, the teleport renders a comment node.
+ */
+export default {
+  name: 'teleport',
+
+  props: {
+    // 选择器或DOM元素
+    to: {
+      required: true
+    }
+  },
+
+  mounted () {
+    this._target = resolveTarget(this.to, this)
+    if (this._target) {
+      removeServerContent(this._target)
+      this._patchTeleport()
+    }
+  },
+
+  updated () {
+    const target = resolveTarget(this.to, this)
+    if (target !== this._target) {
+      // 目标变化时，移动已渲染的DOM而不是重新创建，从而保留子组件的状态
+      const tree = this._teleportTree
+      if (tree && tree.children && target) {
+        tree.children.forEach(child => {
+          child.elm && target.appendChild(child.elm)
+        })
+        tree.elm = target
+      } else if (tree) {
+        this._teardownTeleport()
+      }
+      this._target = target
+    }
+    if (this._target) {
+      this._patchTeleport()
+    }
+  },
+
+  beforeDestroy () {
+    this._teardownTeleport()
+  },
+
+  methods: {
+    _patchTeleport () {
+      const target = this._target
+      const prevTree = this._teleportTree || createTargetVNode(target, [])
+      const tree = this._teleportTree = createTargetVNode(target, this._teleportChildren)
+      // 子组件以teleport实例作为$parent
+      const restoreActiveInstance = setActiveInstance(this)
+      this.__patch__(prevTree, tree)
+      restoreActiveInstance()
+    },
+
+    _teardownTeleport () {
+      const tree = this._teleportTree
+      if (tree) {
+        this._teleportTree = null
+        const restoreActiveInstance = setActiveInstance(this)
+        this.__patch__(tree, createTargetVNode(tree.elm, undefined))
+        restoreActiveInstance()
+      }
+    }
+  },
+
+  render () {
+    // 子节点由mounted/updated中单独patch到目标节点，服务端渲染时则由渲染器处理
+    const slot = this.$scopedSlots.default
+    this._teleportChildren = (slot && slot()) || []
+    return createEmptyVNode('teleport')
+  }
+}
@@ -16,9 +16,12 @@ export type Config = {
   performance: boolean;
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
-  warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  warnHandler: ?(msg: string, vm: Component, trace: string, details?: Object) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  proxyReactivity: boolean;
+  flushBudget: number;
+  maxComputedEvaluations: number;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -35,7 +38,7 @@ export type Config = {
   _lifecycleHooks: Array<string>;
 };
 
-export default ({
+const config = ({
   /**
    * Option merge strategies (used in core/util/options)
    */
@@ -123,8 +126,48 @@ export default ({
    */
   async: true,
 
+  /**
+   * Observe data with ES Proxies instead of getter/setters, so that
+   * property addition/deletion and array index writes are reactive.
+   * Only applies to data observed after it is turned on.
+   */
+  proxyReactivity: false,
+
+  /**
+   * Time in ms the scheduler may spend running watchers before yielding
+   * to the browser and resuming the flush in a macro task, so that large
+   * updates don't block input. 0 disables time slicing.
+   */
+  flushBudget: 0,
+
+  /**
+   * Warn when a computed property is re-evaluated more than this many
+   * times during a single flush (development only). 0 disables the check.
+   */
+  maxComputedEvaluations: 0,
+
   /**
    * Exposed for legacy reasons
    */
   _lifecycleHooks: LIFECYCLE_HOOKS
 }: Config)
+
+export default config
+
+/**
+ * Get the config that applies to an instance: the config of the app it
+ * was created in (see Vue.createApp), or the global config.
+ */
+export function getConfig (vm: any): Config {
+  // $options is not set yet at the beginning of _init
+  return getOptionsConfig(vm && vm._isVue && (vm.$options || vm.constructor.options))
+}
+
+/**
+ * Get the config that applies to component options, through the
+ * constructor (_base) they were merged with.
+ */
+export function getOptionsConfig (options: ?Object): Config {
+  const base = options && options._base
+  return (base && base.config) || config
+}
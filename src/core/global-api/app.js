@@ -0,0 +1,145 @@
+/* @flow */
+
+import config from '../config'
+import { ASSET_TYPES } from 'shared/constants'
+import { warn, extend } from '../util/index'
+
+export type App = {
+  version: string;
+  config: Object;
+  _installedPlugins: Array<Function | Object>;
+  options: Object;
+  prototype: Object;
+  util: Object;
+  extend: (extendOptions: Object) => Function;
+  set: Function;
+  delete: Function;
+  nextTick: Function;
+  observable: Function;
+  use: (plugin: Function | Object, ...options: Array<any>) => App;
+  mixin: (mixin: Object) => App;
+  provide: (key: string | Symbol, value: any) => App;
+  component: Function;
+  directive: Function;
+  filter: Function;
+  mount: (el?: Element | string, hydrating?: boolean) => Component;
+  unmount: () => void;
+};
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an isolated application. The app gets its own constructor
+   * (extended from Vue), so components, directives, filters, mixins and
+   * plugins registered on it never reach Vue.options or other apps.
+   * Assets registered globally on Vue are still visible as a fallback.
+   * The config of the app is read through getConfig(vm), except for the
+   * fields of the scheduler and the reactivity system (async, flushBudget,
+   * proxyReactivity, devtools, productionTip) which stay global.
+   */
+  // 每个应用拥有独立的子类构造函数，并将其作为_base，
+  // 这样应用内所有组件都由该构造函数扩展而来，资源解析也就沿着应用的options进行
+  Vue.createApp = function (rootOptions?: Object = {}): App {
+    const AppCtor = this.extend({})
+    AppCtor.options._base = AppCtor
+
+    // own config, falling back to the global one for unset fields;
+    // object and array fields are copied so that changes made to them
+    // through the app never reach the global config. Merge strategies fall
+    // back to the global ones, which plugins may register later on.
+    const appConfig = Object.create(config)
+    appConfig.keyCodes = extend(Object.create(null), config.keyCodes)
+    appConfig.optionMergeStrategies = Object.create(config.optionMergeStrategies)
+    appConfig.ignoredElements = config.ignoredElements.slice()
+    appConfig.globalProperties = AppCtor.prototype
+    AppCtor.config = appConfig
+    // values every component of the app can inject, see resolveInject
+    const provided = AppCtor._provided = {}
+
+    const installedPlugins = []
+    let root: ?Component = null
+
+    // the app is a constructor as well: Vue 2 plugins expect install() to
+    // receive one, e.g. to create instances with `new Vue()` or to extend
+    // Vue.prototype. Instances it creates belong to the app.
+    const app: any = function VueApp (options?: Object) {
+      return new AppCtor(options)
+    }
+    app.prototype = AppCtor.prototype
+    // Vue.mixin() replaces the options object, so it has to be read live
+    const optionsDef = {}
+    optionsDef.get = () => AppCtor.options
+    Object.defineProperty(app, 'options', optionsDef)
+
+    extend(app, {
+      version: Vue.version,
+      config: appConfig,
+      _installedPlugins: installedPlugins,
+
+      // members of the global API used by Vue 2 plugins
+      util: Vue.util,
+      set: Vue.set,
+      delete: Vue.delete,
+      nextTick: Vue.nextTick,
+      observable: Vue.observable,
+      extend (extendOptions: Object): Function {
+        return AppCtor.extend(extendOptions)
+      },
+
+      use (plugin: Function | Object, ...options: Array<any>): App {
+        if (installedPlugins.indexOf(plugin) > -1) {
+          return app
+        }
+        if (typeof plugin.install === 'function') {
+          plugin.install(app, ...options)
+        } else if (typeof plugin === 'function') {
+          plugin(app, ...options)
+        }
+        installedPlugins.push(plugin)
+        return app
+      },
+
+      mixin (mixin: Object): App {
+        AppCtor.mixin(mixin)
+        return app
+      },
+
+      provide (key: string | Symbol, value: any): App {
+        provided[(key: any)] = value
+        return app
+      },
+
+      mount (el?: Element | string, hydrating?: boolean): Component {
+        if (root) {
+          process.env.NODE_ENV !== 'production' && warn(
+            `App has already been mounted. Create a new app with ` +
+            `Vue.createApp() to mount another root instance.`
+          )
+          return root
+        }
+        root = new AppCtor(rootOptions)
+        return root.$mount(el, hydrating)
+      },
+
+      unmount () {
+        if (root) {
+          root.$destroy()
+          root = null
+        }
+      }
+    })
+
+    // app.component / app.directive / app.filter register on the app and
+    // return it for chaining, or look up an asset when called with an id only
+    ASSET_TYPES.forEach(type => {
+      app[type] = function (id: string, definition?: Function | Object) {
+        if (!definition) {
+          return AppCtor[type](id)
+        }
+        AppCtor[type](id, definition)
+        return app
+      }
+    })
+
+    return app
+  }
+}
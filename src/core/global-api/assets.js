@@ -2,6 +2,7 @@
 
 import { ASSET_TYPES } from 'shared/constants'
 import { isPlainObject, validateComponentName } from '../util/index'
+import { getOptionsConfig } from '../config'
 
 export function initAssetRegisters (Vue: GlobalAPI) {
   /**
@@ -21,7 +22,7 @@ export function initAssetRegisters (Vue: GlobalAPI) {
         /* istanbul ignore if */
         if (process.env.NODE_ENV !== 'production' && type === 'component') {
           // 判断组件名是否合法
-          validateComponentName(id)
+          validateComponentName(id, getOptionsConfig(this.options))
         }
         // 对三种情况做区分
         // 如果component是一个对象，那么用extend方法转化为vue的子类，如果name不存在，则将id作为组件的name，这也是为什么我们子组件可以不用写name，直接用data的原因
@@ -3,6 +3,7 @@
 import { ASSET_TYPES } from 'shared/constants'
 import { defineComputed, proxy } from '../instance/state'
 import { extend, mergeOptions, validateComponentName } from '../util/index'
+import { getOptionsConfig } from '../config'
 
 export function initExtend (Vue: GlobalAPI) {
   /**
@@ -30,7 +31,7 @@ export function initExtend (Vue: GlobalAPI) {
     const name = extendOptions.name || Super.options.name
     if (process.env.NODE_ENV !== 'production' && name) {
       // 校验name命名是否合法，即是否和内部一些属性名称冲突
-      validateComponentName(name)
+      validateComponentName(name, getOptionsConfig(Super.options))
     }
 
     // 创建需要继承vue类的子类
@@ -5,15 +5,54 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initCreateApp } from './app'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
-import { observe } from 'core/observer/index'
+import { observe, toReactive } from 'core/observer/index'
+import { flushAll } from '../observer/scheduler'
+import { oneOf, arrayOf, shape, instanceOf, nullable } from '../util/prop-types'
+import {
+  reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReactive,
+  isShallow,
+  isReadonly,
+  toRaw,
+  ref,
+  isRef,
+  unref,
+  computed,
+  watch,
+  watchEffect,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../reactivity/index'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/setup'
+import { provide, inject } from '../instance/inject'
 
 import {
   warn,
   extend,
   nextTick,
+  setTimerFunc,
   mergeOptions,
   defineReactive
 } from '../util/index'
@@ -46,6 +85,8 @@ export function initGlobalAPI (Vue: GlobalAPI) {
     【Vue.mixin】 通过initMixin方法定义
 
     【Vue.extend】通过initExtend方法定义
+
+    【Vue.createApp】 通过initCreateApp方法定义，创建互相隔离的应用
   */
 
   // 挂载Vue.config
@@ -64,13 +105,54 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.set = set // 为某个数据添加属性，因为vue不能探测普通的新增属性，如this.obj.name = 'H1'，不会触发试图更新
   Vue.delete = del // 删除某个对象的属性，原理同Vue.set
   Vue.nextTick = nextTick // 在下次DOM更新循环结束之后执行延迟回调
+  Vue.setTimerFunc = setTimerFunc // 自定义nextTick的异步策略，如requestAnimationFrame
+  Vue.flushAll = flushAll // 同步执行所有等待中的watcher和nextTick回调，用于测试
 
   // 2.6 explicit observable API
   Vue.observable = <T>(obj: T): T => {
     observe(obj)
-    return obj
+    return toReactive(obj)
   }
 
+  // composable prop type descriptors, e.g. { type: Vue.propTypes.arrayOf(String) }
+  Vue.propTypes = { oneOf, arrayOf, shape, instanceOf, nullable }
+
+  // standalone reactivity API, usable without a component instance
+  Vue.reactive = reactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.shallowReadonly = shallowReadonly
+  Vue.isReactive = isReactive
+  Vue.isShallow = isShallow
+  Vue.isReadonly = isReadonly
+  Vue.toRaw = toRaw
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.watch = watch
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  // lifecycle registration for the setup() option
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+  Vue.provide = provide
+  Vue.inject = inject
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     // 为Vue.options 挂载 component，directive，filter属性
@@ -81,11 +163,12 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   // 这用于标识“base”构造函数，以在Weex的多实例场景中扩展所有plain-object组件
   Vue.options._base = Vue
 
-  // builtInComponents: keepAlive
+  // builtInComponents: keepAlive, errorBoundary, suspense, teleport
   extend(Vue.options.components, builtInComponents)
 
   initUse(Vue)
   initMixin(Vue)
   initExtend(Vue)
   initAssetRegisters(Vue)
+  initCreateApp(Vue)
 }
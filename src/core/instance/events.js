@@ -2,8 +2,15 @@
 
 import {
   tip,
+  warn,
+  cached,
+  isObject,
   toArray,
+  camelize,
+  toRawType,
   hyphenate,
+  emptyObject,
+  isEmitDeclared,
   formatComponentName,
   invokeWithErrorHandling
 } from '../util/index'
@@ -18,6 +25,7 @@ export function initEvents (vm: Component) {
   // 创建事件对象，用于存储事件
   vm._events = Object.create(null)
   vm._hasHookEvent = false
+  vm._hasWildcardEvent = false
 
   // _parentListeners其实是父组件模板中写的v-on
   // 将父组件向子组件注册的事件注册到子组件的实例中
@@ -59,37 +67,144 @@ export function updateComponentListeners (
   target = undefined
 }
 
+type ListenerOptions = {
+  priority?: number;
+};
+
+// 通配符事件，如 "*"、"update:*"、"form.*"，其中 * 匹配任意字符
+const isWildcard = (event: string): boolean => event.indexOf('*') > -1
+
+const toWildcardRE = cached((pattern: string): RegExp => new RegExp(
+  '^' + pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+))
+
+function matchesWildcard (pattern: string, event: string): boolean {
+  // hook events are only matched by patterns in the hook namespace
+  if (/^hook:/.test(event) && !/^hook:/.test(pattern)) {
+    return false
+  }
+  return toWildcardRE(pattern).test(event)
+}
+
+// 监听器可能被$once或带优先级的包装函数包裹，通过fn属性逐层找到原始函数
+function isSameListener (cb: any, fn: Function): boolean {
+  while (cb) {
+    if (cb === fn) return true
+    cb = cb.fn
+  }
+  return false
+}
+
+const priorityOf = (cb: any): number => cb.priority || 0
+
+// 按优先级从高到低插入，优先级相同时按注册顺序
+function insertByPriority (cbs: Array<Function>, cb: Function) {
+  const priority = priorityOf(cb)
+  let i = cbs.length
+  while (i > 0 && priorityOf(cbs[i - 1]) < priority) {
+    i--
+  }
+  cbs.splice(i, 0, cb)
+}
+
+// 合并匹配event的通配符监听器，并保持按优先级排序
+function collectWildcardListeners (vm: Component, event: string, cbs: ?Array<Function>): ?Array<Function> {
+  let res: ?Array<Function>
+  for (const key in vm._events) {
+    const listeners = vm._events[key]
+    if (key !== event && listeners && listeners.length && isWildcard(key) && matchesWildcard(key, event)) {
+      const merged = res || (res = cbs ? cbs.slice() : [])
+      for (let i = 0; i < listeners.length; i++) {
+        insertByPriority(merged, listeners[i])
+      }
+    }
+  }
+  return res || cbs
+}
+
+// 事件对象：实现了preventDefault()并以defaultPrevented记录结果，如DOM事件
+function isCancelableEvent (e: any): boolean {
+  return isObject(e) && typeof e.preventDefault === 'function'
+}
+
 export function eventsMixin (Vue: Class<Component>) {
   // 4个事件相关的实例方法：on,once,off,emit。
   const hookRE = /^hook:/
-  // 用法vm.$on( event, callback )
-  // 新增自定义事件监听器
-  Vue.prototype.$on = function (event: string | Array<string>, fn: Function): Component {
+  // 用法vm.$on( event, callback, [options] )
+  // 新增自定义事件监听器，event可以是通配符，options.priority越大越先执行
+  Vue.prototype.$on = function (
+    event: string | Array<string>,
+    fn: Function,
+    options?: ListenerOptions
+  ): Component {
     const vm: Component = this
     if (Array.isArray(event)) { // 如果是一个数组，则表示订阅多个事件
       for (let i = 0, l = event.length; i < l; i++) {
-        vm.$on(event[i], fn) // 用递归将多个事件分解为订阅单个事件
+        vm.$on(event[i], fn, options) // 用递归将多个事件分解为订阅单个事件
       }
     } else { // 单个事件处理方法
+      let listener = fn
+      const priority = options && options.priority
+      if (priority) {
+        // 包装一层以记录优先级，同一个函数可以以不同优先级监听不同事件
+        listener = function () {
+          return fn.apply(this, arguments)
+        }
+        listener.fn = fn
+        listener.priority = priority
+      }
       // 如果当前事件中心_events中没有事件列表，则将传入的回调传入进去，事件触发时则触发回调fn，如果有，则绑定事件中心中的事件
-      (vm._events[event] || (vm._events[event] = [])).push(fn)
+      insertByPriority(vm._events[event] || (vm._events[event] = []), listener)
       // optimize hook:event cost by using a boolean flag marked at registration
       // instead of a hash lookup
       if (hookRE.test(event)) {
         vm._hasHookEvent = true
       }
+      if (isWildcard(event)) {
+        vm._hasWildcardEvent = true
+      }
     }
     return vm
   }
 
-  Vue.prototype.$once = function (event: string, fn: Function): Component {
+  Vue.prototype.$once = function (
+    event: string | Array<string>,
+    fn: Function,
+    options?: ListenerOptions
+  ): Component {
     const vm: Component = this
     function on () {
       vm.$off(event, on)
       fn.apply(vm, arguments)
     }
     on.fn = fn
-    vm.$on(event, on)
+    vm.$on(event, on, options)
+    return vm
+  }
+
+  // 用法vm.$onScoped( event, callback, scope, [options] )
+  // 与$on相同，但在scope实例销毁时自动移除监听器
+  Vue.prototype.$onScoped = function (
+    event: string | Array<string>,
+    fn: Function,
+    scope: Component,
+    options?: ListenerOptions
+  ): Component {
+    const vm: Component = this
+    if (scope._isBeingDestroyed) {
+      return vm
+    }
+    vm.$on(event, fn, options)
+    const cleanup = () => {
+      vm.$off(event, fn)
+      vm.$off('hook:destroyed', release)
+    }
+    // 监听者先于scope销毁时，移除scope上的清理函数，避免保留对vm的引用
+    const release = () => {
+      scope.$off('hook:destroyed', cleanup)
+    }
+    scope.$on('hook:destroyed', cleanup)
+    vm.$on('hook:destroyed', release)
     return vm
   }
 
@@ -100,6 +215,7 @@ export function eventsMixin (Vue: Class<Component>) {
     // all
     if (!arguments.length) { // 如果参数不存在，则直接重置事件中心为空,清除全部事件监听
       vm._events = Object.create(null)
+      vm._hasWildcardEvent = false
       return vm
     }
     // array of events
@@ -126,7 +242,7 @@ export function eventsMixin (Vue: Class<Component>) {
     while (i--) {
       // 获取该事件的回调
       cb = cbs[i]
-      if (cb === fn || cb.fn === fn) {
+      if (isSameListener(cb, fn)) {
         cbs.splice(i, 1)
         break
       }
@@ -140,6 +256,24 @@ export function eventsMixin (Vue: Class<Component>) {
   Vue.prototype.$emit = function (event: string): Component {
     const vm: Component = this
     if (process.env.NODE_ENV !== 'production') {
+      const emits = vm.$options.emits
+      if (emits && !hookRE.test(event)) {
+        if (!isEmitDeclared(emits, event)) {
+          warn(
+            `Component emitted event "${event}" but it is not declared in ` +
+            `the emits option.`,
+            vm
+          )
+        } else {
+          const validator = emits[event] || emits[camelize(event)] || emits[hyphenate(event)]
+          if (validator && !validator.apply(vm, toArray(arguments, 1))) {
+            warn(
+              `Invalid event arguments: event validation failed for event "${event}".`,
+              vm
+            )
+          }
+        }
+      }
       const lowerCaseEvent = event.toLowerCase()
       if (lowerCaseEvent !== event && vm._events[lowerCaseEvent]) {
         tip(
@@ -153,6 +287,9 @@ export function eventsMixin (Vue: Class<Component>) {
     }
     // 从事件中心_events中获取到对应的事件回调函数cbs
     let cbs = vm._events[event]
+    if (vm._hasWildcardEvent) {
+      cbs = collectWildcardListeners(vm, event, cbs)
+    }
     if (cbs) {
       cbs = cbs.length > 1 ? toArray(cbs) : cbs
       // 获取传入的参数
@@ -165,4 +302,44 @@ export function eventsMixin (Vue: Class<Component>) {
     }
     return vm
   }
+
+  // 调用方法vm.$emitCancelable( eventName, event, […args] )
+  // 与$emit相同，返回是否有监听器在本次触发中调用了event.preventDefault()
+  Vue.prototype.$emitCancelable = function (event: string, e: any): boolean {
+    const vm: Component = this
+    if (!isCancelableEvent(e)) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `$emitCancelable() expects an event object with a preventDefault() ` +
+          `method as its second argument, got ${toRawType(e)}.`,
+          vm
+        )
+      }
+      vm.$emit.apply(vm, arguments)
+      return false
+    }
+    // 事件在触发前可能已经被取消，只有本次触发中的取消才算数
+    const prevented = !!e.defaultPrevented
+    vm.$emit.apply(vm, arguments)
+    return !prevented && !!e.defaultPrevented
+  }
+}
+
+/**
+ * Get the parent listeners exposed as vm.$listeners. Events declared in
+ * the emits option are only triggered by $emit, so they don't fall
+ * through to elements or components bound with v-on="$listeners".
+ */
+export function getFallthroughListeners (vm: Component, listeners: ?Object): Object {
+  const emits = vm.$options.emits
+  if (!listeners || !emits) {
+    return listeners || emptyObject
+  }
+  const res = {}
+  for (const key in listeners) {
+    if (!isEmitDeclared(emits, key)) {
+      res[key] = listeners[key]
+    }
+  }
+  return res
 }
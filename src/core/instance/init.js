@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from '../config'
+import { getConfig } from '../config'
 import { initProxy } from './proxy'
 import { initState } from './state'
 import { initRender } from './render'
@@ -8,6 +8,7 @@ import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { suspendOnPrefetch } from '../components/suspense'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 
 let uid = 0
@@ -22,7 +23,7 @@ export function initMixin (Vue: Class<Component>) { // 此时的Vue并没有实
     let startTag, endTag
     /* istanbul ignore if */
     // 可以忽视这行代码
-    if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+    if (process.env.NODE_ENV !== 'production' && getConfig(vm).performance && mark) {
       startTag = `vue-perf-start:${vm._uid}`
       endTag = `vue-perf-end:${vm._uid}`
       mark(startTag)
@@ -71,9 +72,10 @@ export function initMixin (Vue: Class<Component>) { // 此时的Vue并没有实
     initState(vm)
     initProvide(vm) // 初始化provide， resolve provide after data/props
     callHook(vm, 'created') // 调用生命周期钩子函数
+    suspendOnPrefetch(vm) // 位于<suspense>中时，在客户端也执行serverPrefetch
 
     /* istanbul ignore if */
-    if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+    if (process.env.NODE_ENV !== 'production' && getConfig(vm).performance && mark) {
       vm._name = formatComponentName(vm, false)
       mark(endTag)
       measure(`vue ${vm._name} init`, startTag, endTag)
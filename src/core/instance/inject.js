@@ -1,18 +1,57 @@
 /* @flow */
 
+import Watcher from '../observer/watcher'
 import { hasOwn } from 'shared/util'
 import { warn, hasSymbol } from '../util/index'
 import { defineReactive, toggleObserving } from '../observer/index'
+import { getCurrentInstance } from './setup'
+
+type InjectKey = string | Symbol
 
 export function initProvide (vm: Component) {
   const provide = vm.$options.provide
   if (provide) {
-    vm._provided = typeof provide === 'function'
-      ? provide.call(vm)
-      : provide
+    // 开启reactiveProvide时，provide函数在watcher中求值，依赖的状态变化后重新求值并更新提供的值
+    if (vm.$options.reactiveProvide && typeof provide === 'function') {
+      const provided = vm._provided || (vm._provided = {})
+      const watcher = new Watcher(
+        vm,
+        () => provide.call(vm),
+        value => assignProvided(provided, value, true)
+      )
+      assignProvided(provided, watcher.value, true)
+    } else {
+      const result = typeof provide === 'function'
+        ? provide.call(vm)
+        : provide
+      // values provided from setup() via provide() are kept
+      vm._provided = vm._provided
+        ? assignProvided(vm._provided, result, false)
+        : result
+    }
   }
 }
 
+/**
+ * Copy provided values onto a provides object. In reactive mode the keys
+ * are (shallowly) reactive, so injections reading them through a getter
+ * are updated whenever the provider re-evaluates its provide function.
+ */
+function assignProvided (provided: Object, value: ?Object, reactive: boolean): Object {
+  if (value) {
+    const keys = hasSymbol ? Reflect.ownKeys(value) : Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      if (reactive && !hasOwn(provided, key)) {
+        defineReactive(provided, key, value[key], null, true)
+      } else {
+        provided[key] = value[key]
+      }
+    }
+  }
+  return provided
+}
+
 /**
  * var Child = {
     inject: ['foo'],
@@ -27,6 +66,12 @@ export function initInjections (vm: Component) {
     toggleObserving(false) // 不对 inject 进行监听，这也是为什么 inject 的值不是响应式的原因
     // 循环遍历result中的键值对数据，并将其绑定至当前实例
     Object.keys(result).forEach(key => {
+      // 来自reactiveProvide组件的值，通过getter读取，保持与提供者同步
+      const desc = Object.getOwnPropertyDescriptor(result, key)
+      if (desc && desc.get) {
+        proxyInjection(vm, key, desc.get)
+        return
+      }
       /* istanbul ignore else */
       // 可忽略if中的代码
       if (process.env.NODE_ENV !== 'production') {
@@ -85,19 +130,22 @@ export function resolveInject (inject: any, vm: Component): ?Object {
       if (key === '__ob__') continue
       // 获取inject中每个key的from属性
       const provideKey = inject[key].from
-      // 从当前实例开始查找
-      let source = vm
-      // 从当前实例开始逐级往上寻找对应的provide
-      // 如果找到了则终止查找
-      while (source) {
-        if (source._provided && hasOwn(source._provided, provideKey)) {
-          result[key] = source._provided[provideKey]
-          break
+      // 从当前实例开始逐级往上寻找对应的provide，最后查找应用级别的provide
+      const provides = findProvides(vm, vm, provideKey)
+      if (provides) {
+        const desc = Object.getOwnPropertyDescriptor(provides, provideKey)
+        if (desc && desc.get) {
+          // reactive provider: read the value lazily so that it's tracked
+          Object.defineProperty(result, key, {
+            enumerable: true,
+            configurable: true,
+            get: () => provides[provideKey]
+          })
+        } else {
+          result[key] = provides[provideKey]
         }
-        source = source.$parent
-      }
-      // 如果查找的结果为空，则表示从本实例到根实例都没有找到对应的值
-      if (!source) {
+      } else {
+        // 如果查找的结果为空，则表示从本实例到根实例都没有找到对应的值
         // 判断是否有默认值，如果有，则使用默认值，如果没有则抛出警告
         if ('default' in inject[key]) {
           const provideDefault = inject[key].default
@@ -112,3 +160,84 @@ export function resolveInject (inject: any, vm: Component): ?Object {
     return result
   }
 }
+
+/**
+ * Find the provides object holding a key, starting at the given instance
+ * and walking up the parent chain, then falling back to the provides of
+ * the app the instance was created in (see Vue.createApp).
+ */
+function findProvides (vm: Component, start: ?Component, key: InjectKey): ?Object {
+  let source = start
+  while (source) {
+    if (source._provided && hasOwn(source._provided, (key: any))) {
+      return source._provided
+    }
+    source = source.$parent
+  }
+  const app: any = vm.$options._base
+  if (app && app._provided && hasOwn(app._provided, (key: any))) {
+    return app._provided
+  }
+}
+
+function proxyInjection (vm: Component, key: string, get: Function) {
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get,
+    set () {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Avoid mutating an injected value directly, it is owned by the ` +
+        `providing component. injection being mutated: "${key}"`,
+        vm
+      )
+    }
+  })
+}
+
+/**
+ * Provide a value to descendants from setup(). Keys may be Symbols
+ * (injection keys) as well as strings.
+ */
+export function provide (key: InjectKey, value: any) {
+  const vm = getCurrentInstance()
+  if (!vm) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `provide() can only be used inside setup().`
+    )
+    return
+  }
+  const provided = vm._provided || (vm._provided = {})
+  provided[(key: any)] = value
+}
+
+/**
+ * Inject a value provided by an ancestor (or the app) from setup().
+ * Returns the default value if nothing was provided for the key.
+ */
+export function inject (
+  key: InjectKey,
+  defaultValue?: any,
+  treatDefaultAsFactory?: boolean
+): any {
+  const vm = getCurrentInstance()
+  if (!vm) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `inject() can only be used inside setup().`
+    )
+    return
+  }
+  // 从父级开始查找，setup中provide()提供的值只对子孙组件可见
+  const provides = findProvides(vm, vm.$parent, key)
+  if (provides) {
+    return provides[(key: any)]
+  }
+  if (arguments.length > 1) {
+    return treatDefaultAsFactory && typeof defaultValue === 'function'
+      ? defaultValue.call(vm)
+      : defaultValue
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    warn(`Injection "${String(key)}" not found`, vm)
+  }
+}
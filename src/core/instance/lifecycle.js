@@ -1,10 +1,10 @@
 /* @flow */
 
-import config from '../config'
+import { getConfig } from '../config'
 import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
-import { updateComponentListeners } from './events'
+import { updateComponentListeners, getFallthroughListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
@@ -130,6 +130,10 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    // 停止setup()中创建的watcher及effect
+    if (vm._scope) {
+      vm._scope.stop()
+    }
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -202,7 +206,7 @@ export function mountComponent (
   let updateComponent
   /* istanbul ignore if */
   // 忽略if中的代码
-  if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+  if (process.env.NODE_ENV !== 'production' && getConfig(vm).performance && mark) {
     updateComponent = () => {
       const name = vm._name
       const id = vm._uid
@@ -230,17 +234,28 @@ export function mountComponent (
   // since the watcher's initial patch may call $forceUpdate (e.g. inside child
   // component's mounted hook), which relies on vm._watcher being already defined
   // 开启数据监听
+  const watcherOptions: Object = {
+    before () {
+      if (vm._isMounted && !vm._isDestroyed) {
+        callHook(vm, 'beforeUpdate')
+      }
+    }
+  }
+  // 开发环境下，渲染watcher的依赖收集和触发会分别调用renderTracked和renderTriggered钩子。
+  // 每次读取响应式数据都会创建调试事件，因此只在定义了钩子或监听了hook事件时才开启
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked || vm._hasHookEvent) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered || vm._hasHookEvent) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
   new Watcher(
     vm, 
     updateComponent, 
     noop, 
-    {
-      before () {
-        if (vm._isMounted && !vm._isDestroyed) {
-          callHook(vm, 'beforeUpdate')
-        }
-      }
-    },
+    watcherOptions,
     true /* isRenderWatcher */
   )
 
@@ -301,7 +316,7 @@ export function updateChildComponent (
   // these are also reactive so they may trigger child update if the child
   // used them during render
   vm.$attrs = parentVnode.data.attrs || emptyObject
-  vm.$listeners = listeners || emptyObject
+  vm.$listeners = getFallthroughListeners(vm, listeners)
 
   // update props
   if (propsData && vm.$options.props) {
@@ -381,7 +396,7 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
  * @param {*} vm 
  * @param {*} hook 
  */
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
   // 从实例的$options中获取钩子名称所对应的钩子函数数组
@@ -399,11 +414,11 @@ export function callHook (vm: Component, hook: string) {
           handleError(e, vm, `${hook} hook`)
         }
       */
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
     }
   }
   if (vm._hasHookEvent) {
-    vm.$emit('hook:' + hook)
+    vm.$emit('hook:' + hook, ...(args || []))
   }
   popTarget()
 }
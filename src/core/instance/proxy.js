@@ -79,7 +79,7 @@ if (process.env.NODE_ENV !== 'production') {
     if (hasProxy) {
       // determine which proxy handler to use
       const options = vm.$options
-      const handlers = options.render && options.render._withStripped
+      const handlers = options.render && (options.render._withStripped || options.render._withContext)
         ? getHandler
         : hasHandler
       vm._renderProxy = new Proxy(vm, handlers)
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from 'core/config'
+import { getConfig } from 'core/config'
 
 import {
   warn,
@@ -41,7 +41,7 @@ export function bindObjectProps (
           hash = data
         } else {
           const type = data.attrs && data.attrs.type
-          hash = asProp || config.mustUseProp(tag, type, key)
+          hash = asProp || getConfig(this).mustUseProp(tag, type, key)
             ? data.domProps || (data.domProps = {})
             : data.attrs || (data.attrs = {})
         }
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from 'core/config'
+import { getConfig } from 'core/config'
 import { hyphenate } from 'shared/util'
 
 function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
@@ -12,7 +12,7 @@ function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
 }
 
 /**
- * Runtime helper for checking keyCodes from config.
+ * Runtime helper for checking keyCodes from the config of the instance.
  * exposed as Vue.prototype._k
  * passing in eventKeyName as last argument separately for backwards compat
  */
@@ -23,8 +23,9 @@ export function checkKeyCodes (
   eventKeyName?: string,
   builtInKeyName?: string | Array<string>
 ): ?boolean {
-  const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
-  if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
+  const { keyCodes } = getConfig(this)
+  const mappedKeyCode = keyCodes[key] || builtInKeyCode
+  if (builtInKeyName && eventKeyName && !keyCodes[key]) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
   } else if (mappedKeyCode) {
     return isKeyNotMatch(mappedKeyCode, eventKeyCode)
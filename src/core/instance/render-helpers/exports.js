@@ -0,0 +1,71 @@
+/* @flow */
+
+import { renderSlot as _renderSlot } from './render-slot'
+import { resolveFilter as _resolveFilter } from './resolve-filter'
+import { bindObjectProps as _bindObjectProps } from './bind-object-props'
+import { renderStatic as _renderStatic } from './render-static'
+import { bindObjectListeners as _bindObjectListeners } from './bind-object-listeners'
+import { bindDynamicKeys as _bindDynamicKeys } from './bind-dynamic-keys'
+import { checkKeyCodes as _checkKeyCodes } from './check-keycodes'
+import { closeBlock as _closeBlock, trackDynamicNode as _trackDynamicNode } from './render-block'
+
+/**
+ * Render helpers imported by render functions compiled as ES modules
+ * (the `module` mode of the template compiler). Unlike the helpers
+ * installed on instances, helpers that need the render context take it
+ * as their first argument, so unused ones can be tree-shaken.
+ */
+
+export { toNumber, toString as toDisplayString, looseEqual, looseIndexOf } from 'shared/util'
+export { createTextVNode, createEmptyVNode } from 'core/vdom/vnode'
+export { renderList } from './render-list'
+export { markOnce } from './render-static'
+export { resolveScopedSlots } from './resolve-scoped-slots'
+export { prependModifier } from './bind-dynamic-keys'
+export { openBlock } from './render-block'
+
+// the context passed to render functions is the render proxy of the
+// instance in development, helpers work on the instance itself
+function unwrap (ctx: Component): Component {
+  return ctx._self || ctx
+}
+
+export function createElement (ctx: Component, ...args: Array<any>): VNode {
+  return ctx._c.apply(null, args)
+}
+
+export function renderSlot (ctx: Component, ...args: Array<any>): ?Array<VNode> {
+  return _renderSlot.apply(unwrap(ctx), args)
+}
+
+export function renderStatic (ctx: Component, ...args: Array<any>): VNode | Array<VNode> {
+  return _renderStatic.apply(unwrap(ctx), args)
+}
+
+export function resolveFilter (ctx: Component, ...args: Array<any>): Function {
+  return _resolveFilter.apply(unwrap(ctx), args)
+}
+
+export function checkKeyCodes (ctx: Component, ...args: Array<any>): ?boolean {
+  return _checkKeyCodes.apply(unwrap(ctx), args)
+}
+
+export function bindObjectProps (ctx: Component, ...args: Array<any>): VNodeData {
+  return _bindObjectProps.apply(unwrap(ctx), args)
+}
+
+export function bindObjectListeners (ctx: Component, ...args: Array<any>): VNodeData {
+  return _bindObjectListeners.apply(unwrap(ctx), args)
+}
+
+export function bindDynamicKeys (ctx: Component, ...args: Array<any>): Object {
+  return _bindDynamicKeys.apply(unwrap(ctx), args)
+}
+
+export function closeBlock (ctx: Component, ...args: Array<any>): VNode {
+  return _closeBlock.apply(unwrap(ctx), args)
+}
+
+export function trackDynamicNode (ctx: Component, ...args: Array<any>): VNode {
+  return _trackDynamicNode.apply(unwrap(ctx), args)
+}
@@ -11,6 +11,7 @@ import { renderStatic, markOnce } from './render-static'
 import { bindObjectListeners } from './bind-object-listeners'
 import { resolveScopedSlots } from './resolve-scoped-slots'
 import { bindDynamicKeys, prependModifier } from './bind-dynamic-keys'
+import { openBlock, closeBlock, trackDynamicNode } from './render-block'
 
 export function installRenderHelpers (target: any) {
   target._o = markOnce
@@ -30,4 +31,7 @@ export function installRenderHelpers (target: any) {
   target._g = bindObjectListeners
   target._d = bindDynamicKeys
   target._p = prependModifier
+  target._ob = openBlock
+  target._bk = closeBlock
+  target._pf = trackDynamicNode
 }
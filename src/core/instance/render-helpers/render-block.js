@@ -0,0 +1,62 @@
+/* @flow */
+
+// blocks being rendered, the innermost one is on top
+const blockStack: Array<Array<VNode>> = []
+
+/**
+ * Runtime helper for opening a block. Generated code opens the block
+ * before creating the block root, so that the dynamic descendants
+ * created as its children are collected into it:
+ *
+ * (_ob(), _bk(_c('div', [_pf(_c('span', { class: cls }), 0, 2)]), 1, 0))
+ */
+export function openBlock () {
+  blockStack.push([])
+}
+
+/**
+ * Runtime helper for closing the current block and attaching it, along
+ * with the patch flags, to the block root.
+ */
+export function closeBlock (
+  vnode: VNode,
+  id: number,
+  patchFlag: number,
+  dynamicProps?: Array<string>
+): VNode {
+  const block = blockStack.pop()
+  setPatchFlag(vnode, id, patchFlag, dynamicProps, this)
+  vnode.dynamicChildren = block || []
+  return vnode
+}
+
+/**
+ * Runtime helper for marking a dynamic element inside a block.
+ */
+export function trackDynamicNode (
+  vnode: VNode,
+  id: number,
+  patchFlag: number,
+  dynamicProps?: Array<string>
+): VNode {
+  setPatchFlag(vnode, id, patchFlag, dynamicProps, this)
+  if (blockStack.length) {
+    blockStack[blockStack.length - 1].push(vnode)
+  }
+  return vnode
+}
+
+function setPatchFlag (vnode, id, patchFlag, dynamicProps, context) {
+  vnode.patchFlag = patchFlag
+  vnode.dynamicProps = dynamicProps
+  // the id identifies the element in its template, the render function
+  // identifies the template itself. Only vnodes created by the same
+  // element of the same template can be patched using the flags.
+  vnode.patchId = id
+  vnode.patchOwner = context && context.$options && context.$options.render
+}
+
+// render errors may leave blocks open
+export function resetBlockStack () {
+  blockStack.length = 0
+}
@@ -15,11 +15,14 @@ export function renderStatic (
     return tree
   }
   // otherwise, render a fresh tree.
-  tree = cached[index] = this.$options.staticRenderFns[index].call(
-    this._renderProxy,
-    null,
-    this // for render fns generated for functional component templates
-  )
+  const fn = this.$options.staticRenderFns[index]
+  tree = cached[index] = this.$options.render._withContext
+    ? fn(this._renderProxy || this)
+    : fn.call(
+      this._renderProxy,
+      null,
+      this // for render fns generated for functional component templates
+    )
   markStatic(tree, `__static__${index}`, false)
   return tree
 }
@@ -10,11 +10,14 @@ import {
 
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
+import { resetBlockStack } from './render-helpers/render-block'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
 
 import { isUpdatingChildComponent } from './lifecycle'
+import { getFallthroughListeners } from './events'
 
 /**
  * 为组件实例初始化一些属性，比如solts和createElement，createElement
@@ -48,12 +51,12 @@ export function initRender (vm: Component) {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, () => {
       !isUpdatingChildComponent && warn(`$attrs is readonly.`, vm)
     }, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, () => {
+    defineReactive(vm, '$listeners', getFallthroughListeners(vm, options._parentListeners), () => {
       !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm)
     }, true)
   } else {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, null, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, null, true)
+    defineReactive(vm, '$listeners', getFallthroughListeners(vm, options._parentListeners), null, true)
   }
 }
 
@@ -94,7 +97,13 @@ export function renderMixin (Vue: Class<Component>) {
       // separately from one another. Nested component's render fns are called
       // when parent component is patched.
       currentRenderingInstance = vm
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // 异步setup完成前渲染为空节点，完成后会强制重新渲染
+      // 编译为ES模块的渲染函数以参数的形式接收渲染上下文
+      vnode = vm._setupPending
+        ? createEmptyVNode()
+        : render._withContext
+          ? (render: any)(vm._renderProxy)
+          : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
       handleError(e, vm, `render`)
       // return error render result,
@@ -112,20 +121,20 @@ export function renderMixin (Vue: Class<Component>) {
       }
     } finally {
       currentRenderingInstance = null
+      resetBlockStack()
     }
-    // if the returned array contains only a single node, allow it
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // if the returned array contains only a single node, allow it.
+    // multiple root nodes are rendered as a fragment
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode)
+      if (children && children.length === 1) {
+        vnode = children[0]
+      } else if (children && children.length > 1) {
+        vnode = createFragmentVNode(children)
+      }
     }
     // return empty vnode in case the render function errored out
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // set parent
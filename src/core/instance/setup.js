@@ -0,0 +1,181 @@
+/* @flow */
+
+import { EffectScope } from '../observer/effect-scope'
+import { pushTarget, popTarget } from '../observer/dep'
+import { isRef } from '../reactivity/ref'
+import { registerSuspenseDep } from '../components/suspense'
+import {
+  warn,
+  hasOwn,
+  isPromise,
+  isReserved,
+  isPlainObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+export type SetupContext = {
+  attrs: { [key: string]: string };
+  listeners: { [key: string]: Function | Array<Function> };
+  slots: { [key: string]: Function };
+  emit: (event: string, ...args: Array<any>) => Component;
+};
+
+// setup()执行期间的组件实例，供onMounted等生命周期注册函数使用
+let currentInstance: ?Component = null
+
+export function getCurrentInstance (): ?Component {
+  return currentInstance
+}
+
+/**
+ * 作用：执行setup选项
+ * 在props之后、methods/data之前执行，因此setup中可以使用props，
+ * 而data、computed等选项也可以使用setup返回的绑定
+ * setup中创建的watcher都被收集到实例自身的effect scope中，在$destroy时一并停止
+ * setup返回Promise时，在其完成前组件渲染为空节点，所在的<suspense>会等待它
+ */
+export function initSetup (vm: Component) {
+  const setup = vm.$options.setup
+  if (!setup) {
+    return
+  }
+  const scope = vm._scope = new EffectScope(true /* detached */)
+  const ctx = createSetupContext(vm)
+  const prevInstance = currentInstance
+  currentInstance = vm
+  // #7573 disable dep collection when invoking setup, same as data()
+  pushTarget()
+  const result = scope.run(() => invokeWithErrorHandling(
+    setup,
+    null,
+    [vm._props || {}, ctx],
+    vm,
+    'setup'
+  ))
+  popTarget()
+  currentInstance = prevInstance
+
+  if (isPromise(result)) {
+    const done = registerSuspenseDep(vm.$parent)
+    vm._setupPending = true
+    // 错误已由invokeWithErrorHandling处理
+    ;(result: any).then(res => {
+      vm._setupPending = false
+      if (!vm._isDestroyed) {
+        applySetupResult(vm, res)
+        vm.$forceUpdate()
+      }
+      done && done()
+    }, () => {
+      done && done()
+    })
+  } else {
+    applySetupResult(vm, result)
+  }
+}
+
+function applySetupResult (vm: Component, result: any) {
+  if (typeof result === 'function') {
+    // setup返回函数时，将其作为渲染函数
+    vm.$options.render = result
+  } else if (isPlainObject(result)) {
+    const setupState = vm._setupState = result
+    const props = vm.$options.props
+    for (const key in setupState) {
+      // 保留前缀的属性以及与prop同名的属性不会被代理到实例上，与initData一致
+      if (isReserved(key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `setup() return property "${key}" should not start with "$" or "_" ` +
+          `which are reserved prefixes for Vue internals.`,
+          vm
+        )
+        continue
+      }
+      if (props && hasOwn(props, key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `setup() return property "${key}" is already declared as a prop.`,
+          vm
+        )
+        continue
+      }
+      proxySetupBinding(vm, setupState, key)
+    }
+  } else if (process.env.NODE_ENV !== 'production' && result !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+      `Received: ${result === null ? 'null' : typeof result}`,
+      vm
+    )
+  }
+}
+
+function createSetupContext (vm: Component): SetupContext {
+  // 使用getter，保证每次拿到的都是最新的值
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit: (event: string, ...args: Array<any>) => vm.$emit(event, ...args)
+  }
+}
+
+// 将setup返回的绑定代理到实例上，ref会被自动解包
+function proxySetupBinding (vm: Component, setupState: Object, key: string) {
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const raw = setupState[key]
+      return isRef(raw) ? raw.value : raw
+    },
+    set: val => {
+      const raw = setupState[key]
+      if (isRef(raw) && !isRef(val)) {
+        raw.value = val
+      } else {
+        setupState[key] = val
+      }
+    }
+  })
+}
+
+/**
+ * Create a lifecycle registration helper, e.g. onMounted(fn). The hook
+ * is appended to the current instance's own hook list, which callHook()
+ * invokes like any hook declared in the options.
+ */
+function createLifecycleHook (hook: string): (fn: Function) => void {
+  return (fn: Function) => {
+    const vm = currentInstance
+    if (!vm) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Registering the "${hook}" hook failed: there is no active component ` +
+        `instance to be associated with. Lifecycle injection APIs can only ` +
+        `be used during execution of setup().`
+      )
+      return
+    }
+    // $options上的钩子数组可能与构造函数的options共享，因此不能直接push
+    const handlers = vm.$options[hook]
+    vm.$options[hook] = handlers ? handlers.concat(fn) : [fn]
+  }
+}
+
+export const onBeforeMount = createLifecycleHook('beforeMount')
+export const onMounted = createLifecycleHook('mounted')
+export const onBeforeUpdate = createLifecycleHook('beforeUpdate')
+export const onUpdated = createLifecycleHook('updated')
+export const onBeforeUnmount = createLifecycleHook('beforeDestroy')
+export const onUnmounted = createLifecycleHook('destroyed')
+export const onActivated = createLifecycleHook('activated')
+export const onDeactivated = createLifecycleHook('deactivated')
+export const onErrorCaptured = createLifecycleHook('errorCaptured')
+export const onServerPrefetch = createLifecycleHook('serverPrefetch')
+export const onRenderTracked = createLifecycleHook('renderTracked')
+export const onRenderTriggered = createLifecycleHook('renderTriggered')
@@ -1,21 +1,25 @@
 /* @flow */
 
-import config from '../config'
+import { getConfig } from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
   set,
   del,
   observe,
+  toReactive,
   defineReactive,
   toggleObserving
 } from '../observer/index'
+import { markShallow, markReadonly } from '../observer/markers'
 
 import {
   warn,
   bind,
+  extend,
   noop,
   hasOwn,
   hyphenate,
@@ -28,6 +32,16 @@ import {
   isReservedAttribute
 } from '../util/index'
 
+export type ComputedInspection = {
+  name: string;
+  value: any;
+  dirty: boolean;
+  evaluations: number;
+  lastEvaluatedAt: ?number;
+  lastEvaluationDuration: number;
+  deps: Array<{ target: ?Object; key: any }>;
+};
+
 const sharedPropertyDefinition = {
   enumerable: true,
   configurable: true,
@@ -50,7 +64,7 @@ export function proxy (target: Object, sourceKey: string, key: string) {
  * props、methods、data、computed、watch 统称为状态选项
  * 
  * vm.$options中有什么选项就初始化什么选项
- * 严格按照props，methods，data，computed，watch的顺序初始化，因为后者可能有对前者数据的调用
+ * 严格按照props，setup，methods，data，computed，watch的顺序初始化，因为后者可能有对前者数据的调用
  * @export
  * @param {Component} vm
  */
@@ -59,11 +73,13 @@ export function initState (vm: Component) {
   const opts = vm.$options
   // opts.props是规范化以后的数据，规范化在合并options时就已经处理了
   if (opts.props) initProps(vm, opts.props)
+  if (opts.setup) initSetup(vm)
   if (opts.methods) initMethods(vm, opts.methods)
   if (opts.data) { // 如果存在data属性，则初始化
     initData(vm)
   } else { // 如果没有则自动添加一个空的对象，并转化为响应式数据
     observe(vm._data = {}, true /* asRootData */)
+    vm._data = toReactive(vm._data)
   }
   if (opts.computed) initComputed(vm, opts.computed)
   if (opts.watch && opts.watch !== nativeWatch) {
@@ -109,7 +125,7 @@ function initProps (vm: Component, propsOptions: Object) {
     if (process.env.NODE_ENV !== 'production') {
       const hyphenatedKey = hyphenate(key)
       if (isReservedAttribute(hyphenatedKey) ||
-          config.isReservedAttr(hyphenatedKey)) {
+          getConfig(vm).isReservedAttr(hyphenatedKey)) {
         warn(
           `"${hyphenatedKey}" is a reserved attribute and cannot be used as component prop.`,
           vm
@@ -196,9 +212,32 @@ function initData (vm: Component) {
       proxy(vm, `_data`, key)
     }
   }
+  // 根据dataMode选项，在转换为响应式之前为data打上浅响应式或只读标记
+  if (vm.$options.dataMode) {
+    markDataMode(data, vm.$options.dataMode, vm)
+  }
   // observe data
   // 将data设置成响应式
   observe(data, true /* asRootData */)
+  // proxy模式下，实例代理的_data需要替换为响应式代理
+  vm._data = toReactive(data)
+}
+
+function markDataMode (data: Object, mode: string, vm: Component) {
+  if (mode === 'shallow') {
+    markShallow(data)
+  } else if (mode === 'readonly') {
+    markReadonly(data)
+  } else if (mode === 'shallowReadonly') {
+    markShallow(data)
+    markReadonly(data, true)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid dataMode "${mode}": ` +
+      `expected "shallow", "readonly" or "shallowReadonly".`,
+      vm
+    )
+  }
 }
 
 export function getData (data: Function, vm: Component): any {
@@ -246,7 +285,12 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? extend({
+            onTrack: userDef.onTrack,
+            onTrigger: userDef.onTrigger
+          }, computedWatcherOptions)
+          : computedWatcherOptions
       )
     }
 
@@ -318,6 +362,9 @@ function createComputedGetter (key) {
       // 判断一下是不是依赖的数据引起的变化，如果是，则重新计算，否则不计算
       if (watcher.dirty) {
         watcher.evaluate()
+        if (process.env.NODE_ENV !== 'production') {
+          checkEvaluations(this, key, watcher)
+        }
       }
       if (Dep.target) {
         watcher.depend()
@@ -327,6 +374,21 @@ function createComputedGetter (key) {
   }
 }
 
+// 同一次flush中计算属性被反复求值，通常说明它的依赖在不断变化，缓存没有起作用
+function checkEvaluations (vm: Component, key: string, watcher: Watcher) {
+  const limit = getConfig(vm).maxComputedEvaluations
+  const stats = watcher.stats
+  // only warn once per flush
+  if (limit > 0 && stats && stats.flushCount === limit + 1) {
+    warn(
+      `Computed property "${key}" was re-evaluated more than ${limit} times ` +
+      `in a single flush. Its dependencies may be changing on every update, ` +
+      `which defeats caching.`,
+      vm
+    )
+  }
+}
+
 function createGetterInvoker(fn) {
   return function computedGetter () {
     return fn.call(this, this)
@@ -459,6 +521,30 @@ export function stateMixin (Vue: Class<Component>) {
   Vue.prototype.$set = set
   Vue.prototype.$delete = del
 
+  // 开发环境下查看计算属性的缓存状态、求值统计以及依赖列表
+  // 生产环境下不收集这些信息，始终返回undefined
+  Vue.prototype.$inspectComputed = function (name: string): ?ComputedInspection {
+    if (process.env.NODE_ENV === 'production') {
+      return
+    }
+    const vm: Component = this
+    const watcher = vm._computedWatchers && vm._computedWatchers[name]
+    if (!watcher) {
+      warn(`Computed property "${name}" is not defined on this instance.`, vm)
+      return
+    }
+    const stats = watcher.stats || {}
+    return {
+      name,
+      value: watcher.value,
+      dirty: watcher.dirty,
+      evaluations: stats.count || 0,
+      lastEvaluatedAt: stats.lastEvaluatedAt || null,
+      lastEvaluationDuration: stats.lastDuration || 0,
+      deps: watcher.deps.map(dep => ({ target: dep.owner, key: dep.key }))
+    }
+  }
+
   // this.$watch方法的实现
   Vue.prototype.$watch = function (
     expOrFn: string | Function,
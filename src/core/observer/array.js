@@ -4,6 +4,7 @@
  */
 
 import { def } from '../util/index'
+import { isReadonly, warnReadonly, readonlyArrayResult } from './markers'
 
 const arrayProto = Array.prototype
 
@@ -40,8 +41,19 @@ methodsToPatch.forEach(function (method) {
     })
   */
   def(arrayMethods, method, function mutator (...args) {
-    const result = original.apply(this, args)
+    // 只读数组不允许调用变异方法
+    if (isReadonly(this)) {
+      warnReadonly(this, undefined, `Array ${method}()`)
+      return readonlyArrayResult(this, method)
+    }
     const ob = this.__ob__
+    // 只有存在需要变更记录的watcher时，才去计算变更的下标及增删的元素
+    const recording = hasMutationWatchers(ob.dep)
+    const oldLength = this.length
+    const snapshot = recording && (method === 'sort' || method === 'reverse')
+      ? this.slice()
+      : null
+    const result = original.apply(this, args)
     let inserted
     switch (method) {
       case 'push':
@@ -52,9 +64,64 @@ methodsToPatch.forEach(function (method) {
         inserted = args.slice(2)
         break
     }
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
+    const mutation = recording
+      ? createMutation(this, method, args, result, oldLength, snapshot)
+      : undefined
     // notify change
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, type: 'array mutation', key: method }, mutation)
+    } else {
+      ob.dep.notify(null, mutation)
+    }
     return result
   })
 })
+
+function hasMutationWatchers (dep) {
+  const subs = dep.subs
+  for (let i = 0; i < subs.length; i++) {
+    if (subs[i].mutations) return true
+  }
+  return false
+}
+
+/**
+ * Describe a mutation as `removed` items being replaced by `added` items at
+ * `index`. sort() and reverse() may move every item, so they are described
+ * as replacing the whole array.
+ */
+function createMutation (target, method, args, result, oldLength, snapshot) {
+  let index = 0
+  let removed = []
+  let added = []
+  switch (method) {
+    case 'push':
+      index = oldLength
+      added = args
+      break
+    case 'pop':
+      index = target.length
+      removed = oldLength ? [result] : []
+      break
+    case 'shift':
+      removed = oldLength ? [result] : []
+      break
+    case 'unshift':
+      added = args
+      break
+    case 'splice': {
+      const start = +args[0] || 0
+      index = start < 0
+        ? Math.max(oldLength + Math.ceil(start), 0)
+        : Math.min(Math.floor(start), oldLength)
+      removed = result
+      added = args.slice(2)
+      break
+    }
+    default:
+      removed = snapshot
+      added = target.slice()
+  }
+  return { target, method, index, removed, added }
+}
@@ -0,0 +1,201 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import Dep from './dep'
+import { def, toRawType } from '../util/index'
+import { isReadonly, warnReadonly } from './markers'
+
+// 与数组拦截器类似，为Map、Set、WeakMap、WeakSet分别创建一个拦截器
+// 拦截器的原型指向原生的原型，因此未被拦截的方法依然可以正常使用
+const collectionMethods = Object.create(null)
+
+/**
+ * Create the interceptor for a collection type. Read methods collect
+ * the collection's own dep, mutating methods notify it.
+ */
+function createCollectionMethods (type, proto) {
+  const methods = Object.create(proto)
+  const keyed = type === 'Map' || type === 'WeakMap'
+  const iterable = type === 'Map' || type === 'Set'
+  const originalHas = proto.has
+  const originalGet = proto.get
+
+  // read methods: has, get
+  def(methods, 'has', function has (key) {
+    track(this, 'has', key)
+    return originalHas.call(this, key)
+  })
+
+  if (keyed) {
+    def(methods, 'get', function get (key) {
+      const value = originalGet.call(this, key)
+      if (Dep.target) {
+        track(this, 'get', key)
+        dependValue(value)
+      }
+      return value
+    })
+
+    def(methods, 'set', function set (key, value) {
+      if (isReadonly(this)) {
+        warnReadonly(this, key, 'Set')
+        return this
+      }
+      const ob = this.__ob__
+      const had = originalHas.call(this, key)
+      const oldValue = originalGet.call(this, key)
+      proto.set.call(this, key, value)
+      /* eslint-disable no-self-compare */
+      if (!had || (value !== oldValue && (value === value || oldValue === oldValue))) {
+        if (!ob.shallow) ob.observeArray([value])
+        trigger(this, had ? 'set' : 'add', key, value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return this
+    })
+  } else {
+    def(methods, 'add', function add (value) {
+      if (isReadonly(this)) {
+        warnReadonly(this, undefined, 'Add')
+        return this
+      }
+      const ob = this.__ob__
+      if (!originalHas.call(this, value)) {
+        proto.add.call(this, value)
+        if (!ob.shallow) ob.observeArray([value])
+        trigger(this, 'add', value, value)
+      }
+      return this
+    })
+  }
+
+  def(methods, 'delete', function deleteEntry (key) {
+    if (isReadonly(this)) {
+      warnReadonly(this, keyed ? key : undefined, 'Delete')
+      return false
+    }
+    const result = proto.delete.call(this, key)
+    if (result) {
+      trigger(this, 'delete', key)
+    }
+    return result
+  })
+
+  if (iterable) {
+    const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+    Object.defineProperty(methods, 'size', {
+      enumerable: false,
+      configurable: true,
+      get: function size () {
+        track(this, 'iterate')
+        return sizeGetter.call(this)
+      }
+    })
+
+    def(methods, 'clear', function clear () {
+      if (isReadonly(this)) {
+        warnReadonly(this, undefined, 'Clear')
+        return
+      }
+      const hadItems = sizeGetter.call(this) > 0
+      const result = proto.clear.call(this)
+      if (hadItems) {
+        trigger(this, 'clear')
+      }
+      return result
+    })
+
+    // iteration methods: the whole collection is a dependency, as well as
+    // every observed value inside of it (same as dependArray)
+    const iterationMethods = ['forEach', 'keys', 'values', 'entries']
+    if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+      iterationMethods.push(Symbol.iterator)
+    }
+    iterationMethods.forEach(method => {
+      const original = proto[method]
+      def(methods, method, function iterate (...args) {
+        if (Dep.target) {
+          track(this, 'iterate')
+          proto.forEach.call(this, dependValue)
+        }
+        return original.apply(this, args)
+      })
+    })
+  }
+
+  return methods
+}
+
+function track (target, type, key) {
+  const ob = target.__ob__
+  if (Dep.target && ob) {
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.depend({ target, type, key })
+    } else {
+      ob.dep.depend()
+    }
+  }
+}
+
+function trigger (target, type, key, newValue, oldValue) {
+  const dep = target.__ob__.dep
+  if (process.env.NODE_ENV !== 'production') {
+    dep.notify({ target, type, key, newValue, oldValue })
+  } else {
+    dep.notify()
+  }
+}
+
+function dependValue (value) {
+  const ob = value && value.__ob__
+  if (ob) {
+    ob.dep.depend()
+    if (Array.isArray(value)) {
+      for (let i = 0, l = value.length; i < l; i++) {
+        dependValue(value[i])
+      }
+    }
+  }
+}
+
+const collectionCtors = {
+  Map: typeof Map !== 'undefined' ? Map : undefined,
+  Set: typeof Set !== 'undefined' ? Set : undefined,
+  WeakMap: typeof WeakMap !== 'undefined' ? WeakMap : undefined,
+  WeakSet: typeof WeakSet !== 'undefined' ? WeakSet : undefined
+}
+
+/**
+ * Get the interceptor for a native Map, Set, WeakMap or WeakSet.
+ * Subclassed collections are left untouched, same as class instances.
+ */
+export function getCollectionMethods (value) {
+  const type = toRawType(value)
+  const Ctor = collectionCtors[type]
+  if (!Ctor) {
+    return
+  }
+  const proto = Object.getPrototypeOf(value)
+  if (proto !== Ctor.prototype && proto !== collectionMethods[type]) {
+    return
+  }
+  return collectionMethods[type] ||
+    (collectionMethods[type] = createCollectionMethods(type, Ctor.prototype))
+}
+
+/**
+ * Check if a value is a native collection that can be observed.
+ */
+export function isCollection (value) {
+  return !!getCollectionMethods(value)
+}
+
+/**
+ * Check if a value is a Map or Set, i.e. a collection that can be iterated.
+ */
+export function isIterableCollection (value) {
+  const type = toRawType(value)
+  return (type === 'Map' || type === 'Set') && isCollection(value)
+}
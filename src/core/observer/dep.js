@@ -1,11 +1,48 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Describes a dependency being tracked or triggered, reported to the
+ * onTrack/onTrigger debug hooks of watchers in development builds.
+ *
+ * track types: 'get' | 'has' | 'iterate'
+ * trigger types: 'set' | 'add' | 'delete' | 'clear' | 'array mutation'
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
+export type DebuggerEvent = { effect: Watcher } & DebuggerEventExtraInfo;
+
+// 开发环境下记录当前正在通知的依赖信息，供调度器追踪watcher之间的触发链
+let currentTrigger: ?DebuggerEventExtraInfo = null
+
+export function getCurrentTrigger (): ?DebuggerEventExtraInfo {
+  return currentTrigger
+}
+
+/**
+ * Describes a change made through one of the array interceptors:
+ * `removed` items were removed at `index`, then `added` items were
+ * inserted there. sort() and reverse() replace the whole array.
+ */
+export type ArrayMutation = {
+  target: Array<any>;
+  method: string;
+  index: number;
+  removed: Array<any>;
+  added: Array<any>;
+};
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -15,10 +52,16 @@ export default class Dep {
   static target: ?Watcher;
   id: number;
   subs: Array<Watcher>;
+  owner: ?Object; // dev only: the object (and key) this dep tracks
+  key: any;
 
-  constructor () {
+  constructor (owner?: Object, key?: any) {
     this.id = uid++
     this.subs = []
+    if (process.env.NODE_ENV !== 'production') {
+      this.owner = owner
+      this.key = key
+    }
   }
 
   addSub (sub: Watcher) {
@@ -30,15 +73,23 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  // 添加一个依赖
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  // 添加一个依赖，开发环境下info用于触发watcher的onTrack调试钩子
+  depend (info?: ?DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
+      target.addDep(this)
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrack = target.onTrack
+        if (onTrack) {
+          onTrack.call(target, extend({ effect: target }, info))
+        }
+      }
     }
   }
 
-  // 更新依赖
-  notify () {
+  // 更新依赖，开发环境下info用于触发watcher的onTrigger调试钩子
+  // mutation为数组拦截器产生的变更记录，会传递给需要它的watcher
+  notify (info?: ?DebuggerEventExtraInfo, mutation?: ArrayMutation) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -47,8 +98,22 @@ export default class Dep {
       // order
       subs.sort((a, b) => a.id - b.id)
     }
+    const prevTrigger = currentTrigger
+    if (process.env.NODE_ENV !== 'production') {
+      currentTrigger = info
+    }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const sub = subs[i]
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrigger = sub.onTrigger
+        if (onTrigger) {
+          onTrigger.call(sub, extend({ effect: sub }, info))
+        }
+      }
+      sub.update(mutation)
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      currentTrigger = prevTrigger
     }
   }
 }
@@ -0,0 +1,98 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects the watchers created while it is running
+ * so that they can be disposed together, without a component instance.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  scopes: ?Array<EffectScope>;
+  parent: ?EffectScope;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.parent = activeEffectScope
+    // 非独立的scope会被父级scope收集，父级scope停止时一并停止
+    if (!detached && activeEffectScope) {
+      (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this)
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`)
+    }
+  }
+
+  stop () {
+    if (this.active) {
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop()
+        }
+      }
+      this.effects.length = this.cleanups.length = 0
+      this.scopes = null
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Record a watcher in the given (or currently running) scope.
+ */
+export function recordEffectScope (
+  effect: Watcher,
+  scope: ?EffectScope = activeEffectScope
+) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+  }
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be invoked when the currently
+ * running effect scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope ` +
+      `to be associated with.`
+    )
+  }
+}
@@ -1,8 +1,12 @@
 /* @flow */
 
 import Dep from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { getCollectionMethods, isCollection } from './collection'
+import { hasProxy, createReactiveProxy, toRaw } from './proxy'
+import { isShallow, isReadonly, warnReadonly } from './markers'
 import {
   def,
   warn,
@@ -24,6 +28,9 @@ const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
  */
 export let shouldObserve: boolean = true
 
+// passed to defineReactive when the initial value should be read from the object
+export const NO_INITIAL_VALUE = {}
+
 // 用来控制标记是否将数据转换成响应式
 export function toggleObserving (value: boolean) {
   shouldObserve = value
@@ -39,14 +46,23 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  proxy: ?Object; // the reactive Proxy of value in proxy mode
+  deps: ?Map<any, Dep>; // per-key deps of the proxy
+  shallow: boolean; // only convert the first level of value
 
   constructor (value: any) {
     this.value = value
-    this.dep = new Dep()
+    this.dep = new Dep(value)
     this.vmCount = 0
+    this.shallow = isShallow(value)
     // 给value新增一个__ob__属性，值为该value的Observer实例
     // 相当于为value打上标记，表示它已经被转化成响应式了，避免重复操作
     def(value, '__ob__', this)
+    // proxy模式下，对象和数组通过Proxy拦截读写，不再需要递归转换成getter/setter
+    // Map、Set依然使用拦截器
+    const useProxy = config.proxyReactivity && hasProxy && !isCollection(value)
+    this.proxy = useProxy ? createReactiveProxy(value, this) : null
+    this.deps = null
     if (Array.isArray(value)) { // 当value为数组时的逻辑
       // 根据浏览器是否支持__proto__进行不同操作
       if (hasProto) {
@@ -57,8 +73,22 @@ export class Observer {
         // 如果浏览器不支持__proto__，则循环将array中重写的7个方法循环加入到value上
         copyAugment(value, arrayMethods, arrayKeys)
       }
-      this.observeArray(value)
-    } else {
+      // proxy模式下，数组元素在被读取时才会被转换
+      if (!useProxy && !this.shallow) {
+        this.observeArray(value)
+      }
+    } else if (isCollection(value)) { // 当value为Map、Set、WeakMap、WeakSet时的逻辑
+      // 与数组相同，通过拦截器拦截集合的读取方法和修改方法
+      const collectionMethods = getCollectionMethods(value)
+      if (hasProto) {
+        protoAugment(value, collectionMethods)
+      } else {
+        copyAugment(value, collectionMethods, collectionKeys(collectionMethods))
+      }
+      if (!this.shallow) {
+        this.observeCollection(value)
+      }
+    } else if (!useProxy) {
       this.walk(value)
     }
   }
@@ -71,7 +101,7 @@ export class Observer {
   walk (obj: Object) {
     const keys = Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, null, this.shallow)
     }
   }
 
@@ -83,6 +113,19 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values of a Map or the items of a Set.
+   * Weak collections cannot be iterated, so only values added
+   * after observation get observed.
+   */
+  observeCollection (collection: any) {
+    if (typeof collection.forEach === 'function') {
+      collection.forEach(value => {
+        observe(value)
+      })
+    }
+  }
 }
 
 // helpers
@@ -102,13 +145,26 @@ function protoAugment (target, src: Object) {
  * hidden properties.
  */
 /* istanbul ignore next */
-function copyAugment (target: Object, src: Object, keys: Array<string>) {
+function copyAugment (target: Object, src: Object, keys: Array<any>) {
   for (let i = 0, l = keys.length; i < l; i++) {
     const key = keys[i]
-    def(target, key, src[key])
+    const property: any = Object.getOwnPropertyDescriptor(src, key)
+    Object.defineProperty(target, key, property)
   }
 }
 
+/**
+ * Get own keys of a collection interceptor, including
+ * the Symbol.iterator method and the size getter.
+ */
+/* istanbul ignore next */
+function collectionKeys (src: Object): Array<any> {
+  const keys: Array<any> = Object.getOwnPropertyNames(src)
+  return typeof Object.getOwnPropertySymbols === 'function'
+    ? keys.concat(Object.getOwnPropertySymbols(src))
+    : keys
+}
+
 /**
  * Attempt to create an observer instance for a value,
  * returns the new observer if successfully observed,
@@ -126,7 +182,7 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
@@ -138,6 +194,17 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   return ob
 }
 
+/**
+ * Get the value to use in place of an observed one: its reactive
+ * Proxy in proxy mode, or the value itself when it's converted in place.
+ */
+export function toReactive (value: any): any {
+  const ob = isObject(value) ? value.__ob__ : undefined
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+export { toRaw }
+
 /**
  * Define a reactive property on an Object.
  * 通过Object.defineProperty方法来定义响应式数据
@@ -153,7 +220,7 @@ export function defineReactive (
   customSetter?: ?Function,
   shallow?: boolean
 ) {
-  const dep = new Dep() // 依赖管理器，每个数据都应该有一个依赖数组
+  const dep = new Dep(obj, key) // 依赖管理器，每个数据都应该有一个依赖数组
 
   // 获取obj对象中key属性的描述说明，如value, writable, enumerable, configurable等
   const property = Object.getOwnPropertyDescriptor(obj, key)
@@ -167,9 +234,9 @@ export function defineReactive (
   const getter = property && property.get
   const setter = property && property.set
 
-  // 如果只传了obj和key，那么val = obj[key]
-  if ((!getter || setter) && arguments.length === 2) {
-    val = obj[key]
+  // 如果只传了obj和key（或val为NO_INITIAL_VALUE），那么val = obj[key]
+  if (val === NO_INITIAL_VALUE || arguments.length === 2) {
+    val = !getter || setter ? obj[key] : undefined
   }
 
   // 新增__ob__属性，表示已经被监听，避免重复操作
@@ -180,7 +247,12 @@ export function defineReactive (
     get: function reactiveGetter () {
       const value = getter ? getter.call(obj) : val
       if (Dep.target) {
-        dep.depend() // 收集依赖
+        // 收集依赖
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           childOb.dep.depend()
           if (Array.isArray(value)) {
@@ -188,7 +260,8 @@ export function defineReactive (
           }
         }
       }
-      return value
+      // proxy模式下返回代理对象，确保新增属性和数组下标的修改可以被监听到
+      return childOb && childOb.proxy ? childOb.proxy : value
     },
     set: function reactiveSetter (newVal) {
       const value = getter ? getter.call(obj) : val
@@ -197,6 +270,11 @@ export function defineReactive (
         return
       }
       /* eslint-enable no-self-compare */
+      // 只读对象不允许修改
+      if (isReadonly(obj)) {
+        warnReadonly(obj, key, 'Set')
+        return
+      }
       if (process.env.NODE_ENV !== 'production' && customSetter) {
         customSetter()
       }
@@ -209,7 +287,12 @@ export function defineReactive (
         val = newVal
       }
       childOb = !shallow && observe(newVal)
-      dep.notify() // 通知依赖进行更新
+      // 通知依赖进行更新
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, type: 'set', key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -228,6 +311,11 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  // 只读对象不允许新增或修改属性
+  if (isReadonly(target)) {
+    warnReadonly(target, key, 'Set')
+    return val
+  }
   // 如果当前target是一个数组，且key是一个有效索引
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key) // 对比key和target.length。取最大值作为新数组的长度
@@ -235,13 +323,18 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target.splice(key, 1, val)
     return val
   }
+  // ob如果是true，则说明其是响应式对象，否则就不是响应式对象
+  const ob = (target: any).__ob__
   // 如果key已经存在于target中，则说明只需要修改值就行
   if (key in target && !(key in Object.prototype)) {
-    target[key] = val
+    // proxy模式下需要通过代理赋值，才能通知到该key的依赖
+    if (ob && ob.proxy) {
+      ob.proxy[key] = val
+    } else {
+      target[key] = val
+    }
     return val
   }
-  // ob如果是true，则说明其是响应式对象，否则就不是响应式对象
-  const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) { // 如果target是vue实例或是vue的根对象,不允许对vue实例进行修改，则抛出异常
     process.env.NODE_ENV !== 'production' && warn(
       'Avoid adding reactive properties to a Vue instance or its root $data ' +
@@ -254,10 +347,19 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
+  // proxy模式下，通过代理新增属性会自动通知依赖项
+  if (ob.proxy) {
+    ob.proxy[key] = val
+    return val
+  }
   // 如果是响应式的，则将其添加到target上
   defineReactive(ob.value, key, val)
   // 通知依赖项进行更新
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'add', key, newValue: val })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -271,6 +373,10 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    warnReadonly(target, key, 'Delete')
+    return
+  }
   // 如果是一个数组且key为一个有效索引，直接删除，因为splice已经重写，所以vue实例可以监听到数组的删除
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
@@ -288,6 +394,11 @@ export function del (target: Array<any> | Object, key: any) {
   if (!hasOwn(target, key)) {
     return
   }
+  // proxy模式下通过代理删除，会同时通知该key的依赖
+  if (ob && ob.proxy) {
+    delete ob.proxy[key]
+    return
+  }
   // 否则就删除target中对应的数据
   delete target[key]
   // 如果是非响应式的，直接返回
@@ -295,7 +406,11 @@ export function del (target: Array<any> | Object, key: any) {
     return
   }
   // 如果是响应式的，则通知相关依赖项
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'delete', key })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
@@ -0,0 +1,112 @@
+/* @flow */
+
+import VNode from '../vdom/vnode'
+import { def, warn, hasOwn, isObject, toRawType } from '../util/index'
+
+// 标记对象为浅响应式：只转换第一层属性
+export const ShallowFlag = '__v_isShallow'
+// 标记对象为只读：修改时给出警告，并忽略本次修改
+export const ReadonlyFlag = '__v_isReadonly'
+// 只读对象相对于标记根对象的路径，用于警告信息
+export const ReadonlyPathFlag = '__v_readonlyPath'
+
+export function isShallow (value: any): boolean {
+  return !!(value && value[ShallowFlag])
+}
+
+export function isReadonly (value: any): boolean {
+  return !!(value && value[ReadonlyFlag])
+}
+
+function canMark (value: any): boolean {
+  return isObject(value) &&
+    !value._isVue &&
+    !(value instanceof VNode) &&
+    Object.isExtensible(value)
+}
+
+/**
+ * Mark an object so that it's only converted one level deep when
+ * observed. Has no effect on objects that are already observed.
+ */
+export function markShallow (value: any) {
+  if (!canMark(value)) {
+    return
+  }
+  if (hasOwn(value, '__ob__')) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Cannot make an already reactive object shallow.`
+    )
+    return
+  }
+  def(value, ShallowFlag, true)
+}
+
+/**
+ * Mark an object (and all nested objects, unless shallow) as readonly.
+ * Mutations through reactive setters, Vue.set/Vue.delete, array methods
+ * and collection methods are then rejected with a warning.
+ */
+export function markReadonly (value: any, shallow?: boolean, path?: string = '') {
+  if (!canMark(value) || hasOwn(value, ReadonlyFlag)) {
+    return
+  }
+  def(value, ReadonlyFlag, true)
+  def(value, ReadonlyPathFlag, path)
+  if (shallow) {
+    return
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      markReadonly(value[i], false, joinPath(path, i))
+    }
+  } else if (toRawType(value) === 'Map') {
+    value.forEach((val, key) => {
+      markReadonly(val, false, joinPath(path, key))
+    })
+  } else if (toRawType(value) === 'Set') {
+    value.forEach(val => {
+      markReadonly(val, false, path)
+    })
+  } else {
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      markReadonly(value[keys[i]], false, joinPath(path, keys[i]))
+    }
+  }
+}
+
+export function joinPath (path: string, key: any): string {
+  return path ? `${path}.${String(key)}` : String(key)
+}
+
+/**
+ * Warn about a rejected mutation on a readonly target.
+ */
+export function warnReadonly (target: any, key: any, operation: string) {
+  if (process.env.NODE_ENV !== 'production') {
+    const path = target[ReadonlyPathFlag] || ''
+    warn(
+      key === undefined
+        ? `${operation} operation on "${path || '<root>'}" failed: target is readonly.`
+        : `${operation} operation on key "${joinPath(path, key)}" failed: target is readonly.`
+    )
+  }
+}
+
+/**
+ * The result of an array mutator called on a readonly array, i.e. the
+ * result of a call that did not change the array.
+ */
+export function readonlyArrayResult (arr: Array<any>, method: string): any {
+  switch (method) {
+    case 'push':
+    case 'unshift':
+      return arr.length
+    case 'splice':
+      return []
+    case 'sort':
+    case 'reverse':
+      return arr
+  }
+}
@@ -0,0 +1,173 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import Dep from './dep'
+import { observe } from './index'
+import { arrayMethods } from './array'
+import { isReadonly, warnReadonly } from './markers'
+import {
+  hasOwn,
+  isObject,
+  isNative,
+  isValidArrayIndex
+} from '../util/index'
+
+export const hasProxy =
+  typeof Proxy !== 'undefined' && isNative(Proxy) &&
+  typeof Reflect !== 'undefined' && isNative(Reflect.ownKeys)
+
+const arrayProto = Array.prototype
+
+/**
+ * Get the raw object behind a reactive proxy.
+ */
+export function toRaw (value) {
+  const ob = value && value.__ob__
+  return ob && ob.proxy ? ob.value : value
+}
+
+// 通过代理调用数组方法时，直接在原始数组上执行
+// 变异方法由数组拦截器统一通知依赖，避免每次下标写入都触发一次通知
+const arrayInstrumentations = Object.create(null)
+
+Object.getOwnPropertyNames(arrayMethods).forEach(method => {
+  arrayInstrumentations[method] = function (...args) {
+    return arrayMethods[method].apply(toRaw(this), args)
+  }
+})
+
+// identity-sensitive methods need raw values on both sides
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  const original = arrayProto[method]
+  arrayInstrumentations[method] = function (...args) {
+    const raw = toRaw(this)
+    if (Dep.target) {
+      raw.__ob__.dep.depend(debugInfo(raw, 'iterate'))
+    }
+    for (let i = 0; i < args.length; i++) {
+      args[i] = toRaw(args[i])
+    }
+    return original.apply(raw, args)
+  }
+})
+
+function getKeyDep (ob, key) {
+  const deps = ob.deps || (ob.deps = new Map())
+  let dep = deps.get(key)
+  if (!dep) {
+    deps.set(key, (dep = new Dep(ob.value, key)))
+  }
+  return dep
+}
+
+function notifyKey (ob, key, info) {
+  const dep = ob.deps && ob.deps.get(key)
+  if (dep) {
+    dep.notify(info)
+  }
+}
+
+// 开发环境下为onTrack/onTrigger调试钩子提供依赖的信息
+function debugInfo (target, type, key, newValue, oldValue) {
+  return process.env.NODE_ENV !== 'production'
+    ? { target, type, key, newValue, oldValue }
+    : undefined
+}
+
+/**
+ * Create the proxy used in place of getter/setters when
+ * config.proxyReactivity is on. Object properties get a dep
+ * per key, while key addition/removal, `in` checks, key iteration
+ * and every array access use the observer's own dep - the same one
+ * notified by Vue.set/Vue.delete and the array interceptors.
+ */
+export function createReactiveProxy (value, ob) {
+  const isArray = Array.isArray(value)
+  return new Proxy(value, {
+    get (target, key, receiver) {
+      if (key === '__ob__') {
+        return ob
+      }
+      if (isArray && hasOwn(arrayInstrumentations, key)) {
+        return arrayInstrumentations[key]
+      }
+      const res = Reflect.get(target, key, receiver)
+      if (Dep.target) {
+        if (isArray) {
+          ob.dep.depend(debugInfo(target, 'get', key))
+        } else {
+          getKeyDep(ob, key).depend(debugInfo(target, 'get', key))
+        }
+      }
+      if (isObject(res) && !ob.shallow) {
+        // 嵌套的对象在被读取时才转换为响应式代理
+        const childOb = observe(res)
+        if (childOb) {
+          if (Dep.target) {
+            childOb.dep.depend()
+          }
+          return childOb.proxy || res
+        }
+      }
+      return res
+    },
+
+    set (target, key, value) {
+      if (isReadonly(target)) {
+        warnReadonly(target, key, 'Set')
+        return true
+      }
+      const hadKey = isArray && isValidArrayIndex(key)
+        ? Number(key) < target.length
+        : hasOwn(target, key)
+      const oldValue = target[key]
+      value = toRaw(value)
+      const result = Reflect.set(target, key, value)
+      /* eslint-disable no-self-compare */
+      const changed = value !== oldValue && (value === value || oldValue === oldValue)
+      /* eslint-enable no-self-compare */
+      const info = debugInfo(target, hadKey ? 'set' : 'add', key, value, oldValue)
+      if (isArray) {
+        if (!hadKey || changed) {
+          ob.dep.notify(info)
+        }
+      } else if (!hadKey) {
+        notifyKey(ob, key, info)
+        ob.dep.notify(info)
+      } else if (changed) {
+        notifyKey(ob, key, info)
+      }
+      return result
+    },
+
+    deleteProperty (target, key) {
+      if (isReadonly(target)) {
+        warnReadonly(target, key, 'Delete')
+        return true
+      }
+      const hadKey = hasOwn(target, key)
+      const result = Reflect.deleteProperty(target, key)
+      if (hadKey && result) {
+        const info = debugInfo(target, 'delete', key)
+        if (!isArray) {
+          notifyKey(ob, key, info)
+        }
+        ob.dep.notify(info)
+      }
+      return result
+    },
+
+    has (target, key) {
+      if (Dep.target && key !== '__ob__') {
+        ob.dep.depend(debugInfo(target, 'has', key))
+      }
+      return Reflect.has(target, key)
+    },
+
+    ownKeys (target) {
+      if (Dep.target) {
+        ob.dep.depend(debugInfo(target, 'iterate'))
+      }
+      return Reflect.ownKeys(target)
+    }
+  })
+}
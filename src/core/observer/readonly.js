@@ -0,0 +1,169 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import { arrayMethods } from './array'
+import { hasProxy } from './proxy'
+import {
+  ShallowFlag,
+  ReadonlyFlag,
+  ReadonlyPathFlag,
+  warnReadonly,
+  readonlyArrayResult,
+  joinPath
+} from './markers'
+import { isObject, toRawType } from '../util/index'
+
+// 缓存已创建的只读视图，保证同一对象多次读取得到同一个视图
+const readonlyViews = hasProxy ? new WeakMap() : null
+const shallowReadonlyViews = hasProxy ? new WeakMap() : null
+const views = hasProxy ? new WeakSet() : null
+
+/**
+ * Whether readonly views can be created, i.e. if Proxy is supported.
+ */
+export const canCreateReadonlyView = hasProxy
+
+/**
+ * Create a readonly view of a reactive object. Reads go through to the
+ * source, so they are tracked and see the changes made by its owner,
+ * nested objects are returned as readonly views as well (unless shallow).
+ * Writes through the view are rejected with a warning.
+ */
+export function createReadonlyView (source, shallow, path = '') {
+  if (views.has(source)) {
+    return source
+  }
+  const cache = shallow ? shallowReadonlyViews : readonlyViews
+  let view = cache.get(source)
+  if (!view) {
+    view = new Proxy(source, createHandler(source, shallow, path))
+    cache.set(source, view)
+    views.add(view)
+  }
+  return view
+}
+
+function createHandler (source, shallow, path) {
+  const type = toRawType(source)
+  const isCollection = type === 'Map' || type === 'Set' ||
+    type === 'WeakMap' || type === 'WeakSet'
+  const keyed = type === 'Map' || type === 'WeakMap'
+  const wrap = (value, key) => !shallow && isObject(value)
+    ? createReadonlyView(value, false, key === undefined ? path : joinPath(path, key))
+    : value
+
+  return {
+    get (target, key) {
+      if (key === ReadonlyFlag) {
+        return true
+      }
+      if (key === ReadonlyPathFlag) {
+        return path
+      }
+      if (key === ShallowFlag && shallow) {
+        return true
+      }
+      if (isCollection) {
+        return getCollectionMember(source, key, keyed, wrap, viewOf(source, shallow))
+      }
+      if (Array.isArray(source) && typeof key === 'string' && hasOwnMethod(key)) {
+        return readonlyArrayMethods[key]
+      }
+      const value = Reflect.get(source, key)
+      // Proxy的不变式要求不可配置、不可写的属性（如冻结对象的属性）返回原值
+      return isObject(value) && isFixedProperty(source, key) ? value : wrap(value, key)
+    },
+    set (target, key) {
+      warnReadonly(viewOf(source, shallow), key, 'Set')
+      return true
+    },
+    deleteProperty (target, key) {
+      warnReadonly(viewOf(source, shallow), key, 'Delete')
+      return true
+    },
+    defineProperty (target, key) {
+      warnReadonly(viewOf(source, shallow), key, 'Define property')
+      return true
+    }
+  }
+}
+
+function isFixedProperty (source, key) {
+  const desc = Object.getOwnPropertyDescriptor(source, key)
+  return !!desc && !desc.configurable && !desc.writable && 'value' in desc
+}
+
+function viewOf (source, shallow) {
+  return (shallow ? shallowReadonlyViews : readonlyViews).get(source)
+}
+
+function hasOwnMethod (key) {
+  return Object.prototype.hasOwnProperty.call(arrayMethods, key)
+}
+
+// 只读数组的变异方法：给出警告，不修改数组，返回未做任何修改时的结果
+const readonlyArrayMethods = Object.create(null)
+
+Object.getOwnPropertyNames(arrayMethods).forEach(method => {
+  readonlyArrayMethods[method] = function () {
+    warnReadonly(this, undefined, `Array ${method}()`)
+    return readonlyArrayResult(this, method)
+  }
+})
+
+// 集合的只读视图：读取方法在原集合上执行并包装结果，修改方法给出警告
+function getCollectionMember (source, key, keyed, wrap, view) {
+  switch (key) {
+    case 'size':
+      return source.size
+    case 'get':
+      return k => wrap(source.get(k), k)
+    case 'has':
+      return k => source.has(k)
+    case 'set':
+    case 'add':
+      return k => {
+        warnReadonly(view, keyed ? k : undefined, keyed ? 'Set' : 'Add')
+        return view
+      }
+    case 'delete':
+      return k => {
+        warnReadonly(view, keyed ? k : undefined, 'Delete')
+        return false
+      }
+    case 'clear':
+      return () => {
+        warnReadonly(view, undefined, 'Clear')
+      }
+    case 'forEach':
+      return (cb, thisArg) => {
+        source.forEach((value, k) => {
+          cb.call(thisArg, wrap(value, keyed ? k : undefined), keyed ? k : wrap(k), view)
+        })
+      }
+    case 'keys':
+    case 'values':
+    case 'entries':
+      return () => wrapIterator(source[key](), key, keyed, wrap)
+  }
+  if (typeof Symbol !== 'undefined' && key === Symbol.iterator) {
+    return () => wrapIterator(source[key](), keyed ? 'entries' : 'values', keyed, wrap)
+  }
+  return Reflect.get(source, key)
+}
+
+function wrapIterator (inner, kind, keyed, wrap) {
+  const iterator = {
+    next () {
+      const { value, done } = inner.next()
+      if (done) {
+        return { value, done }
+      }
+      if (kind === 'entries') {
+        return { value: [keyed ? value[0] : wrap(value[0]), wrap(value[1], keyed ? value[0] : undefined)], done }
+      }
+      return { value: kind === 'keys' && keyed ? value : wrap(value, undefined), done }
+    }
+  }
+  iterator[Symbol.iterator] = () => iterator
+  return iterator
+}
@@ -1,15 +1,20 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
+import { getCurrentTrigger } from './dep'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
   nextTick,
+  flushCallbacks,
+  hasPendingCallbacks,
   devtools,
   inBrowser,
-  isIE
+  isIE,
+  formatComponentName
 } from '../util/index'
 
 export const MAX_UPDATE_COUNT = 100
@@ -21,6 +26,38 @@ let circular: { [key: number]: number } = {}
 let waiting = false
 let flushing = false
 let index = 0
+let sliceTimer: any = null // timer resuming a time-sliced flush
+let draining = false // flushAll() is running, time slicing is off
+
+// 开发环境下记录每个watcher在本轮flush中是被哪个watcher的哪次修改触发的
+// 出现无限循环时，沿着这些记录回溯出完整的更新链
+type Trigger = {
+  watcher: ?Watcher;
+  info: ?DebuggerEventExtraInfo;
+};
+
+export type UpdateCycleStep = {
+  watcher: Watcher;
+  expression: string;
+  component: ?string;
+  key?: any;
+  type?: string;
+};
+
+// 每次flush开始和结束时递增，用于按flush统计计算属性的求值次数
+let flushId = 0
+
+/**
+ * Get an id for the current flush window. Updates made outside of a
+ * flush (e.g. synchronously after a mutation) share the id of the gap
+ * between two flushes.
+ */
+export function getFlushId (): number {
+  return flushId
+}
+
+let triggers: { [key: number]: Trigger } = {}
+let runningWatcher: ?Watcher = null
 
 /**
  * Reset the scheduler's state.
@@ -30,6 +67,8 @@ function resetSchedulerState () {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggers = {}
+    runningWatcher = null
   }
   waiting = flushing = false
 }
@@ -65,13 +104,29 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * Order in which queued watchers are run:
+ * 1. `flush: 'post'` watchers run after all other watchers, so they see
+ *    the updated DOM.
+ * 2. Watchers with a higher priority run first.
+ * 3. Otherwise watchers run in creation order.
+ */
+function compareWatchers (a: Watcher, b: Watcher): number {
+  if (a.post !== b.post) {
+    return a.post ? 1 : -1
+  }
+  if (a.priority !== b.priority) {
+    return b.priority - a.priority
+  }
+  return a.id - b.id
+}
+
 /**
  * Flush both queues and run the watchers.
  */
 function flushSchedulerQueue () {
-  currentFlushTimestamp = getNow()
   flushing = true
-  let watcher, id
+  flushId++
 
   // Sort queue before flush.
   // This ensures that:
@@ -81,40 +136,130 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
-  queue.sort((a, b) => a.id - b.id)
+  queue.sort(compareWatchers)
+  runQueue()
+}
+
+/**
+ * Run the queued watchers, starting at the current index. When time slicing
+ * is enabled (config.flushBudget), yield to the browser once the budget is
+ * spent and resume in a macro task; watchers queued meanwhile are merged
+ * into the remaining queue.
+ */
+function runQueue () {
+  currentFlushTimestamp = getNow()
+  sliceTimer = null
+  const budget = config.async && !draining ? config.flushBudget : 0
+  const start = index
+  let watcher, id
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
-  for (index = 0; index < queue.length; index++) {
-    watcher = queue[index]
-    if (watcher.before) {
-      watcher.before()
+  for (; index < queue.length; index++) {
+    // 超出时间预算后让出主线程，剩余的watcher在下一个宏任务中继续执行
+    if (budget > 0 && index > start && getNow() - currentFlushTimestamp >= budget) {
+      sliceTimer = setTimeout(runQueue, 0)
+      return
     }
+    watcher = queue[index]
     id = watcher.id
-    has[id] = null
-    watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
+    // in dev build, check and stop circular updates: a watcher that keeps
+    // running again in the same flush is part of an update cycle, whether it
+    // re-queues itself or is re-queued by other watchers.
+    if (process.env.NODE_ENV !== 'production') {
+      circular[id] = circular[id] == null ? 0 : circular[id] + 1
       if (circular[id] > MAX_UPDATE_COUNT) {
+        const cycle = getUpdateCycle(watcher)
         warn(
           'You may have an infinite update loop ' + (
             watcher.user
               ? `in watcher with expression "${watcher.expression}"`
               : `in a component render function.`
-          ),
-          watcher.vm
+          ) + `\n\nUpdate cycle:\n${formatUpdateCycle(cycle)}`,
+          watcher.vm,
+          { cycle }
         )
         break
       }
     }
+    if (watcher.before) {
+      watcher.before()
+    }
+    has[id] = null
+    if (process.env.NODE_ENV !== 'production') {
+      runningWatcher = watcher
+      watcher.run()
+      runningWatcher = null
+    } else {
+      watcher.run()
+    }
+  }
+
+  finishFlush()
+}
+
+/**
+ * Walk back the recorded triggers from a looping watcher, until the
+ * chain closes on itself or reaches a change made outside of the flush.
+ * Returns the steps in the order they happened: each step is a watcher
+ * run, caused by the change (key and type) made by the previous step.
+ */
+function getUpdateCycle (watcher: Watcher): Array<UpdateCycleStep> {
+  const cycle = []
+  const seen = {}
+  let current = watcher
+  while (current && !seen[current.id]) {
+    seen[current.id] = true
+    const trigger = triggers[current.id]
+    cycle.unshift(createCycleStep(current, trigger && trigger.info))
+    current = trigger && trigger.watcher
   }
+  // the chain closed on itself: start with the watcher that closes it
+  if (current) {
+    cycle.unshift(createCycleStep(current))
+  }
+  return cycle
+}
+
+function createCycleStep (
+  watcher: Watcher,
+  info?: ?DebuggerEventExtraInfo
+): UpdateCycleStep {
+  const vm = watcher.vm
+  return {
+    watcher,
+    expression: vm && vm._watcher === watcher
+      ? 'render function'
+      : `watcher "${watcher.expression}"`,
+    component: vm && vm._isVue ? formatComponentName(vm, false) : null,
+    key: info ? info.key : undefined,
+    type: info ? info.type : undefined
+  }
+}
+
+function formatUpdateCycle (cycle: Array<UpdateCycleStep>): string {
+  return cycle.map((step, i) => {
+    const target = step.expression + (step.component ? ` in ${step.component}` : '')
+    if (i === 0 && step.key === undefined) {
+      return `  ${target}`
+    }
+    const change = step.key !== undefined
+      ? `${step.type || 'set'} "${String(step.key)}"`
+      : 'update'
+    return `  ${i === 0 ? '' : '→ '}${change} → ${target}`
+  }).join('\n')
+}
 
+/**
+ * Reset the scheduler and call the hooks of the flushed watchers.
+ */
+function finishFlush () {
   // keep copies of post queues before resetting state
   const activatedQueue = activatedChildren.slice()
   const updatedQueue = queue.slice()
 
   resetSchedulerState()
+  flushId++
 
   // call component updated and activated hooks
   callActivatedHooks(activatedQueue)
@@ -132,12 +277,44 @@ function callUpdatedHooks (queue) {
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
 }
 
+export const MAX_FLUSH_ROUNDS = 100
+
+/**
+ * Synchronously run all pending work: queued watchers, including the rest
+ * of a time-sliced flush, and nextTick callbacks, until nothing is left.
+ * Intended for tests, so that they don't need to await nextTick chains.
+ */
+export function flushAll () {
+  draining = true
+  try {
+    let rounds = 0
+    while ((flushing && sliceTimer) || hasPendingCallbacks()) {
+      if (++rounds > MAX_FLUSH_ROUNDS) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `Vue.flushAll() gave up after ${MAX_FLUSH_ROUNDS} rounds: ` +
+          `a nextTick callback or watcher keeps scheduling more work.`
+        )
+        break
+      }
+      if (flushing && sliceTimer) {
+        clearTimeout(sliceTimer)
+        runQueue()
+      } else {
+        // the scheduler flush is itself a nextTick callback
+        flushCallbacks()
+      }
+    }
+  } finally {
+    draining = false
+  }
+}
+
 /**
  * Queue a kept-alive component that was activated during patch.
  * The queue will be processed after the entire tree has been patched.
@@ -165,13 +342,16 @@ export function queueWatcher (watcher: Watcher) {
   const id = watcher.id
   if (has[id] == null) {
     has[id] = true
+    if (process.env.NODE_ENV !== 'production' && flushing) {
+      triggers[id] = { watcher: runningWatcher, info: getCurrentTrigger() }
+    }
     if (!flushing) {
       queue.push(watcher)
     } else {
-      // if already flushing, splice the watcher based on its id
-      // if already past its id, it will be run next immediately.
+      // if already flushing, splice the watcher based on its order
+      // if already past its position, it will be run next immediately.
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && compareWatchers(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
@@ -3,6 +3,7 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isIterableCollection } from './collection'
 
 const seenObjects = new Set()
 
@@ -45,6 +46,8 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isIterableCollection(val)) { // 如果是Map或Set，则依次读取其内部的值
+    val.forEach(value => _traverse(value, seen))
   } else { // 如果是对象，也对其内部值依次进行读取和监听
     keys = Object.keys(val)
     i = keys.length
@@ -11,13 +11,24 @@ import {
 } from '../util/index'
 
 import { traverse } from './traverse'
-import { queueWatcher } from './scheduler'
+import { queueWatcher, getFlushId } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { recordEffectScope } from './effect-scope'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEvent, ArrayMutation } from './dep'
 
 let uid = 0
 
+// 开发环境下记录计算属性(lazy watcher)的求值情况，用于调试缓存是否生效
+export type EvaluationStats = {
+  count: number; // total number of evaluations
+  flushCount: number; // evaluations within the current flush
+  flushId: number;
+  lastEvaluatedAt: number; // timestamp of the last evaluation
+  lastDuration: number; // time in ms the last evaluation took
+};
+
 /**
  * A watcher parses an expression, collects dependencies,
  * and fires callback when the expression value changes.
@@ -28,7 +39,7 @@ let uid = 0
  * 依赖获取到通知则调用回调函数进行视图更新
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -36,6 +47,10 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  post: boolean; // run after render watchers, i.e. after the DOM has been updated
+  priority: number; // watchers with a higher priority are flushed first
+  mutations: boolean;
+  mutationRecords: ?Array<ArrayMutation>; // null if a change can't be described as array mutations
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -43,36 +58,66 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  onStop: ?Function;
+  onTrack: ?(event: DebuggerEvent) => void;
+  onTrigger: ?(event: DebuggerEvent) => void;
   getter: Function;
   value: any;
+  stats: ?EvaluationStats; // dev only, lazy watchers only
 
 
   constructor (
-    vm: Component,
+    vm: ?Component, // 独立使用响应式API时，watcher不属于任何组件实例
     expOrFn: string | Function, // 可以是函数路径，如"a.b.c"，也可以是函数
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      vm._watcher = this
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+      vm._watchers.push(this)
     }
-    vm._watchers.push(this)
     // options
     if (options) {
       this.deep = !!options.deep
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.post = options.flush === 'post'
+      this.priority = options.priority || 0
+      this.mutations = !!options.mutations
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+        if (options.flush && !/^(pre|post|sync)$/.test(options.flush)) {
+          warn(
+            `Invalid flush option "${options.flush}": ` +
+            `expected "pre", "post" or "sync".`,
+            vm
+          )
+        }
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.post = this.mutations = false
+      this.priority = 0
+    }
+    // watchers owned by a component are torn down by $destroy, only
+    // standalone watchers and user watchers belong to an effect scope
+    if (!vm || this.user) {
+      recordEffectScope(this)
     }
     this.cb = cb
     this.id = ++uid // uid for batching
     this.active = true
     this.dirty = this.lazy // 用于标识计算属性的返回值是否有变化
+    this.stats = process.env.NODE_ENV !== 'production' && this.lazy
+      ? { count: 0, flushCount: 0, flushId: -1, lastEvaluatedAt: 0, lastDuration: 0 }
+      : null
+    this.mutationRecords = this.mutations ? [] : null
     this.deps = []
     this.newDeps = []
     this.depIds = new Set()
@@ -168,7 +213,16 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (mutation?: ArrayMutation) {
+    // 记录数组变更，供回调只处理变化的部分
+    // 任何无法用数组变更描述的通知（如直接替换值）都会使本轮记录失效
+    if (this.mutations && this.mutationRecords) {
+      if (mutation) {
+        this.mutationRecords.push(mutation)
+      } else {
+        this.mutationRecords = null
+      }
+    }
     /* istanbul ignore else */
     if (this.lazy) {
       this.dirty = true
@@ -185,6 +239,10 @@ export default class Watcher {
    */
   run () {
     if (this.active) {
+      const mutations = this.mutationRecords
+      if (this.mutations) {
+        this.mutationRecords = []
+      }
       const value = this.get()
       if (
         value !== this.value ||
@@ -199,7 +257,11 @@ export default class Watcher {
         this.value = value
         if (this.user) {
           try {
-            this.cb.call(this.vm, value, oldValue)
+            if (this.mutations) {
+              this.cb.call(this.vm, value, oldValue, mutations)
+            } else {
+              this.cb.call(this.vm, value, oldValue)
+            }
           } catch (e) {
             handleError(e, this.vm, `callback for watcher "${this.expression}"`)
           }
@@ -215,8 +277,21 @@ export default class Watcher {
    * This only gets called for lazy watchers.
    */
   evaluate () {
+    const stats = process.env.NODE_ENV !== 'production' ? this.stats : null
+    const start = stats ? Date.now() : 0
     this.value = this.get()
     this.dirty = false // 记录本次数据，设置为缓存
+    if (stats) {
+      const flushId = getFlushId()
+      if (stats.flushId !== flushId) {
+        stats.flushId = flushId
+        stats.flushCount = 0
+      }
+      stats.count++
+      stats.flushCount++
+      stats.lastEvaluatedAt = Date.now()
+      stats.lastDuration = stats.lastEvaluatedAt - start
+    }
   }
 
   /**
@@ -237,14 +312,18 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
       this.active = false
+      if (this.onStop) {
+        this.onStop()
+      }
     }
   }
 }
@@ -0,0 +1,73 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import Dep from '../observer/dep'
+import type { DebuggerEvent } from '../observer/dep'
+import { RefFlag } from './ref'
+import type { Ref } from './ref'
+import { warn, def, noop, isServerRendering } from '../util/index'
+
+export type ComputedRef<T> = Ref<T> & {
+  effect: Watcher | void
+};
+
+export type DebuggerOptions = {
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
+};
+
+/**
+ * Create a lazily evaluated, cached ref from a getter, or from
+ * an object with `get` and `set` functions. Works the same way as the
+ * `computed` option, but without a component instance.
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | { get: () => T, set?: (v: T) => void },
+  debugOptions?: DebuggerOptions
+): ComputedRef<T> {
+  let getter: () => T
+  let setter: Function
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => {
+        warn('Write operation failed: computed value is readonly')
+      }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set || noop
+  }
+
+  // computed values are just getters during SSR
+  const watcher = isServerRendering()
+    ? undefined
+    : new Watcher(null, getter, noop, { lazy: true })
+
+  if (process.env.NODE_ENV !== 'production' && watcher && debugOptions) {
+    watcher.onTrack = debugOptions.onTrack
+    watcher.onTrigger = debugOptions.onTrigger
+  }
+
+  const ref = {
+    effect: watcher,
+    get value () {
+      if (watcher) {
+        if (watcher.dirty) {
+          watcher.evaluate()
+        }
+        if (Dep.target) {
+          watcher.depend()
+        }
+        return watcher.value
+      } else {
+        return getter()
+      }
+    },
+    set value (newVal) {
+      setter(newVal)
+    }
+  }
+  def(ref, RefFlag, true)
+  return (ref: any)
+}
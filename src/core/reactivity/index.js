@@ -0,0 +1,26 @@
+/* @flow */
+
+/**
+ * Standalone reactivity API. Built on the same Observer, Dep and Watcher
+ * as components, but usable without creating a Vue instance.
+ */
+
+export {
+  reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReactive,
+  isShallow,
+  isReadonly
+} from './reactive'
+export { toRaw } from '../observer/index'
+export { ref, isRef, unref } from './ref'
+export { computed } from './computed'
+export { watch, watchEffect } from './watch'
+export {
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../observer/effect-scope'
@@ -0,0 +1,93 @@
+/* @flow */
+
+import { observe, toReactive } from '../observer/index'
+import { markShallow, markReadonly, isReadonly } from '../observer/markers'
+import { canCreateReadonlyView, createReadonlyView } from '../observer/readonly'
+import { warn, isObject, hasOwn } from '../util/index'
+
+export { isShallow, isReadonly } from '../observer/markers'
+
+/**
+ * Make an object (or array, Map, Set) deeply reactive and return it
+ * (its Proxy in proxy mode). Same as Vue.observable, but warns on
+ * values that cannot be observed.
+ */
+export function reactive<T: Object> (target: T): T {
+  return createReactive(target)
+}
+
+/**
+ * Like reactive(), but only the root level properties are reactive:
+ * nested objects are stored and exposed as-is.
+ */
+export function shallowReactive<T: Object> (target: T): T {
+  return createReactive(target, markShallow)
+}
+
+/**
+ * Return a readonly view of a reactive object. Reads through the view are
+ * tracked and reflect the changes made to the source by its owner, while any
+ * mutation made through it (assignments, Vue.set/Vue.delete, array methods or
+ * collection methods) is rejected with a warning naming the offending key
+ * path. The source itself stays writable.
+ *
+ * Where Proxy is not supported, the object itself is marked readonly instead.
+ */
+export function readonly<T: Object> (target: T): T {
+  return createReadonly(target, false)
+}
+
+/**
+ * Like readonly(), but only the root level is readonly: nested values are
+ * returned as-is. Objects that are not reactive yet are made shallow reactive.
+ */
+export function shallowReadonly<T: Object> (target: T): T {
+  return createReadonly(target, true)
+}
+
+function createReadonly (target: any, shallow: boolean): any {
+  if (!canCreateReadonlyView) {
+    return createReactive(target, value => {
+      if (shallow) markShallow(value)
+      markReadonly(value, shallow)
+    })
+  }
+  if (isReadonly(target)) {
+    return target
+  }
+  // 冻结的对象无法转为响应式，直接在其上创建只读视图
+  const source = isObject(target) && !Object.isExtensible(target)
+    ? target
+    : shallow && !(isObject(target) && hasOwn(target, '__ob__'))
+      ? createReactive(target, markShallow)
+      : createReactive(target)
+  return isObject(source) ? createReadonlyView(source, shallow) : source
+}
+
+function createReactive (target: any, mark?: (value: Object) => void): any {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `value cannot be made reactive: ${String(target)}`
+    )
+    return target
+  }
+  // 标记需在observe之前完成，Observer会根据标记决定是否递归转换
+  if (mark) {
+    mark(target)
+  }
+  const ob = observe(target)
+  if (process.env.NODE_ENV !== 'production' && !ob) {
+    warn(
+      `Target is not observable (frozen, non-extensible, a Vue instance ` +
+      `or not a plain object): ${Object.prototype.toString.call(target)}`
+    )
+  }
+  return toReactive(target)
+}
+
+/**
+ * Check if a value has been made reactive.
+ */
+export function isReactive (value: any): boolean {
+  return !!(value && value.__ob__)
+}
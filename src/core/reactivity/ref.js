@@ -0,0 +1,32 @@
+/* @flow */
+
+import { defineReactive } from '../observer/index'
+import { def } from '../util/index'
+
+export const RefFlag = `__v_isRef`
+
+export type Ref<T> = {
+  value: T
+};
+
+/**
+ * A ref is an object holding a single reactive `value` property.
+ * Objects assigned to `value` are made deeply reactive.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const ref = {}
+  def(ref, RefFlag, true)
+  defineReactive(ref, 'value', value, null, false)
+  return (ref: any)
+}
+
+export function isRef (r: any): boolean {
+  return !!(r && r[RefFlag] === true)
+}
+
+export function unref<T> (ref: T | Ref<T>): T {
+  return isRef(ref) ? (ref: any).value : (ref: any)
+}
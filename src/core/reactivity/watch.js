@@ -0,0 +1,167 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import type { DebuggerOptions } from './computed'
+import { isRef } from './ref'
+import { isReactive } from './reactive'
+import {
+  warn,
+  noop,
+  isObject,
+  handleError,
+  invokeWithErrorHandling
+} from '../util/index'
+
+export type WatchOptions = DebuggerOptions & {
+  immediate?: boolean;
+  deep?: boolean;
+  sync?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  priority?: number;
+};
+
+export type WatchStopHandle = () => void;
+
+type WatchSource = Function | Object;
+
+/**
+ * Watch one or more reactive sources (refs, reactive objects, getter
+ * functions or an array of those) and invoke the callback when they change.
+ * Returns a function that stops the watcher.
+ */
+export function watch (
+  source: WatchSource | Array<WatchSource>,
+  cb: Function,
+  options?: WatchOptions
+): WatchStopHandle {
+  if (process.env.NODE_ENV !== 'production' && typeof cb !== 'function') {
+    warn(
+      `\`watch(fn, options?)\` signature has been moved to a separate API. ` +
+      `Use \`watchEffect(fn, options?)\` instead. \`watch\` now only ` +
+      `supports \`watch(source, cb, options?) signature.`
+    )
+  }
+  return doWatch(source, cb, options)
+}
+
+/**
+ * Run a function immediately while tracking its dependencies, and re-run it
+ * whenever they change. The function receives an `onCleanup` registrar whose
+ * callback runs before the next run and when the watcher is stopped.
+ */
+export function watchEffect (
+  effect: (onCleanup: Function) => void,
+  options?: WatchOptions
+): WatchStopHandle {
+  return doWatch(effect, null, options)
+}
+
+const warnInvalidSource = (s: any) => {
+  warn(
+    `Invalid watch source: ${String(s)}. A watch source can only be a getter/effect ` +
+    `function, a ref, a reactive object, or an array of these types.`
+  )
+}
+
+function doWatch (
+  source: any,
+  cb: ?Function,
+  options?: WatchOptions = {}
+): WatchStopHandle {
+  const { immediate, deep, sync, flush, priority, onTrack, onTrigger } = options
+  if (process.env.NODE_ENV !== 'production' && !cb) {
+    if (immediate !== undefined) {
+      warn(
+        `watch() "immediate" option is only respected when using the ` +
+        `watch(source, callback, options?) signature.`
+      )
+    }
+    if (deep !== undefined) {
+      warn(
+        `watch() "deep" option is only respected when using the ` +
+        `watch(source, callback, options?) signature.`
+      )
+    }
+  }
+
+  let getter: Function
+  let forceDeep = false
+  let cleanup: ?Function
+
+  const onCleanup = (fn: Function) => {
+    cleanup = fn
+  }
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup
+      cleanup = null
+      invokeWithErrorHandling(fn, null, null, null, 'watcher cleanup function')
+    }
+  }
+
+  if (isRef(source)) {
+    getter = () => source.value
+  } else if (isReactive(source)) {
+    getter = () => source
+    forceDeep = true
+  } else if (Array.isArray(source)) {
+    getter = () => source.map(s => {
+      if (isRef(s)) {
+        return s.value
+      } else if (isReactive(s)) {
+        return s
+      } else if (typeof s === 'function') {
+        return s()
+      } else {
+        process.env.NODE_ENV !== 'production' && warnInvalidSource(s)
+      }
+    })
+    forceDeep = source.some(s => isObject(s) && !isRef(s))
+  } else if (typeof source === 'function') {
+    if (cb) {
+      // getter with cb
+      getter = source
+    } else {
+      // no cb -> simple effect
+      getter = () => {
+        runCleanup()
+        return source(onCleanup)
+      }
+    }
+  } else {
+    getter = noop
+    process.env.NODE_ENV !== 'production' && warnInvalidSource(source)
+  }
+
+  let callback = noop
+  if (cb) {
+    const userCb = cb
+    callback = (value, oldValue) => {
+      runCleanup()
+      userCb(value, oldValue, onCleanup)
+    }
+  }
+
+  const watcher = new Watcher(null, getter, callback, {
+    user: true,
+    deep: deep || forceDeep,
+    sync,
+    flush,
+    priority,
+    onTrack,
+    onTrigger
+  })
+  watcher.onStop = runCleanup
+
+  if (cb && immediate) {
+    try {
+      callback(watcher.value, undefined)
+    } catch (e) {
+      handleError(e, null, `callback for immediate watcher "${watcher.expression}"`)
+    }
+  }
+
+  return () => {
+    watcher.teardown()
+  }
+}
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from '../config'
+import config, { getConfig } from '../config'
 import { noop } from 'shared/util'
 
 export let warn = noop
@@ -15,12 +15,19 @@ if (process.env.NODE_ENV !== 'production') {
     .replace(classifyRE, c => c.toUpperCase())
     .replace(/[-_]/g, '')
 
-  warn = (msg, vm) => {
+  // details carries structured data about the warning for config.warnHandler,
+  // e.g. the update cycle of an infinite update loop
+  warn = (msg, vm, details) => {
     const trace = vm ? generateComponentTrace(vm) : ''
+    const { warnHandler, silent } = getConfig(vm)
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
-    } else if (hasConsole && (!config.silent)) {
+    if (warnHandler) {
+      if (details) {
+        warnHandler.call(null, msg, vm, trace, details)
+      } else {
+        warnHandler.call(null, msg, vm, trace)
+      }
+    } else if (hasConsole && (!silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
   }
@@ -1,9 +1,10 @@
 /* @flow */
 
-import config from '../config'
+import { getConfig } from '../config'
 import { warn } from './debug'
 import { inBrowser, inWeex } from './env'
 import { isPromise } from 'shared/util'
+import { findTemplatePosition } from './source-map'
 import { pushTarget, popTarget } from '../observer/dep'
 
 export function handleError (err: Error, vm: any, info: string) {
@@ -56,9 +57,10 @@ export function invokeWithErrorHandling (
 }
 
 function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+  const { errorHandler } = getConfig(vm)
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.call(null, err, vm, info)
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
@@ -72,7 +74,13 @@ function globalHandleError (err, vm, info) {
 
 function logError (err, vm, info) {
   if (process.env.NODE_ENV !== 'production') {
-    warn(`Error in ${info}: "${err.toString()}"`, vm)
+    // 渲染函数由模板编译而来时，通过source map指出出错的模板位置
+    const position = info === 'render' && vm
+      ? findTemplatePosition(vm.$options.render, err)
+      : null
+    warn(`Error in ${info}: "${err.toString()}"` + (position
+      ? `\n\nfound at template line ${position.line}, column ${position.column}`
+      : ''), vm)
   }
   /* istanbul ignore else */
   if ((inBrowser || inWeex) && typeof console !== 'undefined') {
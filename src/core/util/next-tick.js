@@ -10,7 +10,7 @@ export let isUsingMicroTask = false
 const callbacks = []
 let pending = false
 
-function flushCallbacks () {
+export function flushCallbacks () {
   pending = false
   const copies = callbacks.slice(0)
   callbacks.length = 0
@@ -84,6 +84,32 @@ if (typeof Promise !== 'undefined' && isNative(Promise)) {
   }
 }
 
+const defaultTimerFunc = timerFunc
+
+/**
+ * Install a custom strategy for deferring nextTick callbacks, e.g.
+ * `flush => requestAnimationFrame(flush)`, or a manual queue in tests.
+ * The function is called once per tick with the function that runs the
+ * queued callbacks. Pass nothing to restore the default strategy.
+ */
+export function setTimerFunc (fn?: ?(flush: Function) => void) {
+  if (fn) {
+    const strategy = fn
+    timerFunc = () => strategy(flushCallbacks)
+  } else {
+    timerFunc = defaultTimerFunc
+  }
+  // callbacks waiting on the previous strategy (which may never flush,
+  // e.g. a manual queue) are scheduled again with the new one
+  if (pending) {
+    timerFunc()
+  }
+}
+
+export function hasPendingCallbacks (): boolean {
+  return callbacks.length > 0
+}
+
 export function nextTick (cb?: Function, ctx?: Object) {
   let _resolve
   callbacks.push(() => {
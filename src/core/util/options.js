@@ -1,9 +1,11 @@
 /* @flow */
 
-import config from '../config'
+import config, { getOptionsConfig } from '../config'
+import type { Config } from '../config'
 import { warn } from './debug'
 import { set } from '../observer/index'
 import { unicodeRegExp } from './lang'
+import { isPropType } from './prop-types'
 import { nativeWatch, hasSymbol } from './env'
 
 import {
@@ -15,6 +17,7 @@ import {
   extend,
   hasOwn,
   camelize, // 驼峰法命名转换
+  hyphenate,
   toRawType,
   capitalize,
   isBuiltInTag,
@@ -261,6 +264,7 @@ strats.watch = function (
 strats.props =
 strats.methods =
 strats.inject =
+strats.emits =
 strats.computed = function (
   parentVal: ?Object,
   childVal: ?Object,
@@ -291,20 +295,20 @@ const defaultStrat = function (parentVal: any, childVal: any): any {
  * Validate component names
  * 验证options字段的合法性
  */
-function checkComponents (options: Object) {
+function checkComponents (options: Object, appConfig: Config) {
   for (const key in options.components) {
-    validateComponentName(key)
+    validateComponentName(key, appConfig)
   }
 }
 
-export function validateComponentName (name: string) {
+export function validateComponentName (name: string, appConfig?: Config = config) {
   if (!new RegExp(`^[a-zA-Z][\\-\\.0-9_${unicodeRegExp.source}]*$`).test(name)) {
     warn(
       'Invalid component name: "' + name + '". Component names ' +
       'should conform to valid custom element name in html5 specification.'
     )
   }
-  if (isBuiltInTag(name) || config.isReservedTag(name)) {
+  if (isBuiltInTag(name) || appConfig.isReservedTag(name)) {
     warn(
       'Do not use built-in or reserved HTML elements as component ' +
       'id: ' + name
@@ -374,7 +378,7 @@ function normalizeProps (options: Object, vm: ?Component) {
     for (const key in props) {
       val = props[key]
       name = camelize(key) // 驼峰命名处理
-      res[name] = isPlainObject(val) // 判断key的值是不是对象，从而判断是第几种写法
+      res[name] = isPlainObject(val) && !isPropType(val) // 判断key的值是不是对象，从而判断是第几种写法
         ? val // 如果是第三种写法，则输入格式为{name: {type: String}}
         : { type: val } // 如果是第二种写法，则输出格式为{name: {type: String}}
     }
@@ -456,6 +460,48 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+// 将emits统一为对象格式：{ eventName: validator | null }
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  const normalized = options.emits = {}
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      normalized[emits[i]] = null
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key]
+      if (val != null && typeof val !== 'function' && process.env.NODE_ENV !== 'production') {
+        warn(
+          `Invalid validator for event "${key}" in option "emits": ` +
+          `expected a Function or null, but got ${toRawType(val)}.`,
+          vm
+        )
+      }
+      normalized[key] = typeof val === 'function' ? val : null
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+  }
+}
+
+/**
+ * Check if an event is declared in normalized emits options. Both the
+ * camelCase and hyphenated forms of a declared name match.
+ */
+export function isEmitDeclared (emits: ?Object, event: string): boolean {
+  return !!emits && (
+    hasOwn(emits, event) ||
+    hasOwn(emits, camelize(event)) ||
+    hasOwn(emits, hyphenate(event))
+  )
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -492,9 +538,11 @@ export function mergeOptions (
   child: Object, // 传入的是options属性
   vm?: Component // 如果是根节点，则是Vue原型，子节点为undefined，这里保证了Vue的一致性，可以视为单例模式
 ): Object {
+  // 应用（Vue.createApp）拥有独立的config，合并策略从中读取
+  const appConfig = getOptionsConfig(parent)
   if (process.env.NODE_ENV !== 'production') {
     // 验证options字段的合法性
-    checkComponents(child)
+    checkComponents(child, appConfig)
   }
 
   if (typeof child === 'function') {
@@ -503,6 +551,7 @@ export function mergeOptions (
   // 统一props格式
   normalizeProps(child, vm)
   normalizeInject(child, vm)
+  normalizeEmits(child, vm)
   // 统一directives的格式
   normalizeDirectives(child)
 
@@ -542,7 +591,7 @@ export function mergeOptions (
   */
   function mergeField (key) {
     // strats表示策略规则
-    const strat = strats[key] || defaultStrat
+    const strat = appConfig.optionMergeStrategies[key] || defaultStrat
     options[key] = strat(parent[key], child[key], vm, key)
   }
   return options
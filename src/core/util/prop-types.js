@@ -0,0 +1,124 @@
+/* @flow */
+
+import { isPlainObject } from 'shared/util'
+
+export type TypeMismatch = {
+  path: string; // e.g. props.user.address.zip
+  expectedTypes: Array<string>;
+  value: any;
+};
+
+// 校验value是否符合type（构造函数、类型描述符或二者组成的数组），由props.js提供
+type CheckType = (value: any, type: any, path: string) => ?TypeMismatch;
+
+/**
+ * A composable prop type, accepted wherever a prop `type` constructor is.
+ * `check` returns null for valid values, or describes the first nested
+ * value that failed so that warnings can report its full path.
+ */
+export class PropTypeDescriptor {
+  name: string;
+  check: (value: any, path: string, checkType: CheckType) => ?TypeMismatch;
+
+  constructor (
+    name: string,
+    check: (value: any, path: string, checkType: CheckType) => ?TypeMismatch
+  ) {
+    this.name = name
+    this.check = check
+  }
+}
+
+export function isPropType (type: any): boolean {
+  return type instanceof PropTypeDescriptor
+}
+
+/**
+ * Get a readable name for a type, used in warnings.
+ */
+export function getTypeName (type: any): string {
+  if (Array.isArray(type)) {
+    return type.map(getTypeName).join(' | ')
+  }
+  if (isPropType(type)) {
+    return type.name
+  }
+  return (type && type.name) || String(type)
+}
+
+function mismatch (path: string, expected: string, value: any): TypeMismatch {
+  return { path, expectedTypes: [expected], value }
+}
+
+/**
+ * The value must be one of the given values (compared with ===).
+ */
+export function oneOf (values: Array<any>): PropTypeDescriptor {
+  const name = `one of ${values.map(v => typeof v === 'string' ? `"${v}"` : String(v)).join(', ')}`
+  return new PropTypeDescriptor(name, (value, path) => {
+    return values.indexOf(value) > -1 ? null : mismatch(path, name, value)
+  })
+}
+
+/**
+ * The value must be an array whose items all match the given type.
+ */
+export function arrayOf (type: any): PropTypeDescriptor {
+  return new PropTypeDescriptor(`Array<${getTypeName(type)}>`, (value, path, checkType) => {
+    if (!Array.isArray(value)) {
+      return mismatch(path, 'Array', value)
+    }
+    for (let i = 0; i < value.length; i++) {
+      const res = checkType(value[i], type, `${path}[${i}]`)
+      if (res) return res
+    }
+    return null
+  })
+}
+
+/**
+ * The value must be a plain object whose fields match the given types.
+ * Fields that are undefined are skipped; use nullable() to allow null.
+ */
+export function shape (fields: { [key: string]: any }): PropTypeDescriptor {
+  return new PropTypeDescriptor('Object', (value, path, checkType) => {
+    if (!isPlainObject(value)) {
+      return mismatch(path, 'Object', value)
+    }
+    for (const key in fields) {
+      if (value[key] !== undefined) {
+        const res = checkType(value[key], fields[key], `${path}.${key}`)
+        if (res) return res
+      }
+    }
+    return null
+  })
+}
+
+/**
+ * The value must be an instance of the given constructor. Unlike a plain
+ * constructor type, this never treats primitives or plain objects as
+ * matching String, Number, Object etc.
+ */
+export function instanceOf (Ctor: Function): PropTypeDescriptor {
+  const name = Ctor.name || 'Object'
+  return new PropTypeDescriptor(name, (value, path) => {
+    return value instanceof Ctor ? null : mismatch(path, name, value)
+  })
+}
+
+/**
+ * The value may be null, or must match the given type.
+ */
+export function nullable (type: any): PropTypeDescriptor {
+  return new PropTypeDescriptor(`${getTypeName(type)} | null`, (value, path, checkType) => {
+    if (value === null) {
+      return null
+    }
+    const res = checkType(value, type, path)
+    if (res && res.path === path) {
+      res.expectedTypes.push('null')
+    }
+    return res
+  })
+}
@@ -10,9 +10,14 @@ import {
   capitalize,
   isPlainObject
 } from 'shared/util'
+import { isPropType } from './prop-types'
+
+import type { TypeMismatch, PropTypeDescriptor } from './prop-types'
+
+type PropType = Function | PropTypeDescriptor
 
 type PropOptions = {
-  type: Function | Array<Function> | null,
+  type: PropType | Array<PropType> | null,
   default: any,
   required: ?boolean,
   validator: ?Function
@@ -161,7 +166,15 @@ function assertProp (
   let type = prop.type // 获取值的类型
   let valid = !type || type === true // 输出结果，即校验是否成功，默认成功，如果是这种写法，则标识不需要校验：props:{name:true}，这时的type就等于true
   const expectedTypes = [] // 抛错的结果数组
-  if (type) {
+  if (!valid && hasTypeDescriptor(type)) {
+    // 使用了oneOf、arrayOf、shape等类型描述符时，警告信息中给出具体出错的嵌套字段路径
+    const mismatch = checkType(value, type, `props.${name}`)
+    if (mismatch) {
+      warn(getMismatchMessage(name, mismatch), vm)
+      return
+    }
+    valid = true
+  } else if (type) {
     // 如果设置了type属性，则统一转化为数组类型
     if (!Array.isArray(type)) {
       // 如果不是Array，则转化为Array
@@ -176,7 +189,7 @@ function assertProp (
         expectedType：'Boolean'   // 表示被校验的类型
       }
       */
-      const assertedType = assertType(value, type[i]) // 进行校验
+      const assertedType = assertType(value, (type[i]: any)) // 进行校验
       expectedTypes.push(assertedType.expectedType || '')
       valid = assertedType.valid
     }
@@ -202,6 +215,34 @@ function assertProp (
   }
 }
 
+function hasTypeDescriptor (type: any): boolean {
+  return Array.isArray(type) ? type.some(isPropType) : isPropType(type)
+}
+
+/**
+ * Check a value against a constructor, a type descriptor or an array of
+ * those. Returns null if the value is valid.
+ */
+function checkType (value: any, type: any, path: string): ?TypeMismatch {
+  if (Array.isArray(type)) {
+    const mismatches = []
+    for (let i = 0; i < type.length; i++) {
+      const res = checkType(value, type[i], path)
+      if (!res) return null
+      mismatches.push(res)
+    }
+    // a single candidate may report a nested field, a union can't
+    return mismatches.length === 1
+      ? mismatches[0]
+      : { path, expectedTypes: type.map(getType), value }
+  }
+  if (isPropType(type)) {
+    return type.check(value, path, checkType)
+  }
+  const { valid, expectedType } = assertType(value, type)
+  return valid ? null : { path, expectedTypes: [expectedType], value }
+}
+
 const simpleCheckRE = /^(String|Number|Boolean|Function|Symbol)$/
 
 function assertType (value: any, type: Function): {
@@ -234,9 +275,13 @@ function assertType (value: any, type: Function): {
  * Use function string name to check built-in types,
  * because a simple equality check will fail when running
  * across different vms / iframes.
+ * Type descriptors are identified by their name.
  */
 function getType (fn) {
-  const match = fn && fn.toString().match(/^\s*function (\w+)/)
+  if (isPropType(fn)) {
+    return (fn: any).name
+  }
+  const match = fn && fn.toString().match(/^\s*(?:function|class) (\w+)/)
   return match ? match[1] : ''
 }
 
@@ -284,6 +329,16 @@ function getInvalidTypeMessage (name, value, expectedTypes) {
   return message
 }
 
+function getMismatchMessage (name: string, mismatch: TypeMismatch): string {
+  const receivedType = toRawType(mismatch.value)
+  let message = `Invalid prop: type check failed for prop "${name}". ` +
+    `${mismatch.path} expected ${mismatch.expectedTypes.join(', ')}, got ${receivedType}`
+  if (isExplicable(receivedType)) {
+    message += ` with value ${styleValue(mismatch.value, receivedType)}`
+  }
+  return message + '.'
+}
+
 function styleValue (value, type) {
   if (type === 'String') {
     return `"${value}"`
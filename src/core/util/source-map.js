@@ -0,0 +1,88 @@
+/* @flow */
+
+// Base64 VLQ encoding used by the "mappings" field of source maps (v3)
+const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+export function encodeVLQ (value: number): string {
+  // 最低位为符号位
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1
+  let res = ''
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) {
+      digit |= 32
+    }
+    res += chars[digit]
+  } while (vlq > 0)
+  return res
+}
+
+/**
+ * Decode the mappings of a source map into one array of segments per
+ * generated line. Each segment is [generatedColumn, sourceIndex,
+ * sourceLine, sourceColumn] with absolute, zero-based values.
+ */
+export function decodeMappings (mappings: string): Array<Array<Array<number>>> {
+  const lines = []
+  const state = [0, 0, 0, 0]
+  mappings.split(';').forEach(line => {
+    const segments = []
+    state[0] = 0 // 生成代码的列在每行重新计数
+    line.split(',').forEach(segment => {
+      if (!segment) return
+      let field = 0
+      let value = 0
+      let shift = 0
+      for (let i = 0; i < segment.length; i++) {
+        const digit = chars.indexOf(segment[i])
+        value += (digit & 31) << shift
+        if (digit & 32) {
+          shift += 5
+        } else {
+          state[field++] += value & 1 ? -(value >>> 1) : value >>> 1
+          value = shift = 0
+        }
+      }
+      segments.push(state.slice(0, field))
+    })
+    lines.push(segments)
+  })
+  return lines
+}
+
+// stack frames of functions created with new Function(), e.g.
+// "<anonymous>:3:20" (V8) or "> Function:3:20" (SpiderMonkey)
+const anonymousFrameRE = /(?:<anonymous>|> Function):(\d+):(\d+)/
+
+/**
+ * Map the location where `err` was thrown inside a compiled render
+ * function back to the template, using the source map attached to the
+ * function by the template compiler.
+ */
+export function findTemplatePosition (
+  fn: ?Function,
+  err: any
+): ?{ line: number; column: number } {
+  const map = fn && (fn: any).sourceMap
+  if (!map || !err || typeof err.stack !== 'string') {
+    return
+  }
+  const match = err.stack.match(anonymousFrameRE)
+  if (!match) {
+    return
+  }
+  const segments = decodeMappings(map.mappings)[Number(match[1]) - 1]
+  const column = Number(match[2]) - 1
+  let found
+  if (segments) {
+    for (let i = 0; i < segments.length && segments[i][0] <= column; i++) {
+      if (segments[i].length === 4) {
+        found = segments[i]
+      }
+    }
+  }
+  if (found) {
+    return { line: found[2] + 1, column: found[3] + 1 }
+  }
+}
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from '../config'
+import { getConfig } from '../config'
 import VNode, { createEmptyVNode } from './vnode'
 import { createComponent } from './create-component'
 import { traverse } from '../observer/traverse'
@@ -95,8 +95,9 @@ export function _createElement (
   let vnode, ns
   if (typeof tag === 'string') {
     let Ctor
-    ns = (context.$vnode && context.$vnode.ns) || config.getTagNamespace(tag)
-    if (config.isReservedTag(tag)) {
+    const appConfig = getConfig(context)
+    ns = (context.$vnode && context.$vnode.ns) || appConfig.getTagNamespace(tag)
+    if (appConfig.isReservedTag(tag)) {
       // platform built-in elements
       if (process.env.NODE_ENV !== 'production' && isDef(data) && isDef(data.nativeOn)) {
         warn(
@@ -105,7 +106,7 @@ export function _createElement (
         )
       }
       vnode = new VNode(
-        config.parsePlatformTagName(tag), data, children,
+        appConfig.parsePlatformTagName(tag), data, children,
         undefined, undefined, context
       )
     } else if ((!data || !data.pre) && isDef(Ctor = resolveAsset(context.$options, 'components', tag))) {
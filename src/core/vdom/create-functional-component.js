@@ -118,7 +118,9 @@ export function createFunctionalComponent (
     Ctor
   )
 
-  const vnode = options.render.call(null, renderContext._c, renderContext)
+  const vnode = options.render._withContext
+    ? options.render(renderContext)
+    : options.render.call(null, renderContext._c, renderContext)
 
   if (vnode instanceof VNode) {
     return cloneAndMarkFunctionalResult(vnode, data, renderContext.parent, options, renderContext)
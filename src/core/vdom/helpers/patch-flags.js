@@ -0,0 +1,23 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
+
+/**
+ * Get the names of the attrs/domProps that can change between oldVnode
+ * and vnode, as marked by the template compiler. Returns undefined when
+ * all of them have to be compared.
+ */
+export function getDynamicProps (
+  oldVnode: VNodeWithData,
+  vnode: VNodeWithData
+): Array<string> | void {
+  const patchFlag = vnode.patchFlag
+  if (
+    isDef(patchFlag) &&
+    patchFlag === oldVnode.patchFlag &&
+    !(patchFlag & (PatchFlags.FULL_PROPS | PatchFlags.NEED_PATCH))
+  ) {
+    return vnode.dynamicProps
+  }
+}
@@ -14,6 +14,7 @@ import {
 
 import { createEmptyVNode } from 'core/vdom/vnode'
 import { currentRenderingInstance } from 'core/instance/render'
+import { settleAsyncFactory } from 'core/components/suspense'
 
 function ensureCtor (comp: any, base) {
   if (
@@ -98,6 +99,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settleAsyncFactory(factory)
     })
 
     const reject = once(reason => {
@@ -109,6 +111,7 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      settleAsyncFactory(factory)
     })
 
     const res = factory(resolve, reject)
@@ -3,13 +3,15 @@
 import { emptyNode } from 'core/vdom/patch'
 import { resolveAsset, handleError } from 'core/util/index'
 import { mergeVNodeHook } from 'core/vdom/helpers/index'
+import { PatchFlags } from 'shared/constants'
 
 export default {
   create: updateDirectives,
   update: updateDirectives,
   destroy: function unbindDirectives (vnode: VNodeWithData) {
     updateDirectives(vnode, emptyNode)
-  }
+  },
+  patchFlag: PatchFlags.NEED_PATCH
 }
 
 function updateDirectives (oldVnode: VNodeWithData, vnode: VNodeWithData) {
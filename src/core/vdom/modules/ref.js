@@ -1,6 +1,7 @@
 /* @flow */
 
 import { remove, isDef } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 
 export default {
   create (_: any, vnode: VNodeWithData) {
@@ -14,7 +15,8 @@ export default {
   },
   destroy (vnode: VNodeWithData) {
     registerRef(vnode, true)
-  }
+  },
+  patchFlag: PatchFlags.NEED_PATCH
 }
 
 export function registerRef (vnode: VNodeWithData, isRemoval: ?boolean) {
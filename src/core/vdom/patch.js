@@ -19,11 +19,12 @@
  */
 
 import VNode, { cloneVNode } from './vnode'
-import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { getConfig } from '../config'
+import { SSR_ATTR, PatchFlags } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
+import { registerAsyncFactory } from '../components/suspense'
 import { isTextInputType } from 'web/util/element'
 
 import {
@@ -47,6 +48,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -90,21 +92,69 @@ export function createPatchFunction (backend) {
       }
     }
   }
+  // the patch flags each update hook needs to run for, modules without
+  // flags are run for every dynamic element
+  cbs.updateFlags = []
+  for (j = 0; j < modules.length; ++j) {
+    if (isDef(modules[j].update)) {
+      cbs.updateFlags.push(isDef(modules[j].patchFlag)
+        ? modules[j].patchFlag | PatchFlags.NEED_PATCH
+        : ~0
+      )
+    }
+  }
 
   function emptyNodeAt (elm) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        forEachNode(vnode, removeNode)
       }
     }
     remove.listeners = listeners
     return remove
   }
 
+  // 组件的根节点可能是片段，此时vnode对应多个DOM节点
+  function fragmentOf (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  // invoke fn on every DOM node of the vnode in document order:
+  // a fragment spans its start anchor, its children and its end anchor
+  function forEachNode (vnode, fn) {
+    const fragment = fragmentOf(vnode)
+    if (isDef(fragment)) {
+      fn(fragment.elm)
+      const children = fragment.children
+      for (let i = 0; i < children.length; i++) {
+        forEachNode(children[i], fn)
+      }
+      fn(fragment.anchor)
+    } else {
+      fn(vnode.elm)
+    }
+  }
+
+  function lastNodeOf (vnode) {
+    const fragment = fragmentOf(vnode)
+    return isDef(fragment) ? fragment.anchor : vnode.elm
+  }
+
+  function insertVnode (parent, vnode, ref) {
+    forEachNode(vnode, elm => insert(parent, elm, ref))
+  }
+
+  function moveVnode (parent, vnode, ref) {
+    forEachNode(vnode, elm => nodeOps.insertBefore(parent, elm, ref))
+  }
+
   // 删除节点，从父节点调用removeChild方法进行删除
   function removeNode (el) {
     const parent = nodeOps.parentNode(el) // 获取父节点
@@ -119,14 +169,14 @@ export function createPatchFunction (backend) {
       !inVPre &&
       !vnode.ns &&
       !(
-        config.ignoredElements.length &&
-        config.ignoredElements.some(ignore => {
+        getConfig(vnode.context).ignoredElements.length &&
+        getConfig(vnode.context).ignoredElements.some(ignore => {
           return isRegExp(ignore)
             ? ignore.test(vnode.tag)
             : ignore === vnode.tag
         })
       ) &&
-      config.isUnknownElement(vnode.tag)
+      getConfig(vnode.context).isUnknownElement(vnode.tag)
     )
   }
 
@@ -211,9 +261,24 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) { // 片段，子节点插入到首尾两个空文本锚点之间
+      if (process.env.NODE_ENV !== 'production') {
+        checkDuplicateKeys(children)
+      }
+      vnode.elm = nodeOps.createTextNode('')
+      vnode.anchor = nodeOps.createTextNode('')
+      insert(parentElm, vnode.elm, refElm)
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, parentElm, refElm, nested, children, i)
+      }
+      insert(parentElm, vnode.anchor, refElm)
     } else if (isTrue(vnode.isComment)) { // 判断是否为注释节点，判断字段：isComment
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
+      if (isDef(vnode.asyncFactory)) {
+        // 尚未解析的异步组件占位节点，所在的<suspense>需要等待它
+        registerAsyncFactory(vnode.asyncFactory, activeInstance)
+      }
     } else { // 文本节点
       vnode.elm = nodeOps.createTextNode(vnode.text)
       insert(parentElm, vnode.elm, refElm)
@@ -233,7 +298,7 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -252,11 +317,20 @@ export function createPatchFunction (backend) {
       invokeCreateHooks(vnode, insertedVnodeQueue)
       setScope(vnode)
     } else {
+      if (process.env.NODE_ENV !== 'production' && isDef(fragmentOf(vnode))) {
+        checkFragmentRootData(vnode)
+      }
       // empty component root.
       // skip all element-related modules except for ref (#3455)
       registerRef(vnode)
       // make sure to invoke the insert hook
       insertedVnodeQueue.push(vnode)
+      const roots = fragmentTransitionRoots(vnode)
+      if (isDef(roots)) {
+        for (let i = 0; i < roots.length; ++i) {
+          invokeCreateHooks(roots[i], insertedVnodeQueue)
+        }
+      }
     }
   }
 
@@ -279,7 +353,57 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
+  }
+
+  // 片段的根元素，嵌套的片段会被展开
+  function fragmentRootElms (fragment, elms) {
+    const children = fragment.children
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i]
+      const nested = fragmentOf(child)
+      if (isDef(nested)) {
+        fragmentRootElms(nested, elms)
+      } else if (isPatchable(child)) {
+        elms.push(child.elm)
+      }
+    }
+    return elms
+  }
+
+  // A transition on a component rendering a fragment applies to each of its
+  // root elements: every root gets a vnode carrying only the transition
+  // data, so that the other modules leave it alone.
+  function fragmentTransitionRoots (vnode) {
+    const data = vnode.data
+    if (isUndef(data) || isUndef(data.transition) || isUndef(fragmentOf(vnode))) {
+      return
+    }
+    return fragmentRootElms(fragmentOf(vnode), []).map((elm, i) => {
+      const root = new VNode(vnode.tag, { transition: data.transition }, undefined, undefined, elm, vnode.context)
+      root.key = isDef(vnode.key) ? `${vnode.key}-${i}` : undefined
+      root.isRootInsert = vnode.isRootInsert
+      return root
+    })
+  }
+
+  // class, style, attributes and directives need a single root element to
+  // be applied to
+  function checkFragmentRootData (vnode) {
+    const data = vnode.data
+    const ignored = []
+    if (isDef(data.class) || isDef(data.staticClass)) ignored.push('class')
+    if (isDef(data.style) || isDef(data.staticStyle)) ignored.push('style')
+    if (isDef(data.attrs) && Object.keys(data.attrs).length) ignored.push('attrs')
+    if (isDef(data.directives)) ignored.push('directives')
+    if (ignored.length) {
+      warn(
+        `Component renders a fragment (multiple root nodes), so ` +
+        `${ignored.join(', ')} on it cannot be applied and will be ignored. ` +
+        `Wrap its root nodes in a single element instead.`,
+        vnode.context
+      )
+    }
   }
 
   function insert (parent, elm, ref) {
@@ -375,7 +499,11 @@ export function createPatchFunction (backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        if (isTrue(ch.isFragment)) {
+          removeVnodes(ch.children, 0, ch.children.length - 1)
+          removeNode(ch.elm)
+          removeNode(ch.anchor)
+        } else if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
         } else { // Text node
@@ -388,21 +516,31 @@ export function createPatchFunction (backend) {
   function removeAndInvokeRemoveHook (vnode, rm) {
     if (isDef(rm) || isDef(vnode.data)) {
       let i
-      const listeners = cbs.remove.length + 1
+      // 片段的过渡作用于每个根元素，所有元素离开后才一起移除
+      const roots = fragmentTransitionRoots(vnode)
+      const listeners = cbs.remove.length * (isDef(roots) ? roots.length : 1) + 1
       if (isDef(rm)) {
         // we have a recursively passed down rm callback
         // increase the listeners count
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
         removeAndInvokeRemoveHook(i, rm)
       }
-      for (i = 0; i < cbs.remove.length; ++i) {
-        cbs.remove[i](vnode, rm)
+      if (isDef(roots)) {
+        for (let j = 0; j < roots.length; ++j) {
+          for (i = 0; i < cbs.remove.length; ++i) {
+            cbs.remove[i](roots[j], rm)
+          }
+        }
+      } else {
+        for (i = 0; i < cbs.remove.length; ++i) {
+          cbs.remove[i](vnode, rm)
+        }
       }
       if (isDef(i = vnode.data.hook) && isDef(i = i.remove)) {
         i(vnode, rm)
@@ -415,7 +553,7 @@ export function createPatchFunction (backend) {
   }
 
   // 子节点更新
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, parentAnchor) {
     // 定义各种变量，用于循环遍历子节点，并进行对比修改
     let oldStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -469,7 +607,7 @@ export function createPatchFunction (backend) {
         // 3、将新后与旧前进行对比，相同则进行patch处理
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
         // 把旧前节点移动到oldChilren中所有未处理节点之后
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && moveVnode(parentElm, oldStartVnode, nodeOps.nextSibling(lastNodeOf(oldEndVnode)))
         // 将未对比的长度减少
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
@@ -477,7 +615,7 @@ export function createPatchFunction (backend) {
         // 4、将新前与旧后进行对比，相同则进行patch处理
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
         // 把旧后节点移动到oldChilren中所有未处理节点之前
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && moveVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         // 将未对比的长度减少
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
@@ -497,7 +635,7 @@ export function createPatchFunction (backend) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
             oldCh[idxInOld] = undefined
             // canmove表示是否需要移动节点，如果为true表示需要移动，则移动节点，如果为false则不用移动
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && moveVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // 如果node的key相同，但元素不同，则视为新元素，并挂载至node上
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -509,7 +647,8 @@ export function createPatchFunction (backend) {
     if (oldStartIdx > oldEndIdx) {
       // 如果oldChildren比newChildren先循环完毕，
       // 说明newChildren中剩余的都是需要新增的，将其添加至oldChildren的末尾
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // 片段的子节点需要插入到片段的结束锚点之前
+      refElm = isUndef(newCh[newEndIdx + 1]) ? parentAnchor : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       // 如果newChildren比oldChildren先循环完毕，
@@ -543,6 +682,70 @@ export function createPatchFunction (backend) {
     }
   }
 
+  function isSamePatchTarget (oldVnode, vnode) {
+    if (
+      vnode.patchId !== oldVnode.patchId ||
+      vnode.patchOwner !== oldVnode.patchOwner ||
+      vnode.patchFlag !== oldVnode.patchFlag
+    ) {
+      return false
+    }
+    const oldDynamic = oldVnode.dynamicChildren
+    const dynamic = vnode.dynamicChildren
+    if (isDef(dynamic)) {
+      if (isUndef(oldDynamic) || oldDynamic.length !== dynamic.length) {
+        return false
+      }
+      for (let i = 0; i < dynamic.length; i++) {
+        if (!sameVnode(oldDynamic[i], dynamic[i])) return false
+      }
+    }
+    return true
+  }
+
+  // Static nodes in a block are skipped when it is patched, so they don't
+  // have their elm. Restore them from the DOM before patching the old
+  // vnode without flags: children of an element map to its child nodes.
+  function restoreElms (vnode) {
+    vnode.patchFlag = undefined
+    const children = vnode.children
+    if (isUndef(children) || isUndef(vnode.tag) || isDef(vnode.componentInstance)) {
+      return
+    }
+    let node = vnode.elm.firstChild
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i]
+      if (isUndef(child.elm)) {
+        child.elm = node
+      }
+      restoreElms(child)
+      node = nodeOps.nextSibling(lastNodeOf(child))
+    }
+  }
+
+  // 区块中的动态节点一一对应，直接逐个更新
+  function patchBlockChildren (oldDynamic, dynamic, insertedVnodeQueue, removeOnly) {
+    for (let i = 0; i < dynamic.length; i++) {
+      patchVnode(oldDynamic[i], dynamic[i], insertedVnodeQueue, dynamic, i, removeOnly)
+    }
+  }
+
+  function patchTextChildren (oldCh, ch) {
+    for (let i = 0; i < ch.length; i++) {
+      let c = ch[i]
+      if (isUndef(c.tag) && !c.isComment) {
+        if (isDef(c.elm)) {
+          // clone reused vnode
+          c = ch[i] = cloneVNode(c)
+        }
+        const elm = c.elm = oldCh[i].elm
+        if (c.text !== oldCh[i].text) {
+          nodeOps.setTextContent(elm, c.text)
+        }
+      }
+    }
+  }
+
   /** 
    * 更新节点，思路如下
    * 1、如果新旧vnode都是静态节点，则直接返回
@@ -599,6 +802,20 @@ export function createPatchFunction (backend) {
         return
     }
 
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor
+      updateChildren(nodeOps.parentNode(elm), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, vnode.anchor)
+      return
+    }
+
+    // 两个节点由模板中的同一个元素创建时，只需更新编译器标记的动态部分
+    const patchFlag = vnode.patchFlag
+    const optimized = isDef(patchFlag) && isSamePatchTarget(oldVnode, vnode)
+    if (!optimized && isDef(oldVnode.patchFlag)) {
+      // 例如v-if的不同分支，需要完整的diff
+      restoreElms(oldVnode)
+    }
+
     let i
     const data = vnode.data
     if (isDef(data) && isDef(i = data.hook) && isDef(i = i.prepatch)) {
@@ -608,12 +825,24 @@ export function createPatchFunction (backend) {
     const oldCh = oldVnode.children
     const ch = vnode.children
     if (isDef(data) && isPatchable(vnode)) {
-      for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
+      for (i = 0; i < cbs.update.length; ++i) {
+        if (!optimized || cbs.updateFlags[i] & patchFlag) {
+          cbs.update[i](oldVnode, vnode)
+        }
+      }
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
 
-    // 如果不是文本节点
-    if (isUndef(vnode.text)) {
+    if (optimized && isDef(vnode.dynamicChildren)) {
+      patchBlockChildren(oldVnode.dynamicChildren, vnode.dynamicChildren, insertedVnodeQueue, removeOnly)
+    }
+
+    if (optimized && !(patchFlag & (PatchFlags.KEYED_CHILDREN | PatchFlags.UNKEYED_CHILDREN))) {
+      // 子节点的结构不会变化：动态的后代元素已在区块中更新，只需更新动态文本
+      if (patchFlag & PatchFlags.TEXT) {
+        patchTextChildren(oldCh, ch)
+      }
+    } else if (isUndef(vnode.text)) { // 如果不是文本节点
       // vnode的子节点与oldVnode的子节点都存在
       if (isDef(oldCh) && isDef(ch)) {
         // 若都存在，判断子节点是否相同，不同则更新子节点
@@ -677,6 +906,9 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     // assert node match
     if (process.env.NODE_ENV !== 'production') {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
@@ -721,7 +953,7 @@ export function createPatchFunction (backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = lastNodeOf(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -760,6 +992,26 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // server rendered fragments are wrapped in <!--[--> and <!--]-->
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    if (elm.nodeType !== 8) {
+      return false
+    }
+    const children = vnode.children
+    let childNode = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      childNode = lastNodeOf(children[i]).nextSibling
+    }
+    if (!childNode || childNode.nodeType !== 8) {
+      return false
+    }
+    vnode.anchor = childNode
+    return true
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -830,7 +1082,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(lastNodeOf(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -866,7 +1118,7 @@ export function createPatchFunction (backend) {
         // destroy old node
         if (isDef(parentElm)) {
           removeVnodes([oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment)) {
           invokeDestroyHook(oldVnode)
         }
       }
@@ -33,6 +33,13 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // multiple root nodes of a component
+  anchor: Node | void; // end anchor of a fragment, elm is the start anchor
+  patchFlag: number | void; // dynamic parts marked by the template compiler
+  dynamicProps: Array<string> | void; // names of dynamic attrs/props
+  dynamicChildren: Array<VNode> | void; // dynamic descendants of a block root
+  patchId: number | void; // id of the element in its template
+  patchOwner: Function | void; // render function of the template
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -72,6 +79,13 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isFragment = false /*是否为片段（多个根节点）*/
+    this.anchor = undefined /*片段的结束锚点*/
+    this.patchFlag = undefined /*编译器标记的动态部分*/
+    this.dynamicProps = undefined /*动态的attrs/domProps名称*/
+    this.dynamicChildren = undefined /*区块内的动态后代节点*/
+    this.patchId = undefined /*元素在模板中的编号*/
+    this.patchOwner = undefined /*创建该节点的渲染函数*/
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -89,6 +103,14 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// 片段类型的节点，用于包含多个根节点的组件
+// 片段自身不对应元素，其子节点被插入到首尾两个锚点之间
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 // 文本类型的节点
 export function createTextVNode (val: string | number) {
   // 文本型节点只需要有text属性
@@ -118,6 +140,13 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
+  cloned.anchor = vnode.anchor
+  cloned.patchFlag = vnode.patchFlag
+  cloned.dynamicProps = vnode.dynamicProps
+  cloned.dynamicChildren = vnode.dynamicChildren && vnode.dynamicChildren.slice()
+  cloned.patchId = vnode.patchId
+  cloned.patchOwner = vnode.patchOwner
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
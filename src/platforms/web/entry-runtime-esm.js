@@ -0,0 +1,8 @@
+/* @flow */
+
+import Vue from './entry-runtime'
+
+// render helpers imported by templates compiled as ES modules
+export * from 'core/instance/render-helpers/exports'
+
+export default Vue
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from 'core/config'
+import { getConfig } from 'core/config'
 import { warn, cached } from 'core/util/index'
 import { mark, measure } from 'core/util/perf'
 
@@ -67,12 +67,14 @@ Vue.prototype.$mount = function (
     }
     if (template) {
       /* istanbul ignore if */
-      if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+      if (process.env.NODE_ENV !== 'production' && getConfig(this).performance && mark) {
         mark('compile')
       }
       // 如果render函数不存在，将模板转化为render函数
       const { render, staticRenderFns } = compileToFunctions(template, {
         outputSourceRange: process.env.NODE_ENV !== 'production',
+        sourceMap: process.env.NODE_ENV !== 'production',
+        patchFlags: true,
         shouldDecodeNewlines,
         shouldDecodeNewlinesForHref,
         delimiters: options.delimiters,
@@ -83,7 +85,7 @@ Vue.prototype.$mount = function (
       options.staticRenderFns = staticRenderFns
 
       /* istanbul ignore if */
-      if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+      if (process.env.NODE_ENV !== 'production' && getConfig(this).performance && mark) {
         mark('compile end')
         measure(`vue ${this._name} compile`, 'compile', 'compile end')
       }
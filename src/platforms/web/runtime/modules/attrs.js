@@ -1,6 +1,8 @@
 /* @flow */
 
 import { isIE, isIE9, isEdge } from 'core/util/env'
+import { PatchFlags } from 'shared/constants'
+import { getDynamicProps } from 'core/vdom/helpers/index'
 
 import {
   extend,
@@ -35,6 +37,18 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
 
+  // 编译器标记了动态属性时，只需对比这些属性，静态属性的名称和值都不会变化
+  const dynamicProps = getDynamicProps(oldVnode, vnode)
+  if (isDef(dynamicProps)) {
+    for (let i = 0; i < dynamicProps.length; i++) {
+      key = dynamicProps[i]
+      if (key in attrs && attrs[key] !== oldAttrs[key]) {
+        setAttr(elm, key, attrs[key])
+      }
+    }
+    return
+  }
+
   for (key in attrs) {
     cur = attrs[key]
     old = oldAttrs[key]
@@ -115,5 +129,6 @@ function baseSetAttr (el, key, value) {
 
 export default {
   create: updateAttrs,
-  update: updateAttrs
+  update: updateAttrs,
+  patchFlag: PatchFlags.PROPS | PatchFlags.FULL_PROPS
 }
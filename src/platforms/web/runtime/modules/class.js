@@ -4,6 +4,7 @@ import {
   isDef,
   isUndef
 } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 
 import {
   concat,
@@ -44,5 +45,6 @@ function updateClass (oldVnode: any, vnode: any) {
 
 export default {
   create: updateClass,
-  update: updateClass
+  update: updateClass,
+  patchFlag: PatchFlags.CLASS
 }
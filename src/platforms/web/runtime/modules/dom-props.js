@@ -2,6 +2,8 @@
 
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
 import { isSVG } from 'web/util/index'
+import { PatchFlags } from 'shared/constants'
+import { getDynamicProps } from 'core/vdom/helpers/index'
 
 let svgContainer
 
@@ -18,13 +20,18 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     props = vnode.data.domProps = extend({}, props)
   }
 
-  for (key in oldProps) {
-    if (!(key in props)) {
-      elm[key] = ''
+  // 编译器标记了动态属性时，只需对比这些属性，静态属性的名称和值都不会变化
+  const dynamicProps = getDynamicProps(oldVnode, vnode)
+  if (isUndef(dynamicProps)) {
+    for (key in oldProps) {
+      if (!(key in props)) {
+        elm[key] = ''
+      }
     }
   }
 
   for (key in props) {
+    if (isDef(dynamicProps) && dynamicProps.indexOf(key) < 0) continue
     cur = props[key]
     // ignore children if the node has textContent or innerHTML,
     // as these will throw away existing DOM nodes and cause removal errors
@@ -112,5 +119,6 @@ function isDirtyWithModifiers (elm: any, newVal: string): boolean {
 
 export default {
   create: updateDOMProps,
-  update: updateDOMProps
+  update: updateDOMProps,
+  patchFlag: PatchFlags.PROPS | PatchFlags.FULL_PROPS
 }
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { isDef, isUndef } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 import { updateListeners } from 'core/vdom/helpers/index'
 import { isIE, isFF, supportsPassive, isUsingMicroTask } from 'core/util/index'
 import { RANGE_TOKEN, CHECKBOX_RADIO_TOKEN } from 'web/compiler/directives/model'
@@ -116,5 +117,6 @@ function updateDOMListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 
 export default {
   create: updateDOMListeners,
-  update: updateDOMListeners
+  update: updateDOMListeners,
+  patchFlag: PatchFlags.NEED_PATCH
 }
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { parse } from 'compiler/parser/index'
+import { transform } from 'compiler/transform'
 import { generate } from './codegen'
 import { optimize } from './optimizer'
 import { createCompilerCreator } from 'compiler/create-compiler'
@@ -9,7 +10,7 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   template: string,
   options: CompilerOptions
 ): CompiledResult {
-  const ast = parse(template.trim(), options)
+  const ast = transform(parse(template.trim(), options), options)
   optimize(ast, options)
   const code = generate(ast, options)
   return {
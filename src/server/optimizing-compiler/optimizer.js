@@ -49,7 +49,8 @@ function walk (node: ASTNode, isRoot?: boolean) {
   if (node.type === 1) {
     for (let i = 0, l = node.children.length; i < l; i++) {
       const child = node.children[i]
-      walk(child)
+      // each root of a fragment is rendered as its own vnode
+      walk(child, isRoot && node.fragment)
       check(child)
     }
     if (node.ifConditions) {
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { isUndef } from 'shared/util'
+import { TELEPORT_START, TELEPORT_END } from 'core/components/teleport'
 
 type RenderState = {
   type: 'Element';
@@ -16,6 +17,11 @@ type RenderState = {
 } | {
   type: 'Component';
   prevActive: Component;
+} | {
+  type: 'Teleport';
+  to: string;
+  buffer: Array<string>;
+  prevWrite: (text: string, next: Function) => void;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
@@ -91,6 +97,16 @@ export class RenderContext {
           this.renderStates.pop()
           this.activeInstance = lastState.prevActive
           break
+        case 'Teleport':
+          this.renderStates.pop()
+          this.write = lastState.prevWrite
+          const { userContext } = this
+          if (userContext) {
+            const teleports = userContext.teleports || (userContext.teleports = {})
+            teleports[lastState.to] = (teleports[lastState.to] || '') +
+              `<!--${TELEPORT_START}-->${lastState.buffer.join('')}<!--${TELEPORT_END}-->`
+          }
+          break
         case 'ComponentWithCache':
           this.renderStates.pop()
           const { buffer, bufferIndex, componentBuffer, key } = lastState
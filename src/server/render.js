@@ -3,6 +3,7 @@
 import { escape } from 'web/server/util'
 import { SSR_ATTR } from 'shared/constants'
 import { RenderContext } from './render-context'
+import { createWriteFunction } from './write'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
@@ -78,6 +79,8 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -201,7 +204,11 @@ function renderComponentInner (node, isRoot, context) {
       type: 'Component',
       prevActive
     })
-    renderNode(childNode, isRoot, context)
+    if (isDef(child._teleportChildren)) {
+      renderTeleport(child, childNode, context)
+    } else {
+      renderNode(childNode, isRoot, context)
+    }
   }
 
   const reject = context.done
@@ -209,6 +216,31 @@ function renderComponentInner (node, isRoot, context) {
   waitForServerPrefetch(child, resolve, reject)
 }
 
+// <teleport>的内容写入单独的缓冲区，渲染完成后存放在ssrContext.teleports[to]中，
+// 原位置只输出占位注释
+function renderTeleport (vm, anchor, context) {
+  const buffer = []
+  const children = vm._teleportChildren || []
+  const prevWrite = context.write
+  context.renderStates.push({
+    type: 'Teleport',
+    to: String((vm: any).to),
+    buffer,
+    prevWrite
+  })
+  context.renderStates.push({
+    type: 'Fragment',
+    children,
+    rendered: 0,
+    total: children.length
+  })
+  context.write = createWriteFunction(text => {
+    buffer.push(text)
+    return false
+  }, context.done)
+  prevWrite(`<!--${anchor.text}-->`, context.next)
+}
+
 function renderAsyncComponent (node, isRoot, context) {
   const factory = node.asyncFactory
 
@@ -323,6 +355,19 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// 片段使用<!--[-->和<!--]-->包裹，客户端激活时据此找到片段的范围
+function renderFragment (node, context) {
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write('<!--[-->', context.next)
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
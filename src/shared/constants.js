@@ -19,5 +19,19 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
+
+// 编译器为元素生成的补丁标记，描述元素的哪些部分是动态的
+export const PatchFlags = {
+  TEXT: 1, // 动态文本子节点
+  CLASS: 2, // 动态class
+  STYLE: 4, // 动态style
+  PROPS: 8, // 动态attrs/domProps，名称列在dynamicProps中
+  FULL_PROPS: 16, // 属性名也是动态的，需完整对比attrs/domProps
+  NEED_PATCH: 32, // 事件、指令、ref等，需要执行所有模块的更新
+  KEYED_CHILDREN: 64, // 子节点结构会变化（含有key），需要完整diff
+  UNKEYED_CHILDREN: 128 // 子节点结构会变化（没有key），需要完整diff
+}
@@ -1170,9 +1170,9 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div :foo="a b"></div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('invalid expression')
       done()
     })
   })
@@ -1461,6 +1461,39 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should render the default slot of suspense', done => {
+    renderVmWithOptions({
+      template: `
+        <suspense>
+          <async-comp></async-comp><prefetch></prefetch>
+          <template #fallback><i>loading</i></template>
+        </suspense>
+      `,
+      components: {
+        asyncComp: () => new Promise(resolve => {
+          setTimeout(() => resolve({ template: '<span>async</span>' }), 1)
+        }),
+        prefetch: {
+          template: '<b>{{ message }}</b>',
+          data: () => ({ message: '' }),
+          serverPrefetch () {
+            return new Promise(resolve => {
+              setTimeout(() => {
+                this.message = 'prefetched'
+                resolve()
+              }, 1)
+            })
+          }
+        }
+      }
+    }, result => {
+      expect(result).toBe(
+        '<div data-server-rendered="true"><span>async</span><b>prefetched</b></div>'
+      )
+      done()
+    })
+  })
+
   it('should merge serverPrefetch option', done => {
     const mixin = {
       data: {
@@ -1535,6 +1568,50 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should render teleported content into context.teleports', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: '<div><p>a</p><teleport to="#modals"><span>{{ msg }}</span><child></child></teleport></div>',
+      data: { msg: 'hi' },
+      provide: { foo: 'injected' },
+      components: {
+        child: {
+          inject: ['foo'],
+          template: '<i>{{ foo }}</i>'
+        }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true"><p>a</p><!--teleport--></div>')
+      expect(context.teleports['#modals']).toBe(
+        '<!--teleport start--><span>hi</span><i>injected</i><!--teleport end-->'
+      )
+      done()
+    })
+  })
+
+  it('should render fragments wrapped in anchor comments', done => {
+    renderVmWithOptions({
+      template: '<div><child></child><p>c</p></div>',
+      components: {
+        child: {
+          data: () => ({ n: 1 }),
+          template: '<p>a{{ n }}</p><span v-if="n">b</span><grand></grand>',
+          components: {
+            grand: { template: '<i>x</i><i>y</i>' }
+          }
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+        '<!--[--><p>a1</p><span>b</span><!--[--><i>x</i><i>y</i><!--]--><!--]-->' +
+        '<p>c</p></div>'
+      )
+      done()
+    })
+  })
+
   it('invalid style value', done => {
     renderVmWithOptions({
       template: '<div :style="style"><p :style="style2"/></div>',
@@ -0,0 +1,211 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  const fallback = '<template #fallback="{ error, reset }"><p @click="reset">{{ error.message }}</p></template>'
+
+  function createBoundary (child, data = {}, extra = '') {
+    return new Vue({
+      template: `<div><error-boundary ${extra}><child></child>${fallback}</error-boundary></div>`,
+      data,
+      components: { child }
+    }).$mount()
+  }
+
+  it('should render the default slot', () => {
+    const vm = createBoundary({ template: '<span>ok</span>' })
+    expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+  })
+
+  it('should update the default slot', done => {
+    const vm = new Vue({
+      template: `<div><error-boundary><template #default><span>{{ msg }}</span></template>${fallback}</error-boundary>` +
+        `<error-boundary><b>{{ msg }}</b>${fallback}</error-boundary></div>`,
+      data: { msg: 'foo' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo</span><b>foo</b>')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>bar</span><b>bar</b>')
+    }).then(done)
+  })
+
+  it('should catch render errors', done => {
+    const vm = createBoundary({
+      render () {
+        throw new Error('render')
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>render</p>')
+      expect('Error in render').not.toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should catch lifecycle hook errors', done => {
+    const vm = createBoundary({
+      mounted () {
+        throw new Error('mounted')
+      },
+      render: h => h('span')
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>mounted</p>')
+      expect('Error in mounted hook').not.toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should catch watcher errors', done => {
+    const vm = createBoundary({
+      data: () => ({ n: 0 }),
+      watch: {
+        n () {
+          throw new Error('watcher')
+        }
+      },
+      render: h => h('span')
+    })
+    vm.$children[0].$children[0].n++
+    waitForUpdate(() => {
+      // the boundary re-renders in the next flush
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>watcher</p>')
+    }).then(done)
+  })
+
+  it('should catch async v-on handler errors', done => {
+    const vm = createBoundary({
+      template: '<button @click="onClick"></button>',
+      methods: {
+        onClick () {
+          return Promise.reject(new Error('async'))
+        }
+      }
+    })
+    triggerEvent(vm.$el.querySelector('button'), 'click')
+    setTimeout(() => {
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe('<p>async</p>')
+      }).then(done)
+    })
+  })
+
+  it('should render the default slot again on reset', done => {
+    let fail = true
+    const vm = createBoundary({
+      render (h) {
+        if (fail) throw new Error('render')
+        return h('span', 'ok')
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>render</p>')
+      fail = false
+      triggerEvent(vm.$el.querySelector('p'), 'click')
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+    }).then(done)
+  })
+
+  it('should reset when resetKeys change', done => {
+    let fail = true
+    const vm = createBoundary({
+      render (h) {
+        if (fail) throw new Error('render')
+        return h('span', 'ok')
+      }
+    }, { id: 1, other: 1 }, ':reset-keys="[id]" :data-other="other"')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toContain('render')
+      fail = false
+      // a new but equal array should not reset
+      vm.other++
+    }).then(() => {
+      expect(vm.$el.innerHTML).toContain('render')
+      vm.id++
+    }).then(() => {
+      // resetKeys changed, boundary re-renders the default slot
+    }).then(() => {
+      expect(vm.$el.innerHTML).toContain('>ok</span>')
+    }).then(done)
+  })
+
+  it('should catch errors in lazily evaluated slot content', done => {
+    const onError = jasmine.createSpy('error')
+    const vm = new Vue({
+      template: `<div><error-boundary @error="onError"><template #default><span>{{ foo.bar }}</span></template>${fallback}</error-boundary></div>`,
+      data: { foo: null },
+      methods: { onError }
+    }).$mount()
+    const boundary = vm.$children[0]
+    expect(onError.calls.argsFor(0)[1]).toBe(boundary)
+    expect(onError.calls.argsFor(0)[2]).toBe('render')
+    expect('Error in render').not.toHaveBeenWarned()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toContain('<p>')
+      vm.foo = { bar: 'ok' }
+      triggerEvent(vm.$el.querySelector('p'), 'click')
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+    }).then(done)
+  })
+
+  it('should emit error event and stop propagation', done => {
+    const onError = jasmine.createSpy('error')
+    const captured = jasmine.createSpy('errorCaptured')
+    const err = new Error('hook')
+    const vm = new Vue({
+      template: `<div><error-boundary @error="onError"><child></child>${fallback}</error-boundary></div>`,
+      methods: { onError },
+      errorCaptured: captured,
+      components: {
+        child: {
+          created () {
+            throw err
+          },
+          render: h => h('span')
+        }
+      }
+    }).$mount()
+    expect(onError).toHaveBeenCalled()
+    expect(onError.calls.argsFor(0)[0]).toBe(err)
+    expect(onError.calls.argsFor(0)[2]).toBe('created hook')
+    expect(captured).not.toHaveBeenCalled()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>hook</p>')
+    }).then(done)
+  })
+
+  it('should let errors propagate without a fallback slot', () => {
+    const captured = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    new Vue({
+      template: '<div><error-boundary><child></child></error-boundary></div>',
+      errorCaptured: captured,
+      components: {
+        child: {
+          created () {
+            throw new Error('hook')
+          },
+          render: h => h('span')
+        }
+      }
+    }).$mount()
+    expect(captured).toHaveBeenCalled()
+  })
+
+  it('nested boundaries should catch errors in the closest one', done => {
+    const vm = new Vue({
+      template: `<div><error-boundary><error-boundary><child></child>${fallback}</error-boundary><i></i>` +
+        `<template #fallback><b>outer</b></template></error-boundary></div>`,
+      components: {
+        child: {
+          render () {
+            throw new Error('inner')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div><p>inner</p><i></i></div>')
+    }).then(done)
+  })
+})
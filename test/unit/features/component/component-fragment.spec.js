@@ -0,0 +1,223 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Frag = {
+    props: ['id'],
+    template: '<b>{{ id }}</b><i>{{ id }}</i>'
+  }
+
+  it('should render multiple root nodes', () => {
+    const vm = new Vue({
+      template: '<div><span>a</span><frag id="1"></frag><span>b</span></div>',
+      components: { Frag }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><b>1</b><i>1</i><span>b</span>')
+    // $el is the start anchor of the fragment
+    const child = vm.$children[0]
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.nextSibling.tagName).toBe('B')
+  })
+
+  it('should support render functions returning an array', () => {
+    const vm = new Vue({
+      template: '<div><frag></frag></div>',
+      components: {
+        frag: {
+          render: h => [h('b'), 'text', h('i')]
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b></b>text<i></i>')
+  })
+
+  it('should render <template>, <slot> and v-for roots as fragments', () => {
+    const vm = new Vue({
+      template: '<div><wrap><b>1</b><b>2</b></wrap><list></list></div>',
+      components: {
+        wrap: { template: '<slot></slot>' },
+        list: {
+          data: () => ({ items: [1, 2] }),
+          template: '<i v-for="i in items">{{ i }}</i>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>1</b><b>2</b><i>1</i><i>2</i>')
+  })
+
+  it('should update root nodes', done => {
+    const vm = new Vue({
+      template: '<div><frag></frag><p>end</p></div>',
+      components: {
+        frag: {
+          data: () => ({ ok: true, msg: 'a' }),
+          template: '<b v-if="ok">{{ msg }}</b><span v-for="i in 2">{{ msg }}</span>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    child.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>a</span><span>a</span><p>end</p>')
+      child.ok = true
+      child.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>b</b><span>b</span><span>b</span><p>end</p>')
+    }).then(done)
+  })
+
+  it('should insert, move and remove fragment components', done => {
+    const vm = new Vue({
+      template: '<div><frag v-for="id in ids" :key="id" :id="id"></frag><p>end</p></div>',
+      data: { ids: [1, 2, 3] },
+      components: { Frag }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>1</b><i>1</i><b>2</b><i>2</i><b>3</b><i>3</i><p>end</p>')
+    const third = vm.$children[2]
+    vm.ids = [3, 1, 4]
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b>3</b><i>3</i><b>1</b><i>1</i><b>4</b><i>4</i><p>end</p>')
+      expect(vm.$children).toContain(third)
+      vm.ids = [4, 3]
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>4</b><i>4</i><b>3</b><i>3</i><p>end</p>')
+      vm.ids = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>end</p>')
+    }).then(done)
+  })
+
+  it('should replace a fragment with an element root', done => {
+    const vm = new Vue({
+      template: '<div><frag></frag><p>end</p></div>',
+      components: {
+        frag: {
+          data: () => ({ single: false }),
+          template: '<span v-if="single">single</span><b v-else>a</b><i v-if="!single">b</i>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>a</b><i>b</i><p>end</p>')
+    vm.$children[0].single = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>single</span><!----><p>end</p>')
+    }).then(done)
+  })
+
+  it('should support nested fragments', done => {
+    const vm = new Vue({
+      template: '<div><outer v-if="ok"></outer><p>end</p></div>',
+      data: { ok: true },
+      components: {
+        outer: {
+          template: '<frag id="1"></frag><frag id="2"></frag>',
+          components: { Frag }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>1</b><i>1</i><b>2</b><i>2</i><p>end</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><p>end</p>')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>1</b><i>1</i><b>2</b><i>2</i><p>end</p>')
+    }).then(done)
+  })
+
+  it('should call lifecycle hooks of children', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: '<div><frag v-if="ok"></frag></div>',
+      data: { ok: true },
+      components: {
+        frag: {
+          template: '<child></child><child></child>',
+          components: {
+            child: { destroyed, render: h => h('i') }
+          }
+        }
+      }
+    }).$mount()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(destroyed.calls.count()).toBe(2)
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should warn class, style and attrs on fragment components', () => {
+    new Vue({
+      template: '<div><frag class="a" id="b"></frag></div>',
+      components: { Frag: { template: '<b></b><i></i>' } }
+    }).$mount()
+    expect('Component renders a fragment (multiple root nodes), so class, attrs on it cannot be applied').toHaveBeenWarned()
+  })
+
+  it('should apply transitions to every root element', done => {
+    const log = []
+    const leaveCbs = []
+    const vm = new Vue({
+      template: `<div><transition :css="false" @enter="enter" @leave="leave"><frag v-if="ok"></frag></transition><p>end</p></div>`,
+      data: { ok: false },
+      methods: {
+        enter (el, cb) {
+          log.push(`enter ${el.tagName}`)
+          cb()
+        },
+        leave (el, cb) {
+          log.push(`leave ${el.tagName}`)
+          leaveCbs.push(cb)
+        }
+      },
+      components: {
+        frag: {
+          render: h => [h('b', '1'), 'text', h('i', '2')]
+        }
+      }
+    }).$mount()
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(log).toEqual(['enter B', 'enter I'])
+      expect(vm.$el.innerHTML).toBe('<b>1</b>text<i>2</i><p>end</p>')
+      vm.ok = false
+    }).then(() => {
+      expect(log).toEqual(['enter B', 'enter I', 'leave B', 'leave I'])
+      // the root nodes are removed together once every leave is done
+      leaveCbs[0]()
+      expect(vm.$el.innerHTML).toBe('<b>1</b>text<i>2</i><!----><p>end</p>')
+      leaveCbs[1]()
+      expect(vm.$el.innerHTML).toBe('<!----><p>end</p>')
+    }).then(done)
+  })
+
+  it('should mount and update a root instance rendering a fragment', done => {
+    const el = document.createElement('div')
+    el.innerHTML = '<div></div><span>end</span>'
+    const vm = new Vue({
+      data: { msg: 'a', ok: true },
+      template: '<p>{{ msg }}</p><p v-if="ok">b</p>'
+    }).$mount(el.firstChild)
+    expect(el.innerHTML).toBe('<p>a</p><p>b</p><span>end</span>')
+    expect(vm.$el.nodeType).toBe(3)
+    vm.msg = 'c'
+    waitForUpdate(() => {
+      expect(el.innerHTML).toBe('<p>c</p><p>b</p><span>end</span>')
+      vm.ok = false
+    }).then(() => {
+      expect(el.innerHTML).toBe('<p>c</p><!----><span>end</span>')
+    }).then(done)
+  })
+
+  it('should hydrate server rendered fragments', () => {
+    const el = document.createElement('div')
+    el.innerHTML = '<div data-server-rendered="true"><!--[--><b>1</b><i>1</i><!--]--><p>end</p></div>'
+    const dom = el.firstChild
+    const vm = new Vue({
+      template: '<div><frag id="1"></frag><p>end</p></div>',
+      components: { Frag }
+    }).$mount(dom)
+    expect(vm.$el).toBe(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+  })
+})
@@ -0,0 +1,222 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  function defer () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+
+  function isShown (el) {
+    return el.style.display !== 'none'
+  }
+
+  it('should render the default slot when there is nothing to wait for', done => {
+    const onPending = jasmine.createSpy('pending')
+    const onResolve = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `<suspense @pending="onPending" @resolve="onResolve">
+        <span>ok</span>
+        <template #fallback>loading</template>
+      </suspense>`,
+      methods: { onPending, onResolve }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('ok')
+      expect(isShown(vm.$el.querySelector('span'))).toBe(true)
+      expect(onPending).not.toHaveBeenCalled()
+      expect(onResolve).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should wait for all async components', done => {
+    const a = defer()
+    const b = defer()
+    const events = []
+    const vm = new Vue({
+      template: `<suspense @pending="log('pending')" @fallback="log('fallback')" @resolve="log('resolve')">
+        <comp-a></comp-a><comp-b></comp-b>
+        <template #fallback><i>loading</i></template>
+      </suspense>`,
+      methods: {
+        log (e) {
+          events.push(e)
+        }
+      },
+      components: {
+        compA: () => a.promise,
+        compB: () => b.promise
+      }
+    }).$mount()
+    expect(events).toEqual(['pending', 'fallback'])
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('i').textContent).toBe('loading')
+      a.resolve({ render: h => h('span', 'a') })
+    }).thenWaitFor(10).then(() => {
+      // still waiting for b
+      expect(vm.$el.querySelector('i')).toBeTruthy()
+      expect(isShown(vm.$el.querySelector('span'))).toBe(false)
+      b.resolve({ render: h => h('span', 'b') })
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.querySelector('i')).toBe(null)
+      expect(vm.$el.textContent.trim()).toBe('ab')
+      expect([].every.call(vm.$el.querySelectorAll('span'), isShown)).toBe(true)
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+    }).then(done)
+  })
+
+  it('should wait for nested async components and async setup', done => {
+    const inner = defer()
+    const data = defer()
+    const vm = new Vue({
+      template: `<suspense><parent></parent><template #fallback>loading</template></suspense>`,
+      components: {
+        parent: {
+          template: '<div><async-setup></async-setup></div>',
+          components: {
+            asyncSetup: {
+              setup () {
+                return data.promise.then(msg => ({ msg }))
+              },
+              template: '<p>{{ msg }}<inner></inner></p>',
+              components: {
+                inner: () => inner.promise
+              }
+            }
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toContain('loading')
+      data.resolve('hello')
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.textContent).toContain('loading')
+      expect(vm.$el.querySelector('p').textContent).toBe('hello')
+      inner.resolve({ render: h => h('b', 'inner') })
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.textContent).not.toContain('loading')
+      expect(vm.$el.querySelector('p').innerHTML).toBe('hello<b>inner</b>')
+    }).then(done)
+  })
+
+  it('should wait for serverPrefetch hooks on the client', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `<suspense><comp></comp><template #fallback>loading</template></suspense>`,
+      components: {
+        comp: {
+          data: () => ({ msg: '' }),
+          serverPrefetch () {
+            return d.promise.then(msg => {
+              this.msg = msg
+            })
+          },
+          template: '<span>{{ msg }}</span>'
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toContain('loading')
+      d.resolve('data')
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('data')
+    }).then(done)
+  })
+
+  it('should not call serverPrefetch outside of suspense', () => {
+    const spy = jasmine.createSpy('serverPrefetch')
+    new Vue({
+      serverPrefetch: spy,
+      render: h => h('div')
+    }).$mount()
+    expect(spy).not.toHaveBeenCalled()
+  })
+
+  it('should delay the fallback with timeout', done => {
+    const d = defer()
+    const onFallback = jasmine.createSpy('fallback')
+    const vm = new Vue({
+      template: `<suspense :timeout="20" @fallback="onFallback">
+        <comp></comp><template #fallback><i>loading</i></template>
+      </suspense>`,
+      methods: { onFallback },
+      components: {
+        comp: () => d.promise
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('i')).toBe(null)
+      expect(onFallback).not.toHaveBeenCalled()
+    }).thenWaitFor(30).then(() => {
+      expect(onFallback).toHaveBeenCalled()
+      expect(vm.$el.querySelector('i')).toBeTruthy()
+      d.resolve({ render: h => h('span') })
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.querySelector('i')).toBe(null)
+    }).then(done)
+  })
+
+  it('should resolve when an async component fails', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `<suspense><comp></comp><template #fallback><i>loading</i></template></suspense>`,
+      components: {
+        comp: () => d.promise
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      d.reject(new Error('failed'))
+      d.promise.catch(() => {})
+    }).thenWaitFor(10).then(() => {
+      expect('Failed to resolve async component').toHaveBeenWarned()
+      expect(vm.$el.querySelector('i')).toBe(null)
+    }).then(done)
+  })
+
+  it('should hide the root elements of the default slot without a wrapper', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `<suspense tag="ul"><li v-for="n in 2" :style="{ color: 'red' }">{{ n }}</li><comp></comp><template #fallback><li>loading</li></template></suspense>`,
+      components: {
+        comp: () => d.promise
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.outerHTML).toBe(
+        '<ul><li style="color: red; display: none;">1</li><li style="color: red; display: none;">2</li><!----><li>loading</li></ul>'
+      )
+      d.resolve({ render: h => h('li', 'comp') })
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.outerHTML).toBe(
+        '<ul><li style="color: red;">1</li><li style="color: red;">2</li><li style="">comp</li></ul>'
+      )
+    }).then(done)
+  })
+
+  it('should keep component state when revealing the default slot', done => {
+    const d = defer()
+    let created = 0
+    const vm = new Vue({
+      template: `<suspense><sync></sync><comp></comp><template #fallback>loading</template></suspense>`,
+      components: {
+        sync: {
+          created () {
+            created++
+          },
+          render: h => h('span')
+        },
+        comp: () => d.promise
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      d.resolve({ render: h => h('span') })
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.textContent).not.toContain('loading')
+      expect(created).toBe(1)
+    }).then(done)
+  })
+})
@@ -0,0 +1,124 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target, other
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    target.innerHTML = '<p>existing</p>'
+    other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render children into the target', () => {
+    const vm = new Vue({
+      template: '<div><span>a</span><teleport to="#teleport-target"><b>b</b>c</teleport></div>'
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><!--teleport-->')
+    expect(target.innerHTML).toBe('<p>existing</p><b>b</b>c')
+  })
+
+  it('should accept an element as target', () => {
+    const vm = new Vue({
+      template: '<div><teleport :to="el"><b>b</b></teleport></div>',
+      data: { el: target }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--teleport-->')
+    expect(target.innerHTML).toBe('<p>existing</p><b>b</b>')
+  })
+
+  it('should update teleported content', done => {
+    const vm = new Vue({
+      template: '<div><teleport to="#teleport-target"><b v-for="i in items" :key="i">{{ i }}</b></teleport></div>',
+      data: { items: [1, 2] }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>existing</p><b>1</b><b>2</b>')
+    vm.items = [2, 3]
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>existing</p><b>2</b><b>3</b>')
+    }).then(done)
+  })
+
+  it('should keep children as logical children of the parent', () => {
+    const onFoo = jasmine.createSpy('foo')
+    const vm = new Vue({
+      template: '<div><teleport to="#teleport-target"><child ref="child" @foo="onFoo"></child></teleport></div>',
+      provide: { msg: 'injected' },
+      methods: { onFoo },
+      components: {
+        child: {
+          inject: ['msg'],
+          template: '<i>{{ msg }}</i>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.child
+    expect(target.querySelector('i').textContent).toBe('injected')
+    expect(child.$parent.$parent).toBe(vm)
+    child.$emit('foo', 1)
+    expect(onFoo).toHaveBeenCalledWith(1)
+  })
+
+  it('should call lifecycle hooks and remove content on destroy', done => {
+    const mounted = jasmine.createSpy('mounted')
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: '<div><teleport v-if="ok" to="#teleport-target"><child></child></teleport></div>',
+      data: { ok: true },
+      components: {
+        child: { mounted, destroyed, render: h => h('i') }
+      }
+    }).$mount()
+    expect(mounted).toHaveBeenCalled()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(destroyed).toHaveBeenCalled()
+      expect(target.innerHTML).toBe('<p>existing</p>')
+    }).then(done)
+  })
+
+  it('should move content when the target changes', done => {
+    let created = 0
+    const vm = new Vue({
+      template: '<div><teleport :to="to"><child></child></teleport></div>',
+      data: { to: '#teleport-target' },
+      components: {
+        child: {
+          created () {
+            created++
+          },
+          render: h => h('i')
+        }
+      }
+    }).$mount()
+    vm.to = '#teleport-other'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>existing</p>')
+      expect(other.innerHTML).toBe('<i></i>')
+      expect(created).toBe(1)
+    }).then(done)
+  })
+
+  it('should replace server rendered content', () => {
+    target.innerHTML = '<p>existing</p><!--teleport start--><b>ssr</b><!--teleport end-->'
+    new Vue({
+      template: '<div><teleport to="#teleport-target"><b>client</b></teleport></div>'
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>existing</p><b>client</b>')
+  })
+
+  it('should warn missing target', () => {
+    new Vue({
+      template: '<div><teleport to="#not-found"><b></b></teleport></div>'
+    }).$mount()
+    expect('Failed to locate Teleport target with selector "#not-found"').toHaveBeenWarned()
+  })
+})
@@ -95,6 +95,17 @@ found in
       Vue.config.warnHandler = null
     })
 
+    it('passes details to warnHandler', () => {
+      Vue.config.warnHandler = jasmine.createSpy()
+      const details = { cycle: [] }
+
+      warn(msg, vm, details)
+
+      expect(Vue.config.warnHandler).toHaveBeenCalledWith(msg, vm, jasmine.any(String), details)
+
+      Vue.config.warnHandler = null
+    })
+
     it('calls console.error if silent is false', () => {
       Vue.config.silent = false
 
@@ -122,4 +122,69 @@ describe('Global config', () => {
       Vue.config.async = true
     })
   })
+
+  describe('proxyReactivity', () => {
+    beforeEach(() => {
+      Vue.config.proxyReactivity = true
+    })
+
+    afterEach(() => {
+      Vue.config.proxyReactivity = false
+    })
+
+    it('should detect property addition and deletion', done => {
+      const vm = new Vue({
+        template: `<div>{{ 'b' in obj }} {{ Object.keys(obj).join() }} {{ obj.b }}</div>`,
+        data: { obj: { a: 1 } }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('false a ')
+      vm.obj.b = 2
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('true a,b 2')
+        delete vm.obj.a
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('true b 2')
+      }).then(done)
+    })
+
+    it('should detect array index and length writes', done => {
+      const vm = new Vue({
+        template: `<div><span v-for="item in list">{{ item.n }}</span></div>`,
+        data: { list: [{ n: 1 }, { n: 2 }] }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('12')
+      vm.list[0] = { n: 3 }
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('32')
+        vm.list.length = 1
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('3')
+        vm.list.push({ n: 4 })
+        vm.list[0].n = 5
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('54')
+      }).then(done)
+    })
+
+    it('should keep Vue.set/Vue.delete working', done => {
+      const data = { obj: { a: 1 } }
+      const vm = new Vue({
+        template: `<div>{{ obj.a }}{{ obj.b }}</div>`,
+        data
+      }).$mount()
+      // the raw object should still be marked as observed
+      expect(data.obj.__ob__).toBeDefined()
+      expect(vm.obj.__ob__).toBe(data.obj.__ob__)
+      Vue.set(data.obj, 'b', 2)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('12')
+        Vue.delete(data.obj, 'a')
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('2')
+        Vue.set(data.obj, 'b', 3)
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('3')
+      }).then(done)
+    })
+  })
 })
@@ -0,0 +1,260 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should resolve assets registered on the app', () => {
+    const app = Vue.createApp({
+      template: '<div><foo></foo><p v-upper>{{ msg | exclaim }}</p></div>',
+      data: { msg: 'hi' }
+    })
+    app
+      .component('foo', {
+        template: '<span>foo <bar></bar></span>'
+      })
+      .component('bar', {
+        template: '<b>bar</b>'
+      })
+      .directive('upper', {
+        inserted (el) {
+          el.textContent = el.textContent.toUpperCase()
+        }
+      })
+      .filter('exclaim', v => v + '!')
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo <b>bar</b></span><p>HI!</p>')
+    expect(typeof app.component('foo')).toBe('function')
+  })
+
+  it('should not leak assets into Vue or other apps', () => {
+    const app1 = Vue.createApp({ template: '<div><foo></foo></div>' })
+    const app2 = Vue.createApp({ template: '<div><foo></foo></div>' })
+    app1.component('foo', { template: '<span>one</span>' })
+    app2.component('foo', { template: '<span>two</span>' })
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(app1.mount().$el.innerHTML).toBe('<span>one</span>')
+    expect(app2.mount().$el.innerHTML).toBe('<span>two</span>')
+  })
+
+  it('should share plain component definitions between apps', () => {
+    const Bar = { template: '<span>bar</span>' }
+    const Foo = { template: '<div><bar></bar></div>' }
+    const app1 = Vue.createApp({ render: h => h(Foo) }).component('bar', Bar)
+    const app2 = Vue.createApp({ render: h => h(Foo) })
+    expect(app1.mount().$el.innerHTML).toBe('<span>bar</span>')
+    app2.mount()
+    expect('Unknown custom element: <bar>').toHaveBeenWarned()
+  })
+
+  it('should still resolve globally registered assets', () => {
+    const vm = Vue.createApp({
+      template: '<div><keep-alive><span>foo</span></keep-alive></div>'
+    }).mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo</span>')
+  })
+
+  it('should apply app mixins only to the app', () => {
+    const spy = jasmine.createSpy()
+    const app = Vue.createApp({
+      render: h => h({ render: h => h('div') })
+    }).mixin({ created: spy })
+    new Vue({ render: h => h('div') }).$mount()
+    expect(spy).not.toHaveBeenCalled()
+    app.mount()
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should install plugins on the app', () => {
+    const install = jasmine.createSpy('install')
+    const plugin = { install }
+    const app = Vue.createApp({})
+    app.use(plugin, 1, 2).use(plugin)
+    expect(install).toHaveBeenCalledTimes(1)
+    expect(install).toHaveBeenCalledWith(app, 1, 2)
+    expect(app._installedPlugins).toEqual([plugin])
+    expect(Vue._installedPlugins || []).not.toContain(plugin)
+  })
+
+  it('should expose global properties to app instances', () => {
+    const app = Vue.createApp({ render: h => h('div') })
+    app.config.globalProperties.$foo = 'foo'
+    const vm = app.mount()
+    expect(vm.$foo).toBe('foo')
+    expect(new Vue().$foo).toBeUndefined()
+  })
+
+  it('should use the app config', () => {
+    const spy = jasmine.createSpy('errorHandler')
+    const err = new Error('oops')
+    const app = Vue.createApp({
+      render: h => h({
+        created () {
+          throw err
+        },
+        render: h => h('div')
+      })
+    })
+    app.config.errorHandler = spy
+    expect(Vue.config.errorHandler).toBe(null)
+    // unset fields fall back to the global config
+    expect(app.config.silent).toBe(false)
+    const vm = app.mount()
+    expect(spy).toHaveBeenCalledWith(err, vm.$children[0], 'created hook')
+  })
+
+  it('should use the app warn handler', () => {
+    const spy = jasmine.createSpy('warnHandler')
+    const app = Vue.createApp({ template: '<div><foo></foo></div>' })
+    app.config.warnHandler = spy
+    app.mount()
+    expect(spy).toHaveBeenCalled()
+    expect(spy.calls.argsFor(0)[0]).toContain('Unknown custom element: <foo>')
+  })
+
+  it('should not leak object and array config fields into the global config', () => {
+    const app = Vue.createApp({})
+    app.config.keyCodes.foo = 99
+    app.config.ignoredElements.push('foo-bar')
+    app.config.optionMergeStrategies.custom = (parent, child) => child
+    expect(Vue.config.keyCodes.foo).toBeUndefined()
+    expect(Vue.config.ignoredElements).toEqual([])
+    expect(Vue.config.optionMergeStrategies.custom).toBeUndefined()
+  })
+
+  it('should use the app key codes', () => {
+    const spy = jasmine.createSpy('keyup')
+    const app = Vue.createApp({
+      template: '<input @keyup.foo="onKeyup">',
+      methods: { onKeyup: spy }
+    })
+    app.config.keyCodes.foo = 99
+    const vm = app.mount()
+    triggerEvent(vm.$el, 'keyup', e => {
+      e.keyCode = 99
+      e.key = 'x'
+    })
+    expect(spy).toHaveBeenCalled()
+    const other = new Vue({
+      template: '<input @keyup.foo="onKeyup">',
+      methods: { onKeyup: spy }
+    }).$mount()
+    triggerEvent(other.$el, 'keyup', e => {
+      e.keyCode = 99
+      e.key = 'x'
+    })
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should use the app ignored elements', () => {
+    const app = Vue.createApp({ template: '<div><foo-bar></foo-bar></div>' })
+    app.config.ignoredElements.push('foo-bar')
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<foo-bar></foo-bar>')
+    expect('Unknown custom element').not.toHaveBeenWarned()
+    new Vue({ template: '<div><foo-bar></foo-bar></div>' }).$mount()
+    expect('Unknown custom element: <foo-bar>').toHaveBeenWarned()
+  })
+
+  it('should use the app reserved tags', () => {
+    const app = Vue.createApp({ template: '<div><my-tag></my-tag></div>' })
+    app.config.isReservedTag = tag => tag === 'my-tag' || Vue.config.isReservedTag(tag)
+    app.config.isUnknownElement = () => false
+    app.component('my-tag', { template: '<span>component</span>' })
+    expect(app.mount().$el.innerHTML).toBe('<my-tag></my-tag>')
+    expect('Do not use built-in or reserved HTML elements as component id: my-tag').toHaveBeenWarned()
+  })
+
+  it('should use the app option merge strategies', () => {
+    const app = Vue.createApp({
+      render: h => h({
+        mixins: [{ custom: [1] }],
+        custom: [2],
+        render (h) {
+          return h('div', this.$options.custom.join())
+        }
+      })
+    })
+    app.config.optionMergeStrategies.custom = (parent, child) => (parent || []).concat(child || [])
+    expect(app.mount().$el.textContent).toBe('1,2')
+  })
+
+  it('should fall back to merge strategies registered globally later on', () => {
+    const app = Vue.createApp({
+      render: h => h({
+        mixins: [{ late: [1] }],
+        late: [2],
+        render (h) {
+          return h('div', this.$options.late.join())
+        }
+      })
+    })
+    Vue.config.optionMergeStrategies.late = (parent, child) => (parent || []).concat(child || [])
+    try {
+      expect(app.mount().$el.textContent).toBe('1,2')
+    } finally {
+      delete Vue.config.optionMergeStrategies.late
+    }
+  })
+
+  it('should keep async a global config field', done => {
+    const app = Vue.createApp({
+      data: { msg: 'a' },
+      render (h) {
+        return h('div', this.msg)
+      }
+    })
+    app.config.async = false
+    const vm = app.mount()
+    vm.msg = 'b'
+    expect(vm.$el.textContent).toBe('a')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('b')
+    }).then(done)
+  })
+
+  it('should install Vue 2 plugins expecting a constructor', () => {
+    const app = Vue.createApp({ template: '<div><foo></foo>{{ $bar }} {{ $state.count }}</div>' })
+    app.use(V => {
+      V.prototype.$bar = 'bar'
+      const state = {}
+      V.util.defineReactive(state, 'count', 0)
+      V.set(state, 'extra', 1)
+      V.prototype.$state = state
+      V.component('foo', V.extend({ template: '<span>foo</span>' }))
+      V.mixin({ created () { this.$options.mixedIn = true } })
+    })
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo</span>bar 0')
+    expect(vm.$options.mixedIn).toBe(true)
+    expect(Vue.prototype.$bar).toBeUndefined()
+    expect(Vue.options.components.foo).toBeUndefined()
+  })
+
+  it('should pass a constructor to plugins', () => {
+    let store
+    const app = Vue.createApp({ template: '<div>{{ $store.state.count }}</div>' })
+    app.config.globalProperties.$app = 'app'
+    app.use({
+      install (V) {
+        // e.g. Vuex keeps its state in an instance of the constructor
+        store = { _vm: new V({ data: { count: 1 }}) }
+        store.state = store._vm.$data
+        V.prototype.$store = store
+        expect(V.component('foo', { render: h => h('i') })).toBe(V)
+      }
+    })
+    expect(store._vm instanceof app).toBe(true)
+    expect(store._vm.$app).toBe('app')
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('1')
+    expect(app.component('foo')).toBeTruthy()
+    expect(Vue.prototype.$store).toBeUndefined()
+  })
+
+  it('mount / unmount', () => {
+    const app = Vue.createApp({ template: '<div>foo</div>' })
+    const vm = app.mount()
+    expect(app.mount()).toBe(vm)
+    expect('App has already been mounted').toHaveBeenWarned()
+    app.unmount()
+    expect(vm._isDestroyed).toBe(true)
+  })
+})
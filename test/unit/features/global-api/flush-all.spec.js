@@ -0,0 +1,81 @@
+import Vue from 'vue'
+
+describe('Global API: flushAll', () => {
+  it('should flush watchers and nextTick callbacks synchronously', () => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      render (h) {
+        return h('div', this.msg)
+      }
+    }).$mount()
+    const spy = jasmine.createSpy()
+    vm.msg = 'bar'
+    vm.$nextTick(spy)
+    Vue.flushAll()
+    expect(vm.$el.textContent).toBe('bar')
+    expect(spy).toHaveBeenCalled()
+  })
+
+  it('should flush chained updates', () => {
+    const calls = []
+    const vm = new Vue({
+      data: { a: 1, b: 1 },
+      watch: {
+        a () {
+          calls.push('a')
+          Vue.nextTick(() => {
+            this.b++
+          })
+        },
+        b () {
+          calls.push('b')
+        }
+      }
+    })
+    vm.a++
+    Vue.flushAll()
+    expect(calls).toEqual(['a', 'b'])
+  })
+
+  it('should finish a time-sliced flush', () => {
+    Vue.config.flushBudget = 1
+    const calls = []
+    const vm = new Vue({ data: { a: 1 } })
+    for (let i = 0; i < 3; i++) {
+      vm.$watch('a', () => {
+        calls.push(i)
+        const start = Date.now()
+        while (Date.now() - start < 5) {}
+      })
+    }
+    vm.a++
+    Vue.flushAll()
+    expect(calls).toEqual([0, 1, 2])
+    Vue.config.flushBudget = 0
+  })
+
+  it('should work with a custom timer function', () => {
+    Vue.setTimerFunc(() => {})
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      render (h) {
+        return h('div', this.msg)
+      }
+    }).$mount()
+    vm.msg = 'bar'
+    Vue.flushAll()
+    expect(vm.$el.textContent).toBe('bar')
+    Vue.setTimerFunc()
+  })
+
+  it('should give up on endless work', () => {
+    let count = 0
+    const tick = () => {
+      if (++count < 200) Vue.nextTick(tick)
+    }
+    tick()
+    Vue.flushAll()
+    expect(count).toBe(101)
+    expect('Vue.flushAll() gave up after').toHaveBeenWarned()
+  })
+})
@@ -27,4 +27,25 @@ describe('Global API: observable', () => {
       expect(app.$el.querySelector('span').textContent).toBe('1')
     }).then(done)
   })
+
+  it('should work with Map and Set', done => {
+    const map = Vue.observable(new Map([['a', 1]]))
+    const set = Vue.observable(new Set())
+
+    const app = new Vue({
+      template: `<div><span v-for="[key, value] in map">{{ key }}:{{ value }}</span>{{ set.size }}</div>`,
+      data: { map, set }
+    }).$mount()
+
+    expect(app.$el.textContent).toBe('a:10')
+    map.set('b', 2)
+    set.add(1)
+    waitForUpdate(() => {
+      expect(app.$el.textContent).toBe('a:1b:21')
+      map.delete('a')
+      set.clear()
+    }).then(() => {
+      expect(app.$el.textContent).toBe('b:20')
+    }).then(done)
+  })
 })
@@ -0,0 +1,30 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('should expose the reactivity API', () => {
+    const apis = [
+      'reactive', 'isReactive', 'toRaw', 'ref', 'isRef', 'unref', 'computed',
+      'watch', 'watchEffect', 'effectScope', 'getCurrentScope', 'onScopeDispose'
+    ]
+    apis.forEach(api => {
+      expect(typeof Vue[api]).toBe('function')
+    })
+  })
+
+  it('should work with components', done => {
+    const count = Vue.ref(0)
+    const double = Vue.computed(() => count.value * 2)
+
+    const vm = new Vue({
+      render (h) {
+        return h('div', `${count.value} ${double.value}`)
+      }
+    }).$mount()
+
+    expect(vm.$el.textContent).toBe('0 0')
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1 2')
+    }).then(done)
+  })
+})
@@ -56,6 +56,32 @@ describe('Instance methods data', () => {
       expect(spy).toHaveBeenCalledWith(1)
     })
 
+    it('onTrack / onTrigger', () => {
+      const onTrack = jasmine.createSpy('onTrack')
+      const onTrigger = jasmine.createSpy('onTrigger')
+      vm.$watch('a.b', spy, { onTrack, onTrigger })
+      expect(onTrack.calls.allArgs().map(([e]) => e.key)).toEqual(['a', 'b'])
+      vm.a.b = 2
+      const e = onTrigger.calls.argsFor(0)[0]
+      expect(e.target).toBe(vm.a)
+      expect([e.type, e.key, e.newValue, e.oldValue]).toEqual(['set', 'b', 2, 1])
+    })
+
+    it('mutations', done => {
+      vm.$set(vm.a, 'list', [1])
+      vm.$watch('a.list', spy, { mutations: true })
+      vm.a.list.push(2)
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(vm.a.list, vm.a.list, [{
+          target: vm.a.list,
+          method: 'push',
+          index: 1,
+          removed: [],
+          added: [2]
+        }])
+      }).then(done)
+    })
+
     it('unwatch', done => {
       const unwatch = vm.$watch('a.b', spy)
       unwatch()
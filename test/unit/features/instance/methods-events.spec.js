@@ -93,4 +93,125 @@ describe('Instance methods events', () => {
     expect(spy2.calls.count()).toBe(1)
     expect(spy2).toHaveBeenCalledWith(1, 2, 3)
   })
+
+  it('$on wildcard events', () => {
+    vm.$on('update:*', spy)
+    vm.$on('form.*', spy)
+    vm.$emit('update:value', 1)
+    vm.$emit('form.submit', 2)
+    vm.$emit('formXsubmit', 3)
+    vm.$emit('update', 4)
+    expect(spy.calls.count()).toBe(2)
+    expect(spy.calls.argsFor(0)).toEqual([1])
+    expect(spy.calls.argsFor(1)).toEqual([2])
+  })
+
+  it('$on "*" should receive all events except hook events', () => {
+    vm.$on('*', spy)
+    vm.$on('hook:updated', () => {})
+    vm.$emit('foo', 1)
+    vm.$emit('hook:updated')
+    expect(spy.calls.count()).toBe(1)
+    expect(spy).toHaveBeenCalledWith(1)
+  })
+
+  it('$off wildcard listener', () => {
+    vm.$on('update:*', spy)
+    vm.$off('update:*', spy)
+    vm.$emit('update:value')
+    expect(spy).not.toHaveBeenCalled()
+  })
+
+  it('$on with priority', () => {
+    const calls = []
+    vm.$on('test', () => calls.push('default'))
+    vm.$on('test', () => calls.push('low'), { priority: -1 })
+    vm.$on('test', () => calls.push('high'), { priority: 10 })
+    vm.$on('t*', () => calls.push('wildcard'), { priority: 5 })
+    vm.$on('test', () => calls.push('default 2'))
+    vm.$emit('test')
+    expect(calls).toEqual(['high', 'wildcard', 'default', 'default 2', 'low'])
+  })
+
+  it('$off listener added with priority', () => {
+    vm.$on('test', spy, { priority: 1 })
+    vm.$once('test', spy, { priority: 2 })
+    vm.$off('test', spy)
+    vm.$off('test', spy)
+    vm.$emit('test')
+    expect(spy).not.toHaveBeenCalled()
+  })
+
+  it('$once with priority', () => {
+    const calls = []
+    vm.$on('test', () => calls.push('on'))
+    vm.$once('test', () => calls.push('once'), { priority: 1 })
+    vm.$emit('test')
+    vm.$emit('test')
+    expect(calls).toEqual(['once', 'on', 'on'])
+  })
+
+  it('$emitCancelable should return whether preventDefault() was called', () => {
+    const createEvent = () => ({
+      defaultPrevented: false,
+      preventDefault () {
+        this.defaultPrevented = true
+      }
+    })
+    expect(vm.$emitCancelable('close', createEvent())).toBe(false)
+    vm.$on('close', spy)
+    expect(vm.$emitCancelable('close', createEvent())).toBe(false)
+    vm.$on('close', e => e.preventDefault())
+    expect(vm.$emitCancelable('close', createEvent(), 1)).toBe(true)
+    expect(spy.calls.count()).toBe(2)
+    expect(spy).toHaveBeenCalledWith(jasmine.any(Object), 1)
+  })
+
+  it('$emitCancelable should ignore events prevented before the emit', () => {
+    const e = {
+      defaultPrevented: true,
+      preventDefault () {}
+    }
+    vm.$on('close', spy)
+    expect(vm.$emitCancelable('close', e)).toBe(false)
+    expect(spy).toHaveBeenCalledWith(e)
+  })
+
+  it('$emitCancelable should warn without an event object', () => {
+    vm.$on('close', spy)
+    expect(vm.$emitCancelable('close', 1)).toBe(false)
+    expect(spy).toHaveBeenCalledWith(1)
+    expect('$emitCancelable() expects an event object').toHaveBeenWarned()
+  })
+
+  it('$emit should stay chainable with an event object', () => {
+    const e = { preventDefault () {} }
+    vm.$on('close', e => e.preventDefault())
+    expect(vm.$emit('close', e)).toBe(vm)
+  })
+
+  it('$onScoped', () => {
+    const scope = new Vue()
+    vm.$onScoped('test', spy, scope)
+    vm.$emit('test', 1)
+    expect(spy.calls.count()).toBe(1)
+    scope.$destroy()
+    vm.$emit('test', 2)
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('$onScoped should release the scope when destroyed first', () => {
+    const scope = new Vue()
+    vm.$onScoped('test', spy, scope)
+    vm.$destroy()
+    expect(scope._events['hook:destroyed'].length).toBe(0)
+  })
+
+  it('$onScoped should not add listeners for a destroyed scope', () => {
+    const scope = new Vue()
+    scope.$destroy()
+    vm.$onScoped('test', spy, scope)
+    vm.$emit('test')
+    expect(spy).not.toHaveBeenCalled()
+  })
 })
@@ -216,4 +216,105 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  it('onTrack / onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b: {
+          get () {
+            return this.a + 1
+          },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(onTrack).toHaveBeenCalledWith({
+      effect: vm._computedWatchers.b,
+      target: vm.$data,
+      type: 'get',
+      key: 'a'
+    })
+    vm.a = 2
+    expect(onTrigger).toHaveBeenCalledWith({
+      effect: vm._computedWatchers.b,
+      target: vm.$data,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    })
+  })
+  it('$inspectComputed', () => {
+    const vm = new Vue({
+      data: { a: 1, nested: { b: 2 } },
+      computed: {
+        sum () {
+          return this.a + this.nested.b
+        }
+      }
+    })
+    let info = vm.$inspectComputed('sum')
+    expect(info.name).toBe('sum')
+    expect(info.dirty).toBe(true)
+    expect(info.evaluations).toBe(0)
+    expect(info.lastEvaluatedAt).toBe(null)
+    expect(info.deps).toEqual([])
+
+    expect(vm.sum).toBe(3)
+    expect(vm.sum).toBe(3)
+    info = vm.$inspectComputed('sum')
+    expect(info.dirty).toBe(false)
+    expect(info.value).toBe(3)
+    expect(info.evaluations).toBe(1)
+    expect(typeof info.lastEvaluatedAt).toBe('number')
+    expect(info.deps.map(dep => dep.key)).toEqual(['a', 'nested', undefined, 'b'])
+    expect(info.deps[0].target).toBe(vm.$data)
+    expect(info.deps[2].target).toBe(vm.nested)
+    expect(info.deps[3].target).toBe(vm.nested)
+
+    vm.nested.b = 3
+    expect(vm.$inspectComputed('sum').dirty).toBe(true)
+    expect(vm.sum).toBe(4)
+    expect(vm.$inspectComputed('sum').evaluations).toBe(2)
+  })
+
+  it('$inspectComputed with unknown name', () => {
+    const vm = new Vue({ data: { a: 1 } })
+    expect(vm.$inspectComputed('a')).toBeUndefined()
+    expect('Computed property "a" is not defined on this instance').toHaveBeenWarned()
+  })
+
+  it('warn when re-evaluated too often in a flush', done => {
+    Vue.config.maxComputedEvaluations = 3
+    const vm = new Vue({
+      data: { a: 1, trigger: 0 },
+      computed: {
+        double () {
+          return this.a * 2
+        }
+      },
+      watch: {
+        trigger () {
+          for (let i = 0; i < 5; i++) {
+            this.a++
+            this.double // eslint-disable-line no-unused-expressions
+          }
+        }
+      }
+    })
+    expect(vm.double).toBe(2)
+    vm.trigger++
+    waitForUpdate(() => {
+      expect(vm.$inspectComputed('double').evaluations).toBe(6)
+      expect(
+        'Computed property "double" was re-evaluated more than 3 times in a single flush'
+      ).toHaveBeenWarned()
+      Vue.config.maxComputedEvaluations = 0
+    }).then(done)
+  })
 })
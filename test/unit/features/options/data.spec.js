@@ -183,4 +183,67 @@ describe('Options data', () => {
     }).$mount()
     expect(vm.$el.innerHTML).toBe('<span>foo:1-ext:1-m1:1-m2:1</span>')
   })
+  describe('dataMode', () => {
+    it('shallow', () => {
+      const vm = new Vue({
+        dataMode: 'shallow',
+        data: () => ({ payload: { items: [1, 2] } })
+      })
+      expect(vm.payload.__ob__).toBeUndefined()
+      expect(vm.payload.items.__ob__).toBeUndefined()
+    })
+
+    it('shallow root level should be reactive', done => {
+      const vm = new Vue({
+        dataMode: 'shallow',
+        data: () => ({ msg: 'foo' }),
+        render (h) {
+          return h('div', this.msg)
+        }
+      }).$mount()
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar')
+      }).then(done)
+    })
+
+    it('readonly', () => {
+      const vm = new Vue({
+        dataMode: 'readonly',
+        data: () => ({ msg: 'foo', payload: { items: [1, 2] } })
+      })
+      vm.msg = 'bar'
+      expect(vm.msg).toBe('foo')
+      expect('Set operation on key "msg" failed: target is readonly.').toHaveBeenWarned()
+      vm.payload.items.push(3)
+      expect(vm.payload.items.length).toBe(2)
+      expect(
+        'Array push() operation on "payload.items" failed: target is readonly.'
+      ).toHaveBeenWarned()
+      vm.$set(vm.payload, 'extra', 1)
+      expect(vm.payload.extra).toBeUndefined()
+      expect('Set operation on key "payload.extra" failed: target is readonly.').toHaveBeenWarned()
+    })
+
+    it('shallowReadonly', () => {
+      const vm = new Vue({
+        dataMode: 'shallowReadonly',
+        data: () => ({ msg: 'foo', payload: { a: 1 } })
+      })
+      vm.msg = 'bar'
+      expect(vm.msg).toBe('foo')
+      expect('Set operation on key "msg" failed: target is readonly.').toHaveBeenWarned()
+      vm.payload.a = 2
+      expect(vm.payload.a).toBe(2)
+      expect(vm.payload.__ob__).toBeUndefined()
+    })
+
+    it('should warn invalid mode', () => {
+      new Vue({
+        dataMode: 'frozen',
+        data: () => ({ msg: 'foo' })
+      })
+      expect('Invalid dataMode "frozen"').toHaveBeenWarned()
+    })
+  })
 })
@@ -0,0 +1,114 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should not warn for declared events', () => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      template: '<test @foo="spy" @bar-baz="spy"></test>',
+      methods: { spy },
+      components: {
+        test: {
+          emits: ['foo', 'barBaz'],
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    vm.$children[0].$emit('foo', 1)
+    vm.$children[0].$emit('bar-baz', 2)
+    expect(spy.calls.allArgs()).toEqual([[1], [2]])
+  })
+
+  it('should warn for undeclared events', () => {
+    const vm = new Vue({
+      emits: ['foo'],
+      render: h => h('div')
+    })
+    vm.$emit('bar')
+    expect('Component emitted event "bar" but it is not declared in the emits option').toHaveBeenWarned()
+    // lifecycle hook events are always allowed
+    vm.$emit('hook:mounted')
+  })
+
+  it('should not warn when emits is not declared', () => {
+    const vm = new Vue({ render: h => h('div') })
+    vm.$emit('anything')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should validate payloads', () => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      emits: {
+        submit: payload => !!(payload && payload.email),
+        close: null
+      },
+      render: h => h('div')
+    })
+    vm.$on('submit', spy)
+    vm.$emit('submit', { email: 'a@b.c' })
+    vm.$emit('close')
+    expect('event validation failed').not.toHaveBeenWarned()
+    vm.$emit('submit', {})
+    expect('Invalid event arguments: event validation failed for event "submit"').toHaveBeenWarned()
+    // the event is still emitted
+    expect(spy).toHaveBeenCalledTimes(2)
+  })
+
+  it('should warn invalid emits option', () => {
+    new Vue({ emits: 'foo' })
+    expect('Invalid value for option "emits": expected an Array or an Object, but got String').toHaveBeenWarned()
+    new Vue({ emits: { foo: 1 } })
+    expect('Invalid validator for event "foo" in option "emits"').toHaveBeenWarned()
+  })
+
+  it('should merge with mixins and extends', () => {
+    const Base = Vue.extend({ emits: ['foo'] })
+    const Child = Base.extend({
+      mixins: [{ emits: { bar: null } }],
+      emits: ['baz']
+    })
+    expect(Object.keys(Child.options.emits).sort()).toEqual(['bar', 'baz', 'foo'])
+  })
+
+  it('should exclude declared events from $listeners', done => {
+    const onClick = jasmine.createSpy('click')
+    const onFoo = jasmine.createSpy('foo')
+    const vm = new Vue({
+      template: '<test @click="onClick" @foo="onFoo"></test>',
+      methods: { onClick, onFoo },
+      components: {
+        test: {
+          emits: ['click'],
+          template: '<button v-on="$listeners"></button>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['foo'])
+    triggerEvent(vm.$el, 'click')
+    expect(onClick).not.toHaveBeenCalled()
+    child.$emit('click')
+    expect(onClick).toHaveBeenCalledTimes(1)
+    // still excluded after the parent re-renders
+    vm.$forceUpdate()
+    waitForUpdate(() => {
+      expect(Object.keys(child.$listeners)).toEqual(['foo'])
+    }).then(done)
+  })
+
+  it('.native listeners should still reach the DOM', () => {
+    const onClick = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: '<test @click.native="onClick"></test>',
+      methods: { onClick },
+      components: {
+        test: {
+          emits: ['click'],
+          template: '<button></button>'
+        }
+      }
+    }).$mount()
+    triggerEvent(vm.$el, 'click')
+    expect(onClick).toHaveBeenCalledTimes(1)
+  })
+})
@@ -673,4 +673,164 @@ describe('Options provide/inject', () => {
     })
     expect(`Injection "constructor" not found`).toHaveBeenWarned()
   })
+  describe('reactiveProvide', () => {
+    it('should keep injections in sync with the provider', done => {
+      const vm = new Vue({
+        template: `<child/>`,
+        reactiveProvide: true,
+        data: { theme: 'dark', user: { name: 'foo' } },
+        provide () {
+          return { theme: this.theme, user: this.user }
+        },
+        components: {
+          child: {
+            inject: ['theme', 'user'],
+            template: `<span>{{ theme }} {{ user.name }}</span>`
+          }
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('dark foo')
+      vm.theme = 'light'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('light foo')
+        vm.user = { name: 'bar' }
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('light bar')
+      }).then(done)
+    })
+
+    it('should work for functional components', done => {
+      const vm = new Vue({
+        template: `<child/>`,
+        reactiveProvide: true,
+        data: { n: 1 },
+        provide () {
+          return { n: this.n }
+        },
+        components: {
+          child: {
+            functional: true,
+            inject: ['n'],
+            render: (h, { injections }) => h('span', injections.n)
+          }
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('1')
+      vm.n++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('2')
+      }).then(done)
+    })
+
+    it('should warn when mutating a reactive injection', () => {
+      const vm = new Vue({
+        template: `<child/>`,
+        reactiveProvide: true,
+        provide () {
+          return { foo: 1 }
+        },
+        components: {
+          child: { inject: ['foo'], render () {} }
+        }
+      }).$mount()
+      vm.$children[0].foo = 2
+      expect(vm.$children[0].foo).toBe(1)
+      expect('Avoid mutating an injected value directly').toHaveBeenWarned()
+    })
+
+    it('should not be reactive by default', done => {
+      const vm = new Vue({
+        template: `<child/>`,
+        data: { theme: 'dark' },
+        provide () {
+          return { theme: this.theme }
+        },
+        components: {
+          child: { inject: ['theme'], template: `<span>{{ theme }}</span>` }
+        }
+      }).$mount()
+      vm.theme = 'light'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('dark')
+      }).then(done)
+    })
+  })
+
+  describe('setup() helpers', () => {
+    it('should provide and inject with Symbol keys', () => {
+      const key = Symbol('key')
+      let result
+      new Vue({
+        setup () {
+          Vue.provide(key, 'foo')
+        },
+        render: h => h({
+          setup () {
+            result = Vue.inject(key)
+          },
+          render () {}
+        })
+      }).$mount()
+      expect(result).toBe('foo')
+    })
+
+    it('should be visible to inject option and merge with provide option', () => {
+      new Vue({
+        setup () {
+          Vue.provide('foo', 1)
+        },
+        provide: { bar: 2 },
+        render: h => h(injectedComp)
+      }).$mount()
+      expect(injected).toEqual([1, 2])
+    })
+
+    it('should not inject values provided by the same component', () => {
+      new Vue({
+        setup () {
+          Vue.provide('foo', 1)
+          expect(Vue.inject('foo', 'default')).toBe('default')
+        }
+      })
+    })
+
+    it('defaults', () => {
+      new Vue({
+        setup () {
+          expect(typeof Vue.inject('foo', () => 1)).toBe('function')
+          expect(Vue.inject('foo', () => 1, true)).toBe(1)
+          expect(Vue.inject('foo')).toBeUndefined()
+        }
+      })
+      expect('Injection "foo" not found').toHaveBeenWarned()
+    })
+
+    it('should warn outside of setup', () => {
+      Vue.provide('foo', 1)
+      expect('provide() can only be used inside setup()').toHaveBeenWarned()
+      Vue.inject('foo')
+      expect('inject() can only be used inside setup()').toHaveBeenWarned()
+    })
+  })
+
+  it('app-level provide', () => {
+    const key = Symbol('key')
+    let fromSetup
+    const app = Vue.createApp({
+      render: h => h('div', [h({
+        setup () {
+          fromSetup = Vue.inject(key)
+        },
+        render: h => h(injectedComp)
+      })])
+    })
+    app.provide('foo', 1).provide('bar', 2).provide(key, 3)
+    app.mount()
+    expect(injected).toEqual([1, 2])
+    expect(fromSetup).toBe(3)
+    // not visible outside of the app
+    new Vue({ render: h => h(injectedComp) }).$mount()
+    expect('Injection "foo" not found').toHaveBeenWarned()
+    expect('Injection "bar" not found').toHaveBeenWarned()
+  })
 })
@@ -311,6 +311,86 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked', () => {
+    it('should be called with the dependencies of render', () => {
+      const events = []
+      const vm = new Vue({
+        data: { msg: 'foo', list: [1, 2] },
+        render (h) {
+          return h('div', this.msg + this.list.length)
+        },
+        renderTracked (e) {
+          events.push(e)
+        }
+      }).$mount()
+      expect(events.map(e => [e.type, e.key])).toEqual([
+        ['get', 'msg'],
+        ['get', 'list']
+      ])
+      expect(events[0].target).toBe(vm.$data)
+      expect(events[0].effect).toBe(vm._watcher)
+    })
+  })
+
+  describe('renderTriggered', () => {
+    it('should be called with the mutation that caused the update', done => {
+      const spy = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { msg: 'foo', list: [1], obj: {} },
+        render (h) {
+          return h('div', [this.msg, this.list.length, Object.keys(this.obj).length])
+        },
+        renderTriggered: spy
+      }).$mount()
+      expect(spy).not.toHaveBeenCalled()
+      vm.msg = 'bar'
+      let e = spy.calls.argsFor(0)[0]
+      expect(e.target).toBe(vm.$data)
+      expect([e.type, e.key, e.newValue, e.oldValue]).toEqual(['set', 'msg', 'bar', 'foo'])
+      vm.list.push(2)
+      e = spy.calls.argsFor(1)[0]
+      expect(e.target).toBe(vm.list)
+      expect([e.type, e.key]).toEqual(['array mutation', 'push'])
+      vm.$set(vm.obj, 'a', 1)
+      e = spy.calls.argsFor(2)[0]
+      expect(e.target).toBe(vm.obj)
+      expect([e.type, e.key, e.newValue]).toEqual(['add', 'a', 1])
+      vm.$delete(vm.obj, 'a')
+      e = spy.calls.argsFor(3)[0]
+      expect(e.target).toBe(vm.obj)
+      expect([e.type, e.key]).toEqual(['delete', 'a'])
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar20')
+      }).then(done)
+    })
+
+    it('should emit hook event with the debugger event', () => {
+      const spy = jasmine.createSpy()
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        render (h) {
+          return h('div', this.msg)
+        }
+      })
+      vm.$on('hook:renderTriggered', spy)
+      vm.$mount()
+      vm.msg = 'bar'
+      expect(spy.calls.argsFor(0)[0].key).toBe('msg')
+    })
+  })
+
+  it('should only track render dependencies with debug hooks', () => {
+    const render = function (h) {
+      return h('div', this.msg)
+    }
+    const plain = new Vue({ data: { msg: 'foo' }, render }).$mount()
+    expect(plain._watcher.onTrack).toBeUndefined()
+    expect(plain._watcher.onTrigger).toBeUndefined()
+    const tracked = new Vue({ data: { msg: 'foo' }, render, renderTracked () {} }).$mount()
+    expect(typeof tracked._watcher.onTrack).toBe('function')
+    expect(tracked._watcher.onTrigger).toBeUndefined()
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
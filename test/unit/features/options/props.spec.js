@@ -311,6 +311,112 @@ describe('Options props', () => {
       makeInstance(null, true)
       expect(console.error.calls.count()).toBe(0)
     })
+
+    describe('type descriptors', () => {
+      const { oneOf, arrayOf, shape, instanceOf, nullable } = Vue.propTypes
+
+      it('oneOf', () => {
+        makeInstance('sm', oneOf(['sm', 'md']))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance('xl', oneOf(['sm', 'md']))
+        expect(
+          'Invalid prop: type check failed for prop "test". ' +
+          'props.test expected one of "sm", "md", got String with value "xl".'
+        ).toHaveBeenWarned()
+      })
+
+      it('arrayOf', () => {
+        makeInstance(['a', 'b'], arrayOf(String))
+        makeInstance([], arrayOf(String))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance(['a', 1], arrayOf(String))
+        expect('props.test[1] expected String, got Number with value 1.').toHaveBeenWarned()
+        makeInstance('a', arrayOf(String))
+        expect('props.test expected Array, got String with value "a".').toHaveBeenWarned()
+      })
+
+      it('shape with nested fields', () => {
+        const User = shape({
+          name: String,
+          address: shape({ zip: String, lines: arrayOf(String) })
+        })
+        makeInstance({ name: 'foo', address: { zip: '123', lines: [] } }, User)
+        // undefined fields are skipped
+        makeInstance({ name: 'foo' }, User)
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance({ name: 'foo', address: { zip: 123 } }, User)
+        expect(
+          'props.test.address.zip expected String, got Number with value 123.'
+        ).toHaveBeenWarned()
+        makeInstance({ address: { lines: ['a', false] } }, User)
+        expect(
+          'props.test.address.lines[1] expected String, got Boolean with value false.'
+        ).toHaveBeenWarned()
+        makeInstance([], User)
+        expect('props.test expected Object, got Array.').toHaveBeenWarned()
+      })
+
+      it('instanceOf', () => {
+        class Foo {}
+        makeInstance(new Foo(), instanceOf(Foo))
+        makeInstance(new Date(), instanceOf(Date))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance({}, instanceOf(Foo))
+        expect('props.test expected Foo, got Object.').toHaveBeenWarned()
+      })
+
+      it('nullable', () => {
+        makeInstance(null, nullable(String), null, true)
+        makeInstance('a', nullable(String), null, true)
+        makeInstance({ a: null }, shape({ a: nullable(Number) }))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance(1, nullable(String))
+        expect('props.test expected String, null, got Number with value 1.').toHaveBeenWarned()
+        makeInstance({ a: null }, shape({ a: Number }))
+        expect('props.test.a expected Number, got Null.').toHaveBeenWarned()
+      })
+
+      it('mixed with constructors', () => {
+        const type = [Number, arrayOf(Number)]
+        makeInstance(1, type)
+        makeInstance([1, 2], type)
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance('a', type)
+        expect('props.test expected Number, Array<Number>, got String with value "a".').toHaveBeenWarned()
+      })
+
+      it('as prop definition shorthand', () => {
+        new Vue({
+          template: '<test :size="size"></test>',
+          data: { size: 'xl' },
+          components: {
+            test: {
+              props: { size: oneOf(['sm', 'md']) },
+              template: '<div></div>'
+            }
+          }
+        }).$mount()
+        expect('props.size expected one of "sm", "md"').toHaveBeenWarned()
+      })
+
+      it('should still run custom validators', () => {
+        makeInstance(['a'], arrayOf(String), v => v.length > 1)
+        expect('custom validator check failed for prop "test"').toHaveBeenWarned()
+      })
+
+      it('should call default factories', () => {
+        const vm = new Vue({
+          template: '<test ref="test"></test>',
+          components: {
+            test: {
+              props: { list: { type: arrayOf(String), default: () => ['a'] } },
+              template: '<div></div>'
+            }
+          }
+        }).$mount()
+        expect(vm.$refs.test.list).toEqual(['a'])
+      })
+    })
   })
 
   it('should work with v-bind', () => {
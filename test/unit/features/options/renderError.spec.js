@@ -38,5 +38,6 @@ describe('Options renderError', () => {
       }
     }).$mount()
     expect(spy).toHaveBeenCalledWith(err, vm, 'renderError')
+    Vue.config.errorHandler = null
   })
 })
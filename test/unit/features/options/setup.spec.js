@@ -0,0 +1,201 @@
+import Vue from 'vue'
+
+const {
+  ref,
+  computed,
+  watch,
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted
+} = Vue
+
+describe('Options setup', () => {
+  it('should expose returned bindings to the template', done => {
+    const vm = new Vue({
+      template: '<div @click="inc">{{ count }} {{ double }} {{ msg }}</div>',
+      setup () {
+        const count = ref(1)
+        const double = computed(() => count.value * 2)
+        const inc = () => { count.value++ }
+        return { count, double, inc, msg: 'hi' }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1 2 hi')
+    expect(vm.count).toBe(1)
+    vm.inc()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2 4 hi')
+      // refs are unwrapped when set through the instance
+      vm.count = 5
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5 10 hi')
+    }).then(done)
+  })
+
+  it('should run after props and before data', () => {
+    const vm = new Vue({
+      props: ['foo'],
+      propsData: { foo: 1 },
+      setup (props) {
+        return { bar: props.foo + 1 }
+      },
+      data () {
+        return { baz: this.bar + 1 }
+      }
+    })
+    expect(vm.bar).toBe(2)
+    expect(vm.baz).toBe(3)
+  })
+
+  it('should receive reactive props and a context', done => {
+    const spy = jasmine.createSpy('emit')
+    let ctx
+    const vm = new Vue({
+      template: '<child :msg="msg" id="a" @foo="onFoo"></child>',
+      data: { msg: 'foo' },
+      methods: { onFoo: spy },
+      components: {
+        child: {
+          props: ['msg'],
+          setup (props, context) {
+            ctx = context
+            const upper = computed(() => props.msg.toUpperCase())
+            return { upper }
+          },
+          template: '<span>{{ upper }}</span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('FOO')
+    expect(ctx.attrs).toEqual({ id: 'a' })
+    expect(typeof ctx.listeners.foo).toBe('function')
+    ctx.emit('foo', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('BAR')
+    }).then(done)
+  })
+
+  it('should use a returned function as render function', () => {
+    const vm = new Vue({
+      setup () {
+        const msg = ref('hello')
+        const h = getCurrentInstance().$createElement
+        return () => h('div', msg.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hello')
+  })
+
+  it('lifecycle registration', done => {
+    const calls = []
+    const vm = new Vue({
+      template: '<div>{{ n }}</div>',
+      setup () {
+        expect(getCurrentInstance()).toBeTruthy()
+        onBeforeMount(() => calls.push('beforeMount'))
+        onMounted(() => calls.push('mounted'))
+        onBeforeUpdate(() => calls.push('beforeUpdate'))
+        onUpdated(() => calls.push('updated'))
+        onBeforeUnmount(() => calls.push('beforeUnmount'))
+        onUnmounted(() => calls.push('unmounted'))
+        return { n: ref(0) }
+      },
+      mounted () {
+        calls.push('mounted option')
+      }
+    }).$mount()
+    expect(getCurrentInstance()).toBe(null)
+    expect(calls).toEqual(['beforeMount', 'mounted option', 'mounted'])
+    vm.n++
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+    }).then(done)
+  })
+
+  it('lifecycle hooks should not leak into other instances', () => {
+    const spy = jasmine.createSpy()
+    let first = true
+    const Comp = Vue.extend({
+      setup () {
+        if (first) {
+          onMounted(spy)
+          first = false
+        }
+      },
+      render: h => h('div')
+    })
+    new Comp().$mount()
+    new Comp().$mount()
+    expect(spy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should warn lifecycle registration outside of setup', () => {
+    onMounted(() => {})
+    expect('Registering the "mounted" hook failed').toHaveBeenWarned()
+  })
+
+  it('should stop watchers created in setup on destroy', done => {
+    const spy = jasmine.createSpy('watch')
+    const count = ref(0)
+    const vm = new Vue({
+      setup () {
+        watch(count, spy)
+      },
+      render: h => h('div')
+    }).$mount()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledTimes(1)
+      vm.$destroy()
+      count.value++
+    }).then(() => {
+      expect(spy).toHaveBeenCalledTimes(1)
+    }).then(done)
+  })
+
+  it('should warn invalid return values', () => {
+    const vm = new Vue({
+      props: ['foo'],
+      propsData: { foo: 'prop' },
+      setup () {
+        return { foo: 1, $bar: 2, _baz: 3 }
+      }
+    })
+    // reserved keys and props are never shadowed by setup bindings
+    expect(vm.foo).toBe('prop')
+    expect(vm.$bar).toBeUndefined()
+    expect(vm._baz).toBeUndefined()
+    expect('setup() return property "foo" is already declared as a prop').toHaveBeenWarned()
+    expect('setup() return property "$bar" should not start with "$" or "_"').toHaveBeenWarned()
+    expect('setup() return property "_baz" should not start with "$" or "_"').toHaveBeenWarned()
+    new Vue({
+      setup () {
+        return 1
+      }
+    })
+    expect('setup() should return an object or a render function').toHaveBeenWarned()
+  })
+
+  it('should handle errors in setup', () => {
+    const err = new Error('setup')
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    new Vue({
+      errorCaptured: spy,
+      render: h => h({
+        setup () {
+          throw err
+        },
+        render: h => h('div')
+      })
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err, jasmine.any(Vue), 'setup')
+  })
+})
@@ -224,4 +224,20 @@ describe('ref', () => {
       expect(vm.$refs.test).toBe(vm.$children[0])
     }).then(done)
   })
+
+  it('should unregister elements with a static ref after optimized updates', done => {
+    const vm = new Vue({
+      template: '<div><section v-if="show"><p ref="p">x</p>{{ msg }}</section></div>',
+      data: { show: true, msg: 'a' }
+    }).$mount()
+    const p = vm.$el.querySelector('p')
+    expect(vm.$refs.p).toBe(p)
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$refs.p).toBe(p)
+      vm.show = false
+    }).then(() => {
+      expect(vm.$refs.p).toBeUndefined()
+    }).then(done)
+  })
 })
@@ -694,6 +694,16 @@ describe('codegen', () => {
     )
   })
 
+  it('generate patch flags and blocks', () => {
+    const options = extend({ patchFlags: true }, baseOptions)
+    const ast = parse('<div><p><b :id="a" title="x">{{ b }}</b></p><span v-if="c"></span></div>', options)
+    optimize(ast, options)
+    expect(generate(ast, options).render).toBe(
+      `with(this){return (_ob(),_bk(_c('div',[(_ob(),_bk(_c('p',[_pf(_c('b',{attrs:{"id":a,"title":"x"}},[_v(_s(b))]),0,9,["id"])]),1,0)),` +
+      `(c)?(_ob(),_bk(_c('span'),2,0)):_e()]),3,128))}`
+    )
+  })
+
   // #9142
   it('should compile single v-for component inside template', () => {
     assertCodegen(
@@ -0,0 +1,132 @@
+import Vue from 'vue'
+import { interpretFunction } from 'compiler/interpreter/index'
+
+describe('template interpreter', () => {
+  it('should evaluate expressions like new Function', () => {
+    const expressions = [
+      '1 + 2 * 3 - 4 / 2 % 3',
+      '2 ** 3 ** 2',
+      '"a\\nb\\u0041\\x42" + \'c\\\'\'',
+      '`x${a.b + 1}y${`${c[0]}`}z`',
+      'a.b > 1 && c.length || -1',
+      'a.n ?? a.b',
+      'a?.x?.y.z',
+      'a.b === 1 ? "one" : a.b === 2 ? "two" : "many"',
+      'typeof a + typeof undefinedVariable + typeof null',
+      '!a.b + ~a.b + +"3" + void 0',
+      '"b" in a && c instanceof Array',
+      '[1, , ...c, 4]',
+      '({ b: 1, [c[0]]: 2, c, ...a, "d-e": 3, 4: 5 })',
+      'c.map(x => x * 2).filter((x, i) => i > 0)',
+      'c.reduce(function (sum, x) { return sum + x }, 0)',
+      'Math.max(...c, a.b)',
+      '/a(b+)/gi.exec("xABB")[1]',
+      'new Date(0).getTime()',
+      '(a.b, c.length)',
+      'JSON.stringify({ a: [1, { b: null }] })',
+      '(({ b, d = 4, ...rest }, [x, , y = 9]) => [b, d, rest, x, y])(a, c)'
+    ]
+    const a = { b: 1, n: null }
+    const c = [1, 2, 3]
+    expressions.forEach(exp => {
+      const expected = new Function('a', 'c', `return ${exp}`)(a, c)
+      expect(interpretFunction('a, c', `return ${exp}`)(a, c)).toEqual(expected)
+    })
+  })
+
+  it('should evaluate statements', () => {
+    const fn = interpretFunction('a, b = 2, ...rest', `
+      var x = a, y
+      let { length } = rest
+      if (x > 1) {
+        y = 'big'
+      } else if (x) y = 'small'
+      else {
+        return arguments.length
+      }
+      const add = function (n) { return n + this.base }
+      x += b * 2
+      x++
+      return [x, y, length, add.call({ base: 10 }, 1)]
+    `)
+    expect(fn(1, 2, 'c', 'd')).toEqual([6, 'small', 2, 11])
+    expect(fn(2)).toEqual([7, 'big', 0, 11])
+    expect(fn(0, 1, 2)).toBe(3)
+  })
+
+  it('should resolve identifiers of with statements', () => {
+    const fn = interpretFunction('', 'with(this){return [msg, get(), typeof Math, typeof missing]}')
+    const ctx = { msg: 'hi', get () { return this.msg } }
+    expect(fn.call(ctx)).toEqual(['hi', 'hi', 'object', 'undefined'])
+    const assign = interpretFunction('', 'with(this){msg = "bye"; count++}')
+    const target = { msg: 'hi', count: 1 }
+    assign.call(target)
+    expect(target).toEqual({ msg: 'bye', count: 2 })
+  })
+
+  it('should throw errors like native code', () => {
+    expect(() => interpretFunction('', 'return missing')()).toThrowError(ReferenceError, 'missing is not defined')
+    expect(() => interpretFunction('a', 'return a.foo()')({})).toThrowError(TypeError, 'a.foo is not a function')
+    expect(() => interpretFunction('', 'throw new Error("custom")')()).toThrowError('custom')
+  })
+
+  it('should reject invalid and unsupported syntax', () => {
+    expect(() => interpretFunction('', 'return a b')).toThrowError(SyntaxError)
+    expect(() => interpretFunction('', 'for (;;) {}')).toThrowError(SyntaxError, /"for" is not supported/)
+    expect(() => interpretFunction('', 'return 1 = a')).toThrowError(SyntaxError)
+  })
+
+  it('should render templates without new Function', done => {
+    const { render, staticRenderFns } = Vue.compile(
+      '<div>' +
+        '<p class="static"><b>static</b></p>' +
+        '<span v-for="(item, i) in items" :key="item.id" :class="{ odd: i % 2 }">{{ i }}: {{ item.text | upper }}</span>' +
+        '<input v-model="msg" @keyup.enter="submit">' +
+        '<button @click="count += 1; last = $event.type">{{ count }}</button>' +
+        '<comp v-slot="{ value = 0 }">{{ value + count }}</comp>' +
+      '</div>',
+      { interpret: true }
+    )
+    const vm = new Vue({
+      render,
+      staticRenderFns,
+      data: { items: [{ id: 1, text: 'a' }, { id: 2, text: 'b' }], msg: 'hi', count: 0, last: '' },
+      filters: { upper: s => s.toUpperCase() },
+      methods: { submit () {} },
+      components: {
+        comp: { template: '<i><slot :value="1"></slot></i>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(
+      '<p class="static"><b>static</b></p>' +
+      '<span class="">0: A</span><span class="odd">1: B</span>' +
+      '<input><button>0</button><i>1</i>'
+    )
+    const input = vm.$el.querySelector('input')
+    expect(input.value).toBe('hi')
+    input.value = 'bye'
+    triggerEvent(input, 'input')
+    vm.$el.querySelector('button').click()
+    waitForUpdate(() => {
+      expect(vm.msg).toBe('bye')
+      expect(vm.last).toBe('click')
+      expect(vm.$el.querySelector('button').textContent).toBe('1')
+      expect(vm.$el.querySelector('i').textContent).toBe('2')
+      vm.items.reverse()
+    }).then(() => {
+      expect(vm.$el.querySelectorAll('span')[0].textContent).toBe('0: B')
+    }).then(done)
+  })
+
+  it('should warn invalid expressions with the interpreter parser', () => {
+    Vue.compile('<div :title="tag`x`">{{ a b }}</div>', { interpret: true })
+    expect('invalid expression: tagged templates are not supported').toHaveBeenWarned()
+    expect('Raw expression: {{ a b }}').toHaveBeenWarned()
+  })
+
+  it('should warn properties not defined on the instance', () => {
+    const { render } = Vue.compile('<div>{{ a }}</div>', { interpret: true })
+    new Vue({ render }).$mount()
+    expect(`Property or method "a" is not defined`).toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,139 @@
+import Vue from 'vue'
+import { compile } from 'web/compiler'
+import { moduleHelpers } from 'compiler/codegen/module'
+import * as runtime from 'core/instance/render-helpers/exports'
+
+// evaluate the code of a compiled module, resolving its imports from the
+// runtime helpers
+function load (code) {
+  const body = code
+    .replace(/^import \{([^}]*)\} from "vue"$/m, (_, names) => {
+      return `const {${names.replace(/ as /g, ': ')}} = runtime`
+    })
+    .replace(/^export /gm, '')
+  return new Function('runtime', `"use strict";${body}\nreturn { render, staticRenderFns }`)(runtime)
+}
+
+describe('module mode', () => {
+  const options = { mode: 'module' }
+
+  it('should not generate a module by default', () => {
+    expect(compile('<div></div>').code).toBeUndefined()
+  })
+
+  it('should generate a module importing the helpers it uses', () => {
+    const res = compile('<div :id="id">{{ msg }}</div>', options)
+    expect(res.render).toBe(`with(this){return _c('div',{attrs:{"id":id}},[_v(_s(msg))])}`)
+    expect(res.code).toBe(
+      `import { createElement as _c, toDisplayString as _s, createTextVNode as _v } from "vue"\n\n` +
+      `export const staticRenderFns = []\n\n` +
+      `export function render (_ctx) {\n` +
+      `  return _c(_ctx,'div',{attrs:{"id":_ctx.id}},[_v(_s(_ctx.msg))])\n` +
+      `}\n` +
+      `render._withContext = true\n`
+    )
+  })
+
+  it('should use the runtimeModuleName option', () => {
+    const res = compile('<div></div>', { mode: 'module', runtimeModuleName: 'vue/dist/vue.runtime.esm' })
+    expect(res.code).toContain(`import { createElement as _c } from "vue/dist/vue.runtime.esm"`)
+  })
+
+  it('should generate static render functions', () => {
+    const res = compile('<div><p><b>static</b></p>{{ msg }}</div>', options)
+    expect(res.code).toContain(`export const staticRenderFns = [function (_ctx) {\n  return _c(_ctx,'p',[_c(_ctx,'b',[_v("static")])])\n}]`)
+    expect(res.code).toContain(`_m(_ctx,0)`)
+  })
+
+  it('should not prefix locals, globals and property names', () => {
+    const code = compile(
+      '<div :class="{ active, b: isB }" :title="list.map(x => x * n).join(`${sep}`)">' +
+        '<p v-for="({ a, b: [c] }, i) in items" @click="var d = a, e = $event; select(d, e, Math.max(c, i))"></p>' +
+        '<comp v-slot="{ item = fallback }">{{ item.name }}</comp>' +
+      '</div>',
+      options
+    ).code
+    expect(code).not.toContain('with(')
+    expect(code).toContain(`{ active:_ctx.active, b: _ctx.isB }`)
+    expect(code).toContain(`_ctx.list.map(x => x * _ctx.n).join(\`\${_ctx.sep}\`)`)
+    expect(code).toContain(`_l((_ctx.items),function({ a, b: [c] },i){`)
+    expect(code).toContain(`var d = a, e = $event; _ctx.select(d, e, Math.max(c, i))`)
+    expect(code).toContain(`fn:function({ item = _ctx.fallback }){return [_v(_s(item.name))]}`)
+  })
+
+  it('should export every helper used by compiled modules from the runtime', () => {
+    Object.keys(moduleHelpers).forEach(key => {
+      expect(typeof runtime[moduleHelpers[key].name]).toBe('function')
+    })
+  })
+
+  it('should render and update strict mode render functions', done => {
+    const { render, staticRenderFns } = load(compile(
+      '<div>' +
+        '<p><b>static</b></p>' +
+        '<span v-for="item in items" :key="item">{{ item | upper }}</span>' +
+        '<input v-model="msg">' +
+        '<slot :msg="msg">{{ msg }}</slot>' +
+      '</div>',
+      options
+    ).code)
+    const vm = new Vue({
+      render,
+      staticRenderFns,
+      data: { items: ['a', 'b'], msg: 'hi' },
+      filters: { upper: s => s.toUpperCase() }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p><b>static</b></p><span>A</span><span>B</span><input>hi')
+    expect(vm.$el.querySelector('input').value).toBe('hi')
+    vm.items.push('c')
+    const input = vm.$el.querySelector('input')
+    input.value = 'bye'
+    triggerEvent(input, 'input')
+    waitForUpdate(() => {
+      expect(vm.msg).toBe('bye')
+      expect(vm.$el.innerHTML).toBe('<p><b>static</b></p><span>A</span><span>B</span><span>C</span><input>bye')
+    }).then(done)
+  })
+
+  it('should rewrite this outside of non-arrow functions', done => {
+    const code = compile(
+      '<div :title="list.map(function (x) { return this.n + x }, ctx)" @click="() => this.count++">' +
+        '{{ this.msg }}</div>',
+      options
+    ).code
+    expect(code).toContain(`_ctx.list.map(function (x) { return this.n + x }, _ctx.ctx)`)
+    expect(code).toContain(`() => _ctx.count++`)
+    expect(code).toContain(`_s(_ctx.msg)`)
+    const { render } = load(code)
+    const vm = new Vue({
+      render,
+      data: { msg: 'hi', count: 0, list: [1], ctx: { n: 1 }}
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hi')
+    expect(vm.$el.title).toBe('2')
+    triggerEvent(vm.$el, 'click')
+    expect(vm.count).toBe(1)
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bye')
+    }).then(done)
+  })
+
+  it('should warn properties not defined on the instance', () => {
+    const { render } = load(compile('<div>{{ a }}</div>', options).code)
+    new Vue({ render }).$mount()
+    expect(`Property or method "a" is not defined`).toHaveBeenWarned()
+  })
+
+  it('should render functional components', () => {
+    const { render } = load(compile('<p>{{ props.msg }}<slot></slot></p>', options).code)
+    const vm = new Vue({
+      template: '<div><fn msg="hi">!</fn></div>',
+      components: {
+        // _compiled is set by loaders for functional components with templates
+        fn: { functional: true, _compiled: true, props: ['msg'], render }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>hi!</p>')
+  })
+})
@@ -2,6 +2,7 @@ import { parse } from 'compiler/parser/index'
 import { extend } from 'shared/util'
 import { optimize } from 'compiler/optimizer'
 import { baseOptions } from 'web/compiler/options'
+import { PatchFlags } from 'shared/constants'
 
 describe('optimizer', () => {
   it('simple', () => {
@@ -254,4 +255,74 @@ describe('optimizer', () => {
     expect(ast.ifConditions[2].block.children[0].children[0].ifConditions[1].block.staticRoot).toBe(false)
     expect(ast.ifConditions[2].block.children[0].children[0].ifConditions[1].block.staticInFor).toBe(true)
   })
+
+  describe('patch flags', () => {
+    const options = extend({ patchFlags: true }, baseOptions)
+    const optimizeWithFlags = template => {
+      const ast = parse(template, options)
+      optimize(ast, options)
+      return ast
+    }
+
+    it('should not mark patch flags by default', () => {
+      const ast = parse('<div><p :class="a"></p></div>', baseOptions)
+      optimize(ast, baseOptions)
+      expect(ast.patchFlag).toBeUndefined()
+      expect(ast.children[0].patchFlag).toBeUndefined()
+    })
+
+    it('should mark dynamic parts', () => {
+      const ast = optimizeWithFlags('<div><p :class="a" :style="b" :id="c" title="d" :lang="\'en\'">{{ e }}</p></div>')
+      expect(ast.patchFlag).toBe(0)
+      expect(ast.blockRoot).toBe(true)
+      const p = ast.children[0]
+      expect(p.patchFlag).toBe(PatchFlags.TEXT | PatchFlags.CLASS | PatchFlags.STYLE | PatchFlags.PROPS)
+      expect(p.dynamicProps).toEqual(['id'])
+      expect(p.blockRoot).toBe(false)
+    })
+
+    it('should mark dynamic attribute names, listeners and directives', () => {
+      expect(optimizeWithFlags('<div :[key]="value"></div>').patchFlag).toBe(
+        PatchFlags.FULL_PROPS | PatchFlags.CLASS | PatchFlags.STYLE
+      )
+      expect(optimizeWithFlags('<div @click="onClick"></div>').patchFlag).toBe(PatchFlags.NEED_PATCH)
+      expect(optimizeWithFlags('<div v-show="ok"></div>').patchFlag).toBe(PatchFlags.NEED_PATCH)
+      expect(optimizeWithFlags('<div v-bind="attrs"></div>').patchFlag).toBe(PatchFlags.NEED_PATCH)
+      expect(optimizeWithFlags('<div :ref="name"></div>').patchFlag).toBe(PatchFlags.NEED_PATCH)
+      expect(optimizeWithFlags('<div ref="name"></div>').patchFlag).toBe(PatchFlags.NEED_PATCH)
+      expect(optimizeWithFlags('<div ref="name" :id="id"></div>').patchFlag).toBe(
+        PatchFlags.PROPS | PatchFlags.NEED_PATCH
+      )
+    })
+
+    it('should mark children that can change as block roots', () => {
+      const ast = optimizeWithFlags('<div><p v-if="a">{{ b }}</p><i v-for="x in y" :key="x">{{ x }}</i></div>')
+      expect(ast.patchFlag).toBe(PatchFlags.KEYED_CHILDREN)
+      expect(ast.children[0].blockRoot).toBe(true)
+      expect(ast.children[1].blockRoot).toBe(true)
+      expect(ast.children[1].patchFlag).toBe(PatchFlags.TEXT)
+
+      const unkeyed = optimizeWithFlags('<div><template v-if="a"><p>{{ b }}</p></template></div>')
+      expect(unkeyed.patchFlag).toBe(PatchFlags.UNKEYED_CHILDREN)
+      // the parent of an element in a <template> is the element around it
+      expect(unkeyed.children[0].children[0].blockRoot).toBe(true)
+    })
+
+    it('should mark children of components and slots as block roots', () => {
+      const ast = optimizeWithFlags('<div><comp :a="b"><p>{{ c }}</p></comp><slot><b>{{ d }}</b></slot></div>')
+      expect(ast.patchFlag).toBe(PatchFlags.KEYED_CHILDREN)
+      expect(ast.children[0].patchFlag).toBeUndefined()
+      expect(ast.children[0].children[0].blockRoot).toBe(true)
+      expect(ast.children[1].patchFlag).toBeUndefined()
+      expect(ast.children[1].children[0].blockRoot).toBe(true)
+    })
+
+    it('should not mark static and v-once nodes', () => {
+      const ast = optimizeWithFlags('<div><span>static</span><p v-once><b>{{ a }}</b></p><i>{{ b }}</i></div>')
+      expect(ast.children[0].patchFlag).toBeUndefined()
+      expect(ast.children[1].patchFlag).toBeUndefined()
+      expect(ast.children[1].children[0].patchFlag).toBeUndefined()
+      expect(ast.children[2].patchFlag).toBe(PatchFlags.TEXT)
+    })
+  })
 })
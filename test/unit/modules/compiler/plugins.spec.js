@@ -0,0 +1,207 @@
+import Vue from 'vue'
+import { compile } from 'web/compiler'
+import { addProp } from 'compiler/helpers'
+
+function describeNode (node) {
+  return node.type === 1 ? node.tag : node.text.trim()
+}
+
+describe('compiler plugins', () => {
+  it('should visit every node in plugin order', () => {
+    const log = []
+    const plugin = (name, enforce) => ({
+      name,
+      enforce,
+      enter (node) { log.push(`${name}:enter:${describeNode(node)}`) },
+      exit (node) { log.push(`${name}:exit:${describeNode(node)}`) }
+    })
+    compile(
+      '<div><p v-if="a">a</p><span v-else>b</span><comp><template #foo="props">c</template></comp></div>',
+      { plugins: [plugin('post', 'post'), plugin('normal'), plugin('pre', 'pre')] }
+    )
+    const visits = node => [
+      `pre:enter:${node}`, `normal:enter:${node}`, `post:enter:${node}`
+    ]
+    const leaves = node => [
+      `post:exit:${node}`, `normal:exit:${node}`, `pre:exit:${node}`
+    ]
+    expect(log).toEqual([
+      ...visits('div'),
+      ...visits('p'), ...visits('a'), ...leaves('a'), ...leaves('p'),
+      ...visits('span'), ...visits('b'), ...leaves('b'), ...leaves('span'),
+      ...visits('comp'),
+      ...visits('template'), ...visits('c'), ...leaves('c'), ...leaves('template'),
+      ...leaves('comp'),
+      ...leaves('div')
+    ])
+  })
+
+  it('should give access to the parent, ancestors and siblings', () => {
+    const seen = {}
+    compile('<div><ul><li>a</li><li v-if="b">b</li><li v-else>c</li></ul></div>', {
+      plugins: [{
+        enter (node, context) {
+          if (node.type === 1 && node.tag === 'li') {
+            seen[node.children[0].text] = {
+              parent: context.parent.tag,
+              ancestors: context.ancestors.map(el => el.tag),
+              index: context.index,
+              siblings: context.siblings.length
+            }
+          }
+        }
+      }]
+    })
+    expect(seen).toEqual({
+      a: { parent: 'ul', ancestors: ['div', 'ul'], index: 0, siblings: 2 },
+      b: { parent: 'ul', ancestors: ['div', 'ul'], index: 1, siblings: 2 },
+      // v-else branches are not children of their parent
+      c: { parent: 'ul', ancestors: ['div', 'ul'], index: -1, siblings: 0 }
+    })
+  })
+
+  it('should modify elements with the helpers', () => {
+    const testIds = {
+      enter (node, context) {
+        if (node.type === 1 && node.attrsMap.ref) {
+          context.addAttr(node, 'data-test', JSON.stringify(node.attrsMap.ref))
+        }
+      }
+    }
+    const { render, staticRenderFns } = Vue.compile(
+      '<div><button ref="submit" @click="count++">{{ count }}</button><p ref="info">info</p></div>',
+      { plugins: [testIds] }
+    )
+    const vm = new Vue({ render, staticRenderFns, data: { count: 0 }}).$mount()
+    expect(vm.$el.innerHTML).toBe('<button data-test="submit">0</button><p data-test="info">info</p>')
+  })
+
+  it('should replace nodes with parsed templates', () => {
+    const icons = {
+      enter (node, context) {
+        if (node.type === 1 && node.tag === 'icon') {
+          const [icon] = context.parse(`<i :class="'icon-' + ${node.attrsMap[':name']}"></i>`)
+          context.replaceNode(icon)
+        }
+      }
+    }
+    const { render } = Vue.compile(
+      '<div><icon :name="name"></icon><template v-if="ok"><icon :name="\'x\'"></icon></template><icon v-else :name="\'y\'"></icon></div>',
+      { plugins: [icons] }
+    )
+    const vm = new Vue({ render, data: { name: 'home', ok: true }}).$mount()
+    expect(vm.$el.innerHTML).toBe('<i class="icon-home"></i><i class="icon-x"></i>')
+  })
+
+  it('should remove and insert nodes', () => {
+    const plugin = {
+      enter (node, context) {
+        if (node.type !== 1) return
+        if (node.attrsMap.remove != null) {
+          context.removeNode()
+        } else if (node.attrsMap.wrap != null) {
+          context.parse('<hr>').forEach(context.insertBefore)
+          context.insertAfter(context.parse('<br>')[0])
+          context.insertAfter(context.parse('<hr>')[0])
+        }
+      }
+    }
+    const { render } = Vue.compile(
+      '<div><b remove></b><i wrap>a</i><u>b</u><p v-if="no"></p><p v-else remove></p>' +
+        '<comp><template #foo remove></template></comp></div>',
+      { plugins: [plugin] }
+    )
+    const vm = new Vue({
+      render,
+      data: { no: false },
+      components: { comp: { template: '<s><slot name="foo">foo</slot></s>' }}
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<hr><i wrap="">a</i><br><hr><u>b</u><!----><s>foo</s>')
+  })
+
+  it('should replace and remove the root', () => {
+    const replace = compile('<div></div>', {
+      plugins: [{
+        enter (node, context) {
+          if (node.tag === 'div') context.replaceNode(context.parse('<p>{{ msg }}</p>')[0])
+        }
+      }]
+    })
+    expect(replace.render).toBe(`with(this){return _c('p',[_v(_s(msg))])}`)
+    const remove = compile('<div></div>', {
+      plugins: [{ enter: (node, context) => context.removeNode() }]
+    })
+    expect(remove.ast).toBeUndefined()
+    expect(remove.render).toBe(`with(this){return _c("div")}`)
+  })
+
+  it('should skip the children of a node', () => {
+    const visited = []
+    compile('<div><p><b></b></p><i></i></div>', {
+      plugins: [{
+        enter (node, context) {
+          visited.push(node.tag)
+          if (node.tag === 'p') context.skip()
+        }
+      }]
+    })
+    expect(visited).toEqual(['div', 'p', 'i'])
+  })
+
+  it('should collect text in exit visitors', () => {
+    const messages = []
+    compile('<div>Hello <b>{{ name }}</b><p title="x">Bye</p></div>', {
+      plugins: [{
+        exit (node) {
+          if (node.type === 3 && node.text.trim()) messages.push(node.text.trim())
+        }
+      }]
+    })
+    expect(messages).toEqual(['Hello', 'Bye'])
+  })
+
+  it('should register compile-time directives', () => {
+    const plugin = {
+      directives: {
+        text (el, dir) {
+          addProp(el, 'textContent', `_s((${dir.value}).toUpperCase())`)
+        },
+        keep () {
+          return true
+        }
+      }
+    }
+    const { render } = compile('<div v-text="msg" v-keep></div>', { plugins: [plugin] })
+    expect(render).toBe(
+      `with(this){return _c('div',{directives:[{name:"keep",rawName:"v-keep"}],` +
+      `domProps:{"textContent":_s((msg).toUpperCase())}})}`
+    )
+    // directives of the options take precedence over the ones of plugins
+    const res = compile('<div v-text="msg"></div>', {
+      plugins: [plugin],
+      directives: { text: el => addProp(el, 'textContent', '"options"') }
+    })
+    expect(res.render).toContain(`domProps:{"textContent":"options"}`)
+  })
+
+  it('should warn invalid node operations', () => {
+    const { errors } = compile('<div v-if="a"><p></p></div><div v-else></div>', {
+      plugins: [{
+        enter (node, context) {
+          if (node.tag === 'p') {
+            context.removeNode()
+            context.replaceNode(context.parse('<b></b>')[0])
+          } else if (node.else) {
+            context.insertAfter(context.parse('<b></b>')[0])
+            context.replaceNode({ type: 3, text: 'text' })
+          }
+        }
+      }]
+    })
+    expect(errors).toEqual([
+      'Cannot call replaceNode() after the node has been removed.',
+      'Nodes can only be inserted next to child nodes.',
+      'Only elements can replace the root element, v-else branches or scoped slots.'
+    ])
+  })
+})
@@ -0,0 +1,79 @@
+import Vue from 'vue'
+import { compile, compileToFunctions } from 'web/compiler'
+import { decodeMappings, findTemplatePosition } from 'core/util/source-map'
+
+describe('source map', () => {
+  const options = { outputSourceRange: true, sourceMap: true }
+
+  it('should not generate source maps by default', () => {
+    const res = compile('<div>{{ msg }}</div>', { outputSourceRange: true })
+    expect(res.map).toBeUndefined()
+    expect(res.render).toBe(`with(this){return _c('div',[_v(_s(msg))])}`)
+  })
+
+  it('should generate the same code with a source map', () => {
+    const template = '<div>\n  <span v-if="ok" :id="id">{{ msg }}</span>\n  <p v-for="i in list">{{ i }}</p>\n</div>'
+    const plain = compile(template, { outputSourceRange: true })
+    const res = compile(template, options)
+    expect(res.render).toBe(plain.render)
+    expect(res.map.version).toBe(3)
+    expect(res.map.sources).toEqual(['template.html'])
+    expect(res.map.sourcesContent).toEqual([template])
+  })
+
+  it('should map generated code to template positions', () => {
+    const template = '<div>\n  <span :id="id">{{ msg }}</span>\n</div>'
+    const res = compile(template, options)
+    const segments = decodeMappings(res.map.mappings)[0]
+    const at = (code, index = 0) => {
+      const column = res.render.split(code)[0].length + index
+      const segment = segments.filter(s => s[0] === column)[0]
+      return segment && [segment[2], segment[3]]
+    }
+    expect(at(`_c('div'`)).toEqual([0, 0])
+    expect(at(`_c('span'`)).toEqual([1, 2])
+    expect(at(`"id":`, 5)).toEqual([1, 8])
+    expect(at(`_v(_s(msg))`)).toEqual([1, 17])
+  })
+
+  it('should generate source maps for static render functions', () => {
+    const res = compile('<div><p><b>static</b></p><span>{{ msg }}</span></div>', options)
+    expect(res.staticRenderFns.length).toBe(1)
+    expect(res.staticRenderFns[0]).not.toContain('\u0001')
+    expect(res.staticMaps.length).toBe(1)
+    expect(decodeMappings(res.staticMaps[0].mappings)[0][0].slice(2)).toEqual([0, 5])
+  })
+
+  it('should use the filename option', () => {
+    const res = compile('<div></div>', Object.assign({ filename: 'App.vue' }, options))
+    expect(res.map.sources).toEqual(['App.vue'])
+  })
+
+  it('should attach the source map to compiled functions', () => {
+    const { render } = compileToFunctions('<div>{{ msg }}</div>', options)
+    expect(render.toString()).toContain('//# sourceMappingURL=data:application/json;charset=utf-8;base64,')
+    // the body of a function created with new Function() starts at line 3
+    expect(render.sourceMap.mappings.indexOf(';;')).toBe(0)
+  })
+
+  it('should find the template position of an error', () => {
+    const { render } = compileToFunctions('<div>\n  <p>{{ a.b }}</p>\n</div>', options)
+    let err
+    try {
+      render.call({ _c () {}, _v () {}, _s () {}, a: null })
+    } catch (e) {
+      err = e
+    }
+    expect(findTemplatePosition(render, err)).toEqual({ line: 2, column: 6 })
+  })
+
+  it('should report the template position of render errors', () => {
+    new Vue({
+      template: '<div>\n  <p>{{ foo.bar }}</p>\n</div>',
+      data: { foo: null }
+    }).$mount()
+    expect('Error in render').toHaveBeenWarned()
+    expect('Cannot read').toHaveBeenWarned()
+    expect('found at template line 2, column 6').toHaveBeenWarned()
+  })
+})
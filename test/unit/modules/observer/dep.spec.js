@@ -51,6 +51,18 @@ describe('Dep', () => {
       dep.depend()
       expect(Dep.target.addDep).toHaveBeenCalledWith(dep)
     })
+
+    it('should report track events to target', () => {
+      Dep.target = jasmine.createSpyObj('TARGET', ['addDep', 'onTrack'])
+      const target = {}
+      dep.depend({ target, type: 'get', key: 'a' })
+      expect(Dep.target.onTrack).toHaveBeenCalledWith({
+        effect: Dep.target,
+        target,
+        type: 'get',
+        key: 'a'
+      })
+    })
   })
 
   describe('notify()', () => {
@@ -59,5 +71,21 @@ describe('Dep', () => {
       dep.notify()
       expect(dep.subs[0].update).toHaveBeenCalled()
     })
+
+    it('should report trigger events to subs', () => {
+      const sub = jasmine.createSpyObj('SUB', ['update', 'onTrigger'])
+      dep.subs.push(sub)
+      const target = {}
+      dep.notify({ target, type: 'set', key: 'a', newValue: 2, oldValue: 1 })
+      expect(sub.onTrigger).toHaveBeenCalledWith({
+        effect: sub,
+        target,
+        type: 'set',
+        key: 'a',
+        newValue: 2,
+        oldValue: 1
+      })
+      expect(sub.update).toHaveBeenCalled()
+    })
   })
 })
@@ -344,6 +344,129 @@ describe('Observer', () => {
     })
   })
 
+  it('create on Map and Set', () => {
+    const map = new Map([['a', {}]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    // should've observed values
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+
+    const set = new Set([{}])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    set.forEach(item => {
+      expect(item.__ob__ instanceof Observer).toBe(true)
+    })
+
+    // should return existing ob on already observed collections
+    expect(observe(map)).toBe(ob1)
+    expect(observe(set)).toBe(ob2)
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('a', obj)
+    expect(map.get('a')).toBe(obj)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    // setting the same value should not notify
+    map.set('a', obj)
+    map.set('b', NaN)
+    map.set('b', NaN)
+    expect(dep.notify.calls.count()).toBe(2)
+    map.delete('a')
+    // deleting non-existing key should not notify
+    map.delete('a')
+    expect(dep.notify.calls.count()).toBe(3)
+    map.clear()
+    map.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    expect(map.size).toBe(0)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj)
+    expect(set.has(obj)).toBe(true)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    expect(dep.notify.calls.count()).toBe(1)
+    set.delete(obj)
+    set.delete(obj)
+    expect(dep.notify.calls.count()).toBe(2)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+  })
+
+  it('observing WeakMap and WeakSet mutation', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    const dep1 = observe(weakMap).dep
+    const dep2 = observe(weakSet).dep
+    spyOn(dep1, 'notify')
+    spyOn(dep2, 'notify')
+    weakMap.set(key, 1)
+    weakMap.set(key, 1)
+    weakMap.delete(key)
+    expect(dep1.notify.calls.count()).toBe(2)
+    weakSet.add(key)
+    weakSet.add(key)
+    weakSet.delete(key)
+    expect(dep2.notify.calls.count()).toBe(2)
+  })
+
+  it('collecting collection dependencies', () => {
+    const map = new Map([['a', [{}]]])
+    const set = new Set([1])
+    const obj = { map, set }
+    observe(obj)
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        if (this.deps.indexOf(dep) < 0) {
+          this.deps.push(dep)
+          dep.addSub(this)
+        }
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    obj.map.get('a')
+    Dep.target = null
+    // obj.map + map + map's array value + its item
+    expect(watcher.deps.length).toBe(4)
+    obj.map.get('a').push(1)
+    expect(watcher.update.calls.count()).toBe(1)
+    obj.map.set('b', 1)
+    expect(watcher.update.calls.count()).toBe(2)
+    // reads outside of a watcher should not collect
+    obj.set.has(1)
+    expect(watcher.deps.length).toBe(4)
+
+    watcher.deps = []
+    Dep.target = watcher
+    for (const item of set) {} // eslint-disable-line no-unused-vars
+    Dep.target = null
+    expect(watcher.deps.length).toBe(1)
+    set.add(2)
+    expect(watcher.update.calls.count()).toBe(3)
+  })
+
+  it('should not observe subclassed collections', () => {
+    class MyMap extends Map {}
+    expect(observe(new MyMap())).toBeUndefined()
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
@@ -0,0 +1,115 @@
+import Vue from 'vue'
+import { observe, toReactive, toRaw } from 'core/observer/index'
+import Dep from 'core/observer/dep'
+
+describe('Observer proxy mode', () => {
+  let watcher
+  beforeEach(() => {
+    Vue.config.proxyReactivity = true
+    watcher = {
+      deps: [],
+      addDep (dep) {
+        if (this.deps.indexOf(dep) < 0) {
+          this.deps.push(dep)
+          dep.addSub(this)
+        }
+      },
+      update: jasmine.createSpy()
+    }
+  })
+
+  afterEach(() => {
+    Vue.config.proxyReactivity = false
+  })
+
+  function collect (fn) {
+    Dep.target = watcher
+    fn()
+    Dep.target = null
+  }
+
+  it('create on object', () => {
+    const obj = { a: { b: 1 } }
+    const ob = observe(obj)
+    const proxy = toReactive(obj)
+    expect(proxy).not.toBe(obj)
+    expect(ob.proxy).toBe(proxy)
+    expect(proxy.__ob__).toBe(ob)
+    expect(toRaw(proxy)).toBe(obj)
+    // should not convert properties to getter/setters
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').value).toBe(obj.a)
+    // nested objects are observed lazily
+    expect(obj.a.__ob__).toBeUndefined()
+    expect(toRaw(proxy.a)).toBe(obj.a)
+    expect(obj.a.__ob__.proxy).toBe(proxy.a)
+  })
+
+  it('tracks per key', () => {
+    const proxy = observe({ a: 1, b: 1 }).proxy
+    collect(() => proxy.a)
+    proxy.b = 2
+    expect(watcher.update).not.toHaveBeenCalled()
+    proxy.a = 2
+    expect(watcher.update.calls.count()).toBe(1)
+    // same value should not trigger
+    proxy.a = 2
+    proxy.c = NaN
+    proxy.c = NaN
+    expect(watcher.update.calls.count()).toBe(1)
+  })
+
+  it('tracks key addition, deletion, has and ownKeys', () => {
+    const proxy = observe({ a: 1 }).proxy
+    collect(() => 'b' in proxy)
+    proxy.b = 1
+    expect(watcher.update.calls.count()).toBe(1)
+    collect(() => Object.keys(proxy))
+    delete proxy.a
+    expect(watcher.update.calls.count()).toBe(2)
+    // deleting a non-existing key should not trigger
+    delete proxy.a
+    expect(watcher.update.calls.count()).toBe(2)
+  })
+
+  it('stores raw values', () => {
+    const obj = {}
+    const proxy = observe(obj).proxy
+    const child = observe({ c: 1 }).proxy
+    proxy.child = child
+    expect(obj.child).toBe(toRaw(child))
+    expect(proxy.child).toBe(child)
+  })
+
+  it('array methods', () => {
+    const item = {}
+    const arr = [item]
+    const proxy = observe(arr).proxy
+    collect(() => proxy.length)
+    proxy.push(1)
+    expect(watcher.update.calls.count()).toBe(1)
+    proxy[0] = 2
+    expect(watcher.update.calls.count()).toBe(2)
+    proxy[0] = item
+    // identity sensitive methods should work with both raw and proxied values
+    expect(proxy.indexOf(item)).toBe(0)
+    expect(proxy.indexOf(proxy[0])).toBe(0)
+    expect(proxy.includes(proxy[0])).toBe(true)
+  })
+  it('readonly and shallow objects', () => {
+    const state = Vue.readonly({ nested: { a: 1 }, list: [1] })
+    state.nested.a = 2
+    expect(state.nested.a).toBe(1)
+    expect('Set operation on key "nested.a" failed: target is readonly.').toHaveBeenWarned()
+    delete state.nested.a
+    expect(state.nested.a).toBe(1)
+    expect('Delete operation on key "nested.a" failed: target is readonly.').toHaveBeenWarned()
+    state.list.push(2)
+    expect(state.list.length).toBe(1)
+    expect('Array push() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+
+    const nested = { a: 1 }
+    const shallow = Vue.shallowReactive({ nested })
+    expect(shallow.nested).toBe(nested)
+    expect(nested.__ob__).toBeUndefined()
+  })
+})
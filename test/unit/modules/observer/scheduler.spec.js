@@ -126,6 +126,91 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  describe('update cycle report', () => {
+    afterEach(() => {
+      Vue.config.warnHandler = null
+    })
+
+    it('should detect cycles between watchers', done => {
+      const vm = new Vue({
+        template: '<looper ref="child"></looper>',
+        components: {
+          looper: {
+            data: () => ({ a: 1, b: 1 }),
+            watch: {
+              a () { this.b++ },
+              b () { this.a++ }
+            },
+            render () {}
+          }
+        }
+      }).$mount()
+      vm.$refs.child.a++
+      waitForUpdate(() => {
+        expect(
+          'You may have an infinite update loop in watcher with expression "a"'
+        ).toHaveBeenWarned()
+        expect(
+          'Update cycle:\n' +
+          '  watcher "a" in <Looper>\n' +
+          '  → set "b" → watcher "b" in <Looper>\n' +
+          '  → set "a" → watcher "a" in <Looper>'
+        ).toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('should include render functions', done => {
+      const vm = new Vue({
+        data: { a: 1, b: 1 },
+        render (h) {
+          this.b = this.a
+          return h('div', this.a)
+        },
+        watch: {
+          b () { this.a++ }
+        }
+      }).$mount()
+      vm.a++
+      waitForUpdate(() => {
+        expect('in a component render function').toHaveBeenWarned()
+        expect(
+          'Update cycle:\n' +
+          '  render function in <Root>\n' +
+          '  → set "b" → watcher "b" in <Root>\n' +
+          '  → set "a" → render function in <Root>'
+        ).toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('should expose the cycle to config.warnHandler', done => {
+      const handler = Vue.config.warnHandler = jasmine.createSpy('warnHandler')
+      const vm = new Vue({
+        data: { a: 1, b: 1 },
+        watch: {
+          a () { this.b++ }
+        },
+        created () {
+          this.$watch(() => this.b, () => { this.a++ })
+        }
+      })
+      vm.a++
+      waitForUpdate(() => {
+        expect(handler.calls.count()).toBe(1)
+        const [msg, _vm, trace, details] = handler.calls.argsFor(0)
+        expect(msg).toContain('infinite update loop')
+        expect(_vm).toBe(vm)
+        expect(trace).toContain('<Root>')
+        expect(details.cycle.map(step => [step.component, step.key, step.type])).toEqual([
+          ['<Root>', undefined, undefined],
+          ['<Root>', 'b', 'set'],
+          ['<Root>', 'a', 'set']
+        ])
+        expect(details.cycle[0].watcher).toBe(details.cycle[2].watcher)
+        expect(details.cycle[0].expression).toBe('watcher "a"')
+      }).then(done)
+    })
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -177,4 +262,123 @@ describe('Scheduler', () => {
       })
     })
   })
+  describe('flush timing', () => {
+    it('post watchers should run after component re-render', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: {
+          a: {
+            handler () {
+              calls.push('post:' + this.$el.textContent)
+            },
+            flush: 'post'
+          }
+        },
+        created () {
+          this.$watch('a', () => {
+            calls.push('pre:' + this.$el.textContent)
+          }, { flush: 'pre' })
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['pre:1', 'post:2'])
+      }).then(done)
+    })
+
+    it('sync watchers should run immediately', () => {
+      const vm = new Vue({ data: { a: 1 } })
+      vm.$watch('a', spy, { flush: 'sync' })
+      vm.a = 2
+      expect(spy).toHaveBeenCalledWith(2, 1)
+    })
+
+    it('warn invalid flush option', () => {
+      const vm = new Vue({ data: { a: 1 } })
+      vm.$watch('a', spy, { flush: 'later' })
+      expect('Invalid flush option "later"').toHaveBeenWarned()
+    })
+
+    it('watchers with a higher priority should run first', done => {
+      const calls = []
+      const vm = new Vue({ data: { a: 1 } })
+      vm.$watch('a', () => calls.push('normal'))
+      vm.$watch('a', () => calls.push('low'), { priority: -1 })
+      vm.$watch('a', () => calls.push('high'), { priority: 1 })
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['high', 'normal', 'low'])
+      }).then(done)
+    })
+
+    it('post watchers queued during flush should still run last', done => {
+      const calls = []
+      const vm = new Vue({ data: { a: 1, b: 1 } })
+      vm.$watch('b', () => calls.push('post'), { flush: 'post' })
+      vm.$watch('a', () => {
+        calls.push('a')
+        vm.b++
+      })
+      vm.$watch('b', () => calls.push('b'))
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['a', 'b', 'post'])
+      }).then(done)
+    })
+  })
+
+  describe('time slicing', () => {
+    afterEach(() => {
+      Vue.config.flushBudget = 0
+    })
+
+    function block (ms) {
+      const start = Date.now()
+      while (Date.now() - start < ms) {}
+    }
+
+    it('should yield once the budget is spent', done => {
+      Vue.config.flushBudget = 5
+      const calls = []
+      const vm = new Vue({ data: { a: 1 } })
+      for (let i = 0; i < 3; i++) {
+        vm.$watch('a', () => {
+          calls.push(i)
+          block(10)
+        })
+      }
+      vm.a = 2
+      Vue.nextTick(() => {
+        expect(calls).toEqual([0])
+        setTimeout(() => {
+          expect(calls).toEqual([0, 1])
+          // watchers queued while yielded are merged into the running flush,
+          // the pending one is not duplicated
+          vm.a = 3
+          setTimeout(() => {
+            expect(calls).toEqual([0, 1, 2, 0, 1])
+            done()
+          }, 100)
+        })
+      })
+    })
+
+    it('should run everything in one go without a budget', done => {
+      const calls = []
+      const vm = new Vue({ data: { a: 1 } })
+      for (let i = 0; i < 3; i++) {
+        vm.$watch('a', () => {
+          calls.push(i)
+          block(2)
+        })
+      }
+      vm.a = 2
+      Vue.nextTick(() => {
+        expect(calls).toEqual([0, 1, 2])
+        done()
+      })
+    })
+  })
 })
@@ -93,6 +93,29 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  it('deep watch Map and Set', done => {
+    const map = new Map([['a', { b: 1 }]])
+    const set = new Set()
+    vm.$set(vm.b, 'map', map)
+    vm.$set(vm.b, 'set', set)
+    new Watcher(vm, 'b', spy, {
+      deep: true
+    })
+    map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      set.add({ c: 1 })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      set.forEach(item => { item.c = 2 })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+      map.delete('a')
+    }).then(() => {
+      expect(spy.calls.count()).toBe(4)
+    }).then(done)
+  })
+
   it('deep watch $data', done => {
     new Watcher(vm, '$data', spy, {
       deep: true
@@ -174,6 +197,100 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  describe('mutations', () => {
+    let vm, spy
+    beforeEach(() => {
+      vm = new Vue({
+        data: { list: [1, 2, 3], nested: [[1]] }
+      })
+      spy = jasmine.createSpy('watcher')
+    })
+
+    function records () {
+      return spy.calls.mostRecent().args[2].map(({ target, method, index, removed, added }) => {
+        return [target === vm.list ? 'list' : target, method, index, removed, added]
+      })
+    }
+
+    it('should record array mutations', done => {
+      new Watcher(vm, 'list', spy, { user: true, mutations: true })
+      vm.list.push(4, 5)
+      vm.list.pop()
+      vm.list.shift()
+      vm.list.unshift(0)
+      vm.list.splice(-2, 1, 'a', 'b')
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(vm.list).toEqual([0, 2, 'a', 'b', 4])
+        expect(records()).toEqual([
+          ['list', 'push', 3, [], [4, 5]],
+          ['list', 'pop', 4, [5], []],
+          ['list', 'shift', 0, [1], []],
+          ['list', 'unshift', 0, [], [0]],
+          ['list', 'splice', 2, [3], ['a', 'b']]
+        ])
+        vm.list.reverse()
+      }).then(() => {
+        expect(records()).toEqual([
+          ['list', 'reverse', 0, [0, 2, 'a', 'b', 4], [4, 'b', 'a', 2, 0]]
+        ])
+        Vue.set(vm.list, 1, 'c')
+        Vue.delete(vm.list, 0)
+      }).then(() => {
+        expect(records()).toEqual([
+          ['list', 'splice', 1, ['b'], ['c']],
+          ['list', 'splice', 0, [4], []]
+        ])
+      }).then(done)
+    })
+
+    it('should pass null when changes cannot be described', done => {
+      new Watcher(vm, 'list', spy, { user: true, mutations: true })
+      vm.list.push(4)
+      vm.list = [1]
+      waitForUpdate(() => {
+        expect(spy.calls.mostRecent().args[2]).toBe(null)
+        vm.list.push(2)
+      }).then(() => {
+        expect(records()).toEqual([['list', 'push', 1, [], [2]]])
+      }).then(done)
+    })
+
+    it('should record mutations of nested arrays', done => {
+      new Watcher(vm, 'nested', spy, { user: true, mutations: true })
+      vm.nested[0].push(2)
+      waitForUpdate(() => {
+        const [mutation] = spy.calls.mostRecent().args[2]
+        expect(mutation.target).toBe(vm.nested[0])
+        expect(mutation.index).toBe(1)
+      }).then(done)
+    })
+
+    it('should not pass records to other watchers', done => {
+      new Watcher(vm, 'list', spy, { user: true })
+      vm.list.push(4)
+      waitForUpdate(() => {
+        expect(spy.calls.mostRecent().args.length).toBe(2)
+      }).then(done)
+    })
+
+    it('watch option', done => {
+      const vm = new Vue({
+        data: { list: [1] },
+        watch: {
+          list: {
+            handler: spy,
+            mutations: true
+          }
+        }
+      })
+      vm.list.push(2)
+      waitForUpdate(() => {
+        expect(spy.calls.mostRecent().args[2][0].added).toEqual([2])
+      }).then(done)
+    })
+  })
+
   it('warn not support path', () => {
     new Watcher(vm, 'd.e + c', spy)
     expect('Failed watching path:').toHaveBeenWarned()
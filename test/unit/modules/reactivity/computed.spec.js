@@ -0,0 +1,78 @@
+import { reactive, ref, computed, isRef } from 'core/reactivity/index'
+
+describe('reactivity: computed', () => {
+  it('should return updated value', () => {
+    const state = reactive({ a: 1 })
+    const c = computed(() => state.a + 1)
+    expect(isRef(c)).toBe(true)
+    expect(c.value).toBe(2)
+    state.a = 2
+    expect(c.value).toBe(3)
+  })
+
+  it('should compute lazily and cache', () => {
+    const count = ref(1)
+    const getter = jasmine.createSpy('getter').and.callFake(() => count.value)
+    const c = computed(getter)
+    expect(getter).not.toHaveBeenCalled()
+    expect(c.value).toBe(1)
+    expect(c.value).toBe(1)
+    expect(getter.calls.count()).toBe(1)
+    count.value = 2
+    expect(getter.calls.count()).toBe(1)
+    expect(c.value).toBe(2)
+    expect(getter.calls.count()).toBe(2)
+  })
+
+  it('should trigger effects of chained computed', () => {
+    const count = ref(0)
+    const c1 = computed(() => count.value)
+    const c2 = computed(() => c1.value + 1)
+    expect(c2.value).toBe(1)
+    count.value++
+    expect(c1.value).toBe(1)
+    expect(c2.value).toBe(2)
+  })
+
+  it('should support setter', () => {
+    const n = ref(1)
+    const plusOne = computed({
+      get: () => n.value + 1,
+      set: val => {
+        n.value = val - 1
+      }
+    })
+    expect(plusOne.value).toBe(2)
+    plusOne.value = 1
+    expect(n.value).toBe(0)
+  })
+
+  it('should warn when writing to a readonly computed', () => {
+    const c = computed(() => 1)
+    c.value = 2
+    expect(c.value).toBe(1)
+    expect('Write operation failed: computed value is readonly').toHaveBeenWarned()
+  })
+  it('debug options', () => {
+    const state = reactive({ a: 1 })
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const c = computed(() => state.a, { onTrack, onTrigger })
+    expect(c.value).toBe(1)
+    expect(onTrack).toHaveBeenCalledWith({
+      effect: c.effect,
+      target: state,
+      type: 'get',
+      key: 'a'
+    })
+    state.a++
+    expect(onTrigger).toHaveBeenCalledWith({
+      effect: c.effect,
+      target: state,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import {
+  reactive,
+  computed,
+  watch,
+  watchEffect,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from 'core/reactivity/index'
+
+describe('reactivity: effectScope', () => {
+  it('should run', () => {
+    const fnSpy = jasmine.createSpy('fn')
+    effectScope().run(fnSpy)
+    expect(fnSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should return run value', () => {
+    expect(effectScope().run(() => 1)).toBe(1)
+  })
+
+  it('should collect the effects', () => {
+    const scope = effectScope()
+    scope.run(() => {
+      const counter = reactive({ num: 0 })
+      watchEffect(() => counter.num)
+      watch(() => counter.num, () => {})
+      computed(() => counter.num)
+    })
+    expect(scope.effects.length).toBe(3)
+  })
+
+  it('stop', done => {
+    let dummy, doubled
+    const counter = reactive({ num: 0 })
+    const scope = effectScope()
+    scope.run(() => {
+      watchEffect(() => (dummy = counter.num))
+      watchEffect(() => (doubled = counter.num * 2))
+    })
+    expect(dummy).toBe(0)
+    counter.num = 7
+    waitForUpdate(() => {
+      expect(dummy).toBe(7)
+      expect(doubled).toBe(14)
+      scope.stop()
+      counter.num = 6
+    }).then(() => {
+      expect(dummy).toBe(7)
+      expect(doubled).toBe(14)
+    }).then(done)
+  })
+
+  it('should collect nested scope', () => {
+    const parent = effectScope()
+    let child
+    parent.run(() => {
+      child = effectScope()
+      expect(getCurrentScope()).toBe(parent)
+      child.run(() => {
+        expect(getCurrentScope()).toBe(child)
+      })
+    })
+    expect(parent.scopes.length).toBe(1)
+    parent.stop()
+    expect(child.active).toBe(false)
+  })
+
+  it('nested scope can escape', () => {
+    const parent = effectScope()
+    let child
+    parent.run(() => {
+      child = effectScope(true)
+    })
+    expect(parent.scopes).toBeUndefined()
+    parent.stop()
+    expect(child.active).toBe(true)
+  })
+
+  it('onScopeDispose', () => {
+    const spy = jasmine.createSpy('dispose')
+    const scope = effectScope()
+    scope.run(() => {
+      onScopeDispose(spy)
+    })
+    expect(spy).not.toHaveBeenCalled()
+    scope.stop()
+    expect(spy).toHaveBeenCalledTimes(1)
+    // stopping again should be a no-op
+    scope.stop()
+    expect(spy).toHaveBeenCalledTimes(1)
+  })
+
+  it('warn when running an inactive scope', () => {
+    const scope = effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+
+  it('warn onScopeDispose without an active scope', () => {
+    onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+})
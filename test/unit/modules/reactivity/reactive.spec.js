@@ -0,0 +1,58 @@
+import { reactive, isReactive, ref, isRef, unref } from 'core/reactivity/index'
+import Dep from 'core/observer/dep'
+
+describe('reactivity: reactive & ref', () => {
+  it('reactive', () => {
+    const original = { foo: { bar: 1 } }
+    const observed = reactive(original)
+    expect(observed).toBe(original)
+    expect(isReactive(observed)).toBe(true)
+    expect(isReactive(observed.foo)).toBe(true)
+    expect(isReactive({})).toBe(false)
+  })
+
+  it('reactive on non-object values', () => {
+    expect(reactive(1)).toBe(1)
+    expect('value cannot be made reactive: 1').toHaveBeenWarned()
+    const frozen = Object.freeze({})
+    expect(reactive(frozen)).toBe(frozen)
+    expect('Target is not observable').toHaveBeenWarned()
+  })
+
+  it('ref', () => {
+    const r = ref(1)
+    expect(isRef(r)).toBe(true)
+    expect(r.value).toBe(1)
+    expect(Object.keys(r)).toEqual(['value'])
+    // refs should not be wrapped twice
+    expect(ref(r)).toBe(r)
+    // objects should be deeply reactive
+    const o = ref({ a: 1 })
+    expect(isReactive(o.value)).toBe(true)
+  })
+
+  it('ref should be reactive', () => {
+    const r = ref(1)
+    const watcher = {
+      addDep (dep) {
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    r.value // eslint-disable-line no-unused-expressions
+    Dep.target = null
+    r.value = 2
+    expect(watcher.update.calls.count()).toBe(1)
+    // same value should not trigger
+    r.value = 2
+    expect(watcher.update.calls.count()).toBe(1)
+  })
+
+  it('isRef & unref', () => {
+    expect(isRef(1)).toBe(false)
+    expect(isRef({ value: 1 })).toBe(false)
+    expect(unref(1)).toBe(1)
+    expect(unref(ref(1))).toBe(1)
+  })
+})
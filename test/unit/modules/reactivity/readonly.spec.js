@@ -0,0 +1,224 @@
+import Vue from 'vue'
+import {
+  reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReactive,
+  isShallow,
+  isReadonly
+} from 'core/reactivity/index'
+import { defineReactive } from 'core/observer/index'
+
+describe('reactivity: shallow & readonly', () => {
+  it('shallowReactive', () => {
+    const nested = { bar: 1 }
+    const list = [{ a: 1 }]
+    const observed = shallowReactive({ nested, list })
+    expect(isReactive(observed)).toBe(true)
+    expect(isShallow(observed)).toBe(true)
+    // nested values are not converted
+    expect(isReactive(observed.nested)).toBe(false)
+    expect(isReactive(observed.list)).toBe(false)
+    expect(observed.nested).toBe(nested)
+  })
+
+  it('shallowReactive root level should be reactive', done => {
+    const state = shallowReactive({ msg: 'foo', nested: { bar: 1 } })
+    const vm = new Vue({
+      render (h) {
+        return h('div', `${state.msg} ${state.nested.bar}`)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo 1')
+    state.nested.bar = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo 1')
+      state.msg = 'bar'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('bar 2')
+    }).then(done)
+  })
+
+  it('shallowReactive arrays should not observe inserted items', () => {
+    const arr = shallowReactive([{ a: 1 }])
+    expect(isReactive(arr)).toBe(true)
+    expect(isReactive(arr[0])).toBe(false)
+    arr.push({ b: 1 })
+    expect(isReactive(arr[1])).toBe(false)
+  })
+
+  it('shallowReactive on an already reactive object', () => {
+    const state = reactive({ a: 1 })
+    shallowReactive(state)
+    expect('Cannot make an already reactive object shallow').toHaveBeenWarned()
+    expect(isShallow(state)).toBe(false)
+  })
+
+  it('readonly should reject set with the key path', () => {
+    const state = readonly({ foo: { bar: { baz: 1 } } })
+    expect(isReactive(state)).toBe(true)
+    expect(isReadonly(state)).toBe(true)
+    expect(isReadonly(state.foo.bar)).toBe(true)
+    state.foo.bar.baz = 2
+    expect(state.foo.bar.baz).toBe(1)
+    expect(
+      'Set operation on key "foo.bar.baz" failed: target is readonly.'
+    ).toHaveBeenWarned()
+  })
+
+  it('readonly should reject Vue.set / Vue.delete', () => {
+    const state = readonly({ foo: { a: 1 } })
+    Vue.set(state.foo, 'b', 2)
+    expect(state.foo.b).toBeUndefined()
+    expect(
+      'Set operation on key "foo.b" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    Vue.delete(state.foo, 'a')
+    expect(state.foo.a).toBe(1)
+    expect(
+      'Delete operation on key "foo.a" failed: target is readonly.'
+    ).toHaveBeenWarned()
+  })
+
+  it('readonly should reject array mutators', () => {
+    const state = readonly({ list: [1, { items: [2] }] })
+    state.list.push(3)
+    expect(state.list.length).toBe(2)
+    expect(
+      'Array push() operation on "list" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    state.list[1].items.splice(0, 1)
+    expect(state.list[1].items).toEqual([2])
+    expect(
+      'Array splice() operation on "list.1.items" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    Vue.set(state.list, 0, 5)
+    expect(state.list[0]).toBe(1)
+    expect(
+      'Set operation on key "list.0" failed: target is readonly.'
+    ).toHaveBeenWarned()
+  })
+
+  it('readonly should reject collection mutations', () => {
+    const state = readonly({ map: new Map([['a', 1]]), set: new Set([1]) })
+    state.map.set('a', 2)
+    expect(state.map.get('a')).toBe(1)
+    expect(
+      'Set operation on key "map.a" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    state.set.add(2)
+    expect(state.set.size).toBe(1)
+    expect(
+      'Add operation on "set" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    state.set.clear()
+    expect(state.set.size).toBe(1)
+    expect(
+      'Clear operation on "set" failed: target is readonly.'
+    ).toHaveBeenWarned()
+  })
+
+  it('readonly root should be named in warnings', () => {
+    const list = readonly([1])
+    list.pop()
+    expect(
+      'Array pop() operation on "<root>" failed: target is readonly.'
+    ).toHaveBeenWarned()
+  })
+
+  it('readonly should return a view and keep the source writable', done => {
+    const source = reactive({ count: 0, nested: { list: [1] }, map: new Map([['a', { b: 1 }]]) })
+    const view = readonly(source)
+    expect(view).not.toBe(source)
+    expect(readonly(source)).toBe(view)
+    expect(view.nested).toBe(view.nested)
+    expect(isReadonly(source)).toBe(false)
+    expect(isReadonly(source.nested)).toBe(false)
+    expect(isReadonly(view.map.get('a'))).toBe(true)
+    const vm = new Vue({
+      render: h => h('div', `${view.count} ${view.nested.list.join()} ${view.map.size}`)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0 1 1')
+    // the owner keeps write access
+    source.count++
+    source.nested.list.push(2)
+    source.map.set('c', 3)
+    view.count = 5
+    expect(
+      'Set operation on key "count" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1 1,2 2')
+    }).then(done)
+  })
+
+  it('readonly array mutators should return their normal result', () => {
+    const view = readonly({ list: [1, 2] })
+    const list = view.list
+    expect(list.push(3)).toBe(2)
+    expect(list.unshift(0)).toBe(2)
+    expect(list.splice(0, 1)).toEqual([])
+    expect(list.reverse()).toBe(list)
+    expect(list.sort()).toBe(list)
+    expect(list.pop()).toBeUndefined()
+    expect(list.slice()).toEqual([1, 2])
+    expect('Array push() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+    expect('Array unshift() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+    expect('Array splice() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+    expect('Array reverse() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+    expect('Array sort() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+    expect('Array pop() operation on "list" failed: target is readonly.').toHaveBeenWarned()
+  })
+
+  it('readonly should support frozen data', () => {
+    const nested = { a: 1 }
+    const obj = readonly(Object.freeze({ nested, list: Object.freeze([nested]) }))
+    expect(isReadonly(obj)).toBe(true)
+    expect(obj.nested.a).toBe(1)
+    expect(obj.nested).toBe(nested)
+    expect(obj.list[0]).toBe(nested)
+    const fixed = {}
+    Object.defineProperty(fixed, 'nested', { value: nested, writable: false, configurable: false })
+    expect(readonly(fixed).nested).toBe(nested)
+    // other properties of the object are still readonly views
+    const view = readonly({ frozen: Object.freeze({ a: 1 }), plain: { a: 1 }})
+    expect(isReadonly(view.frozen)).toBe(true)
+    expect(isReadonly(view.plain)).toBe(true)
+  })
+
+  it('shallowReadonly', () => {
+    const state = shallowReadonly({ a: 1, nested: { b: 1 } })
+    expect(isReadonly(state)).toBe(true)
+    expect(isShallow(state)).toBe(true)
+    expect(isReadonly(state.nested)).toBe(false)
+    expect(isReactive(state.nested)).toBe(false)
+    state.nested.b = 2
+    expect(state.nested.b).toBe(2)
+    state.a = 2
+    expect(state.a).toBe(1)
+    expect(
+      'Set operation on key "a" failed: target is readonly.'
+    ).toHaveBeenWarned()
+  })
+
+  it('shallow objects should lazily invoke existing getters', () => {
+    let called = 0
+    const obj = {}
+    Object.defineProperty(obj, 'getterOnly', {
+      enumerable: true,
+      configurable: true,
+      get () {
+        called++
+        return { a: 1 }
+      }
+    })
+    const observed = shallowReactive(obj)
+    expect(called).toBe(0)
+    expect(isReactive(observed.getterOnly)).toBe(false)
+    // defineReactive with an explicit undefined value should still work
+    const target = { a: 1 }
+    defineReactive(target, 'a', undefined)
+    expect(target.a).toBeUndefined()
+  })
+})
@@ -0,0 +1,144 @@
+import Vue from 'vue'
+import { reactive, ref, computed, watch, watchEffect } from 'core/reactivity/index'
+
+describe('reactivity: watch', () => {
+  it('watchEffect', done => {
+    const state = reactive({ count: 0 })
+    let dummy
+    watchEffect(() => {
+      dummy = state.count
+    })
+    expect(dummy).toBe(0)
+    state.count++
+    waitForUpdate(() => {
+      expect(dummy).toBe(1)
+    }).then(done)
+  })
+
+  it('watching a ref', done => {
+    const count = ref(0)
+    const spy = jasmine.createSpy('watcher')
+    watch(count, spy)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('watching a computed ref', done => {
+    const count = ref(0)
+    const plus = computed(() => count.value + 1)
+    const spy = jasmine.createSpy('watcher')
+    watch(plus, spy)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('watching a getter', done => {
+    const state = reactive({ count: 0 })
+    const spy = jasmine.createSpy('watcher')
+    watch(() => state.count, spy)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('watching a reactive object should be deep', done => {
+    const state = reactive({ nested: { count: 0 } })
+    const spy = jasmine.createSpy('watcher')
+    watch(state, spy)
+    state.nested.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(state, state, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('watching multiple sources', done => {
+    const state = reactive({ count: 1 })
+    const count = ref(1)
+    const spy = jasmine.createSpy('watcher')
+    watch([() => state.count, count], spy)
+    state.count++
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith([2, 2], [1, 1], jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('immediate & sync', () => {
+    const count = ref(0)
+    const spy = jasmine.createSpy('watcher')
+    watch(count, spy, { immediate: true, sync: true })
+    expect(spy).toHaveBeenCalledWith(0, undefined, jasmine.any(Function))
+    count.value++
+    expect(spy).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+  })
+
+  it('stopping the watcher', done => {
+    const state = reactive({ count: 0 })
+    let dummy
+    const stop = watchEffect(() => {
+      dummy = state.count
+    })
+    stop()
+    state.count++
+    waitForUpdate(() => {
+      expect(dummy).toBe(0)
+    }).then(done)
+  })
+
+  it('cleanup registration', () => {
+    const count = ref(0)
+    const cleanup = jasmine.createSpy('cleanup')
+    const stop = watchEffect(onCleanup => {
+      count.value // eslint-disable-line no-unused-expressions
+      onCleanup(cleanup)
+    }, { sync: true })
+    expect(cleanup).not.toHaveBeenCalled()
+    count.value++
+    expect(cleanup.calls.count()).toBe(1)
+    stop()
+    expect(cleanup.calls.count()).toBe(2)
+  })
+
+  it('should handle errors', done => {
+    const count = ref(0)
+    const err = new Error('watch')
+    const errorHandler = jasmine.createSpy('errorHandler')
+    Vue.config.errorHandler = errorHandler
+    watch(count, () => { throw err })
+    count.value++
+    waitForUpdate(() => {
+      expect(errorHandler).toHaveBeenCalledWith(err, null, jasmine.any(String))
+      Vue.config.errorHandler = undefined
+    }).then(done)
+  })
+
+  it('warn invalid watch source', () => {
+    watch(1, () => {})
+    expect(`Invalid watch source`).toHaveBeenWarned()
+  })
+  it('debug options', () => {
+    const map = reactive(new Map())
+    const events = []
+    watchEffect(() => {
+      map.get('a')
+      map.size
+    }, {
+      onTrack: e => events.push(['track', e.type, e.key]),
+      onTrigger: e => events.push(['trigger', e.type, e.key])
+    })
+    map.set('a', 1)
+    map.delete('a')
+    expect(events).toEqual([
+      ['track', 'get', 'a'],
+      ['track', 'iterate', undefined],
+      ['trigger', 'add', 'a'],
+      ['trigger', 'delete', 'a']
+    ])
+  })
+})
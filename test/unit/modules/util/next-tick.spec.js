@@ -1,4 +1,4 @@
-import { nextTick } from 'core/util/next-tick'
+import { nextTick, setTimerFunc } from 'core/util/next-tick'
 
 describe('nextTick', () => {
   it('accepts a callback', done => {
@@ -31,4 +31,28 @@ describe('nextTick', () => {
       })
     })
   }
+  describe('setTimerFunc', () => {
+    afterEach(() => {
+      setTimerFunc()
+    })
+
+    it('should defer callbacks with a custom strategy', () => {
+      const flushes = []
+      setTimerFunc(flush => flushes.push(flush))
+      const spy = jasmine.createSpy()
+      nextTick(spy)
+      nextTick(spy)
+      // one timer per tick
+      expect(flushes.length).toBe(1)
+      expect(spy).not.toHaveBeenCalled()
+      flushes[0]()
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('should reschedule pending callbacks when restoring the default', done => {
+      setTimerFunc(() => {})
+      nextTick(done)
+      setTimerFunc()
+    })
+  })
 })
@@ -0,0 +1,118 @@
+import Vue from 'vue'
+
+describe('vdom patch: patch flags', () => {
+  it('should only update the dynamic parts of an element', done => {
+    const vm = new Vue({
+      data: { cls: 'a', msg: 'hello' },
+      template: `<div><p id="static" :class="cls">{{ msg }}</p><span>static</span></div>`
+    }).$mount()
+    const p = vm.$el.firstChild
+    // static parts are never checked again
+    p.id = 'changed'
+    vm.$el.lastChild.textContent = 'changed'
+    vm.cls = 'b'
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).toBe(p)
+      expect(p.className).toBe('b')
+      expect(p.textContent).toBe('bye')
+      expect(p.id).toBe('changed')
+      expect(vm.$el.lastChild.textContent).toBe('changed')
+    }).then(done)
+  })
+
+  it('should only update the dynamic attributes', done => {
+    const vm = new Vue({
+      data: { title: 'a' },
+      template: `<div><a href="/static" :title="title"></a></div>`
+    }).$mount()
+    const a = vm.$el.firstChild
+    a.setAttribute('href', '/changed')
+    vm.title = 'b'
+    waitForUpdate(() => {
+      expect(a.getAttribute('title')).toBe('b')
+      expect(a.getAttribute('href')).toBe('/changed')
+      vm.title = undefined
+    }).then(() => {
+      expect(a.hasAttribute('title')).toBe(false)
+    }).then(done)
+  })
+
+  it('should update dynamic nodes deep inside static elements', done => {
+    const vm = new Vue({
+      data: { msg: 'a', color: 'red' },
+      template: `
+        <div>
+          <section><header><b :style="{ color }">{{ msg }}</b></header></section>
+          <ul><li v-for="i in 2" :key="i"><i>{{ msg }}{{ i }}</i></li></ul>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.textContent.replace(/\s/g, '')).toBe('aa1a2')
+    vm.msg = 'b'
+    vm.color = 'blue'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.replace(/\s/g, '')).toBe('bb1b2')
+      expect(vm.$el.querySelector('b').style.color).toBe('blue')
+    }).then(done)
+  })
+
+  it('should patch elements created by different branches', done => {
+    const vm = new Vue({
+      data: { ok: true, msg: 'a' },
+      template: `
+        <div>
+          <p v-if="ok" class="a"><b>yes</b></p>
+          <p v-else :title="msg"><i>{{ msg }}</i></p>
+        </div>
+      `
+    }).$mount()
+    const p = vm.$el.firstChild
+    vm.ok = false
+    waitForUpdate(() => {
+      // the element is reused like before
+      expect(vm.$el.firstChild).toBe(p)
+      expect(vm.$el.innerHTML).toBe('<p class="" title="a"><i>a</i></p>')
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p class="" title="b"><i>b</i></p>')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.firstChild).toBe(p)
+      expect(vm.$el.innerHTML).toBe('<p class="a"><b>yes</b></p>')
+    }).then(done)
+  })
+
+  it('should update listeners and directives', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { show: true, n: 1 },
+      template: `<div><p><button @click="onClick(n)" v-show="show"></button></p></div>`,
+      methods: { onClick: spy }
+    }).$mount()
+    const button = vm.$el.querySelector('button')
+    vm.show = false
+    vm.n = 2
+    waitForUpdate(() => {
+      expect(button.style.display).toBe('none')
+      button.click()
+      expect(spy).toHaveBeenCalledWith(2)
+    }).then(done)
+  })
+
+  it('should recover from render errors', done => {
+    const vm = new Vue({
+      data: { a: { b: 1 }, msg: 'a' },
+      template: `<div><p :title="msg">{{ a.b }}</p><p :title="msg"></p></div>`
+    }).$mount()
+    vm.a = null
+    waitForUpdate(() => {
+      expect('Error in render').toHaveBeenWarned()
+      expect('Cannot read').toHaveBeenWarned()
+      vm.a = { b: 2 }
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p title="b">2</p><p title="b"></p>')
+    }).then(done)
+  })
+})
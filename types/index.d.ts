@@ -5,7 +5,15 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  WarningDetails,
+  UpdateCycleStep,
+  ComputedInspection,
+  ListenerOptions,
+  CancelableEvent,
+  App,
+  AppConfig,
+  AppPlugin
 } from "./vue";
 
 export {
@@ -17,9 +25,16 @@ export {
   PropType,
   PropOptions,
   ComputedOptions,
+  DataMode,
+  SetupContext,
+  EmitsOptions,
+  PropTypeDescriptor,
+  PropTypesAPI,
+  InjectionKey,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  ArrayMutation,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
@@ -29,6 +44,17 @@ export {
   PluginObject
 } from "./plugin";
 
+export {
+  Ref,
+  ComputedRef,
+  WatchSource,
+  WatchCallback,
+  WatchStopHandle,
+  EffectScope,
+  DebuggerEvent,
+  DebuggerOptions
+} from "./reactivity";
+
 export {
   VNodeChildren,
   VNodeChildrenArrayContents,
@@ -1,5 +1,6 @@
 import { Vue, CreateElement, CombinedVueInstance } from "./vue";
 import { VNode, VNodeData, VNodeDirective, NormalizedScopedSlot } from "./vnode";
+import { DebuggerEvent, DebuggerOptions } from "./reactivity";
 
 type Constructor = {
   new (...args: any[]): any;
@@ -60,6 +61,17 @@ export type ThisTypedComponentOptionsWithRecordProps<V extends Vue, Data, Method
   ComponentOptions<V, DataDef<Data, Props, V>, Methods, Computed, RecordPropsDefinition<Props>, Props> &
   ThisType<CombinedVueInstance<V, Data, Methods, Computed, Readonly<Props>>>;
 
+export type DataMode = 'shallow' | 'readonly' | 'shallowReadonly';
+
+export type EmitsOptions = string[] | Record<string, ((...args: any[]) => boolean) | null>;
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): Vue;
+}
+
 type DefaultData<V> =  object | ((this: V) => object);
 type DefaultProps = Record<string, any>;
 type DefaultMethods<V> =  { [key: string]: (this: V, ...args: any[]) => any };
@@ -71,12 +83,15 @@ export interface ComponentOptions<
   Computed=DefaultComputed,
   PropsDef=PropsDefinition<DefaultProps>,
   Props=DefaultProps> {
+  setup?(this: void, props: Props, ctx: SetupContext): Record<string, any> | (() => VNode) | Promise<Record<string, any> | (() => VNode)> | void;
   data?: Data;
+  dataMode?: DataMode;
   props?: PropsDef;
   propsData?: object;
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
+  emits?: EmitsOptions;
 
   el?: Element | string;
   template?: string;
@@ -97,6 +112,8 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(e: DebuggerEvent): void;
+  renderTriggered?(e: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -104,6 +121,7 @@ export interface ComponentOptions<
   filters?: { [key: string]: Function };
 
   provide?: object | (() => object);
+  reactiveProvide?: boolean;
   inject?: InjectOptions;
 
   model?: {
@@ -144,7 +162,21 @@ export interface RenderContext<Props=DefaultProps> {
   injections: any
 }
 
-export type Prop<T> = { (): T } | { new(...args: never[]): T & object } | { new(...args: string[]): Function }
+export type Prop<T> = { (): T } | { new(...args: never[]): T & object } | { new(...args: string[]): Function } | PropTypeDescriptor<T>
+
+export interface PropTypeDescriptor<T> {
+  readonly name: string;
+  // only used for type inference
+  readonly __type?: T;
+}
+
+export interface PropTypesAPI {
+  oneOf<T extends string | number | boolean>(values: T[]): PropTypeDescriptor<T>;
+  arrayOf<T>(type: PropType<T>): PropTypeDescriptor<T[]>;
+  shape<T>(fields: { [K in keyof T]: PropType<T[K]> }): PropTypeDescriptor<T>;
+  instanceOf<T>(Ctor: new (...args: any[]) => T): PropTypeDescriptor<T>;
+  nullable<T>(type: PropType<T>): PropTypeDescriptor<T | null>;
+}
 
 export type PropType<T> = Prop<T> | Prop<T>[];
 
@@ -163,17 +195,28 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
 }
 
-export type WatchHandler<T> = (val: T, oldVal: T) => void;
+export type WatchHandler<T> = (val: T, oldVal: T, mutations?: ArrayMutation[] | null) => void;
 
-export interface WatchOptions {
+export interface ArrayMutation {
+  target: any[];
+  method: 'push' | 'pop' | 'shift' | 'unshift' | 'splice' | 'sort' | 'reverse';
+  index: number;
+  removed: any[];
+  added: any[];
+}
+
+export interface WatchOptions extends DebuggerOptions {
   deep?: boolean;
   immediate?: boolean;
+  mutations?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  priority?: number;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -201,6 +244,9 @@ export interface DirectiveOptions {
 
 export type InjectKey = string | symbol;
 
+// a Symbol carrying the type of the value provided under it
+export interface InjectionKey<T> extends Symbol {}
+
 export type InjectOptions = {
   [key: string]: InjectKey | { from?: InjectKey, default?: any }
 } | string[];
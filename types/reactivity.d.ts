@@ -0,0 +1,74 @@
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface ComputedRef<T = any> extends Ref<T> {
+  readonly value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get: () => T;
+  set: (v: T) => void;
+}
+
+export type WatchSource<T = any> = Ref<T> | ComputedRef<T> | (() => T);
+
+export type WatchCallback<V = any, OV = any> = (
+  value: V,
+  oldValue: OV,
+  onCleanup: (cleanupFn: () => void) => void
+) => any;
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
+}
+
+export interface ReactivityWatchOptions extends DebuggerOptions {
+  immediate?: boolean;
+  deep?: boolean;
+  sync?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  priority?: number;
+}
+
+export type WatchStopHandle = () => void;
+
+export interface EffectScope {
+  active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+export interface ReactivityAPI {
+  reactive<T extends object>(target: T): T;
+  shallowReactive<T extends object>(target: T): T;
+  readonly<T extends object>(target: T): Readonly<T>;
+  shallowReadonly<T extends object>(target: T): Readonly<T>;
+  isReactive(value: unknown): boolean;
+  isShallow(value: unknown): boolean;
+  isReadonly(value: unknown): boolean;
+  toRaw<T>(observed: T): T;
+  ref<T>(value: T): Ref<T>;
+  ref<T = any>(): Ref<T | undefined>;
+  isRef<T>(r: Ref<T> | unknown): r is Ref<T>;
+  unref<T>(ref: T | Ref<T>): T;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): ComputedRef<T>;
+  computed<T>(options: WritableComputedOptions<T>, debugOptions?: DebuggerOptions): Ref<T>;
+  watch<T>(source: WatchSource<T>, cb: WatchCallback<T, T | undefined>, options?: ReactivityWatchOptions): WatchStopHandle;
+  watch<T extends object>(source: T, cb: WatchCallback<T, T | undefined>, options?: ReactivityWatchOptions): WatchStopHandle;
+  watch(source: Array<WatchSource | object>, cb: WatchCallback<any[], any[] | undefined>, options?: ReactivityWatchOptions): WatchStopHandle;
+  watchEffect(effect: (onCleanup: (cleanupFn: () => void) => void) => void, options?: ReactivityWatchOptions): WatchStopHandle;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
+}
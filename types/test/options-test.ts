@@ -1,5 +1,5 @@
 import Vue, { PropType, VNode } from "../index";
-import { ComponentOptions, Component } from "../index";
+import { ComponentOptions, Component, InjectionKey } from "../index";
 import { CreateElement } from "../vue";
 
 interface MyComponent extends Vue {
@@ -14,6 +14,100 @@ const option: ComponentOptions<MyComponent> = {
   }
 }
 
+Vue.component('render-debug', {
+  renderTracked(e) {
+    const type: string = e.type
+  },
+  renderTriggered({ target, key, newValue }) {},
+  computed: {
+    debugged: {
+      get() { return 1 },
+      onTrigger(e) {}
+    }
+  }
+});
+
+Vue.component('readonly-data', {
+  dataMode: 'readonly',
+  data() {
+    return { payload: { items: [1, 2, 3] } }
+  }
+});
+
+Vue.component('setup-component', {
+  props: { initial: Number },
+  setup(props, { attrs, listeners, slots, emit }) {
+    const count = Vue.ref(props.initial as number);
+    Vue.onMounted(() => emit('mounted', count.value));
+    Vue.onBeforeUnmount(() => {});
+    Vue.onErrorCaptured((err, vm, info) => false);
+    const vm = Vue.getCurrentInstance();
+    return { count };
+  }
+});
+
+Vue.component('emits-component', {
+  emits: {
+    submit: (payload: { email: string }) => !!payload.email,
+    close: null
+  }
+});
+
+Vue.component('emits-array', {
+  emits: ['change', 'update:value']
+});
+
+const { oneOf, arrayOf, shape, instanceOf, nullable } = Vue.propTypes;
+Vue.component('prop-types', {
+  props: {
+    size: oneOf(['sm', 'md', 'lg']),
+    tags: { type: arrayOf(String), default: () => [] },
+    user: {
+      type: shape({
+        name: String,
+        address: shape({ zip: String, lines: arrayOf(String) })
+      }),
+      required: true
+    },
+    date: instanceOf(Date),
+    label: { type: nullable(String), required: true },
+    mixed: [Number, nullable(arrayOf(Number))]
+  },
+  created() {
+    const size: 'sm' | 'md' | 'lg' = this.size;
+    const tags: string[] = this.tags;
+    const zip: string = this.user.address.zip;
+    const date: Date = this.date;
+    const label: string | null = this.label;
+  }
+});
+
+const CountKey: InjectionKey<number> = Symbol('count');
+Vue.component('provider', {
+  reactiveProvide: true,
+  provide() {
+    return { [CountKey as symbol]: 1 };
+  },
+  setup() {
+    Vue.provide(CountKey, 1);
+    const count: number | undefined = Vue.inject(CountKey);
+    const withDefault: number = Vue.inject(CountKey, 0);
+    const fromFactory: number = Vue.inject(CountKey, () => 0, true);
+  }
+});
+
+Vue.component('setup-render', {
+  setup() {
+    return () => Vue.getCurrentInstance()!.$createElement('div');
+  }
+});
+
+Vue.component('setup-async', {
+  setup() {
+    return Promise.resolve({ msg: 'hello' });
+  }
+});
+
 // contravariant generic should use never
 const anotherOption: ComponentOptions<never> = option
 const componentType: Component = option
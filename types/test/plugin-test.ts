@@ -1,5 +1,5 @@
 import Vue from "../index";
-import { PluginFunction, PluginObject } from "../index";
+import { PluginFunction, PluginObject, InjectionKey } from "../index";
 
 class Option {
   prefix: string = "";
@@ -18,3 +18,32 @@ const installer: PluginFunction<Option> = function(Vue, option) { }
 Vue.use(plugin, new Option);
 Vue.use(installer, new Option);
 Vue.use(installer, new Option, new Option, new Option);
+
+const app = Vue.createApp({ data: { msg: "" } });
+app.config.errorHandler = (err, vm, info) => {};
+app.config.globalProperties.$http = {};
+app
+  .use({
+    install(app, option: Option) {
+      app.component("foo", { template: "<div/>" });
+    }
+  }, new Option)
+  .use((app) => {
+    app.directive("focus", { inserted(el) {} });
+  })
+  // Vue 2 style plugins
+  .use((app) => {
+    (app.prototype as any).$bus = new Vue();
+    app.set(app.observable({}), "ready", true);
+    app.nextTick(() => {});
+    const Ctor = app.extend({ template: "<div/>" });
+    new Ctor().$mount();
+    const store: Vue = new app({ data: { count: 0 } });
+  })
+  .mixin({ created() {} })
+  .filter("upper", (val: string) => val.toUpperCase());
+const vm: Vue = app.mount("#app");
+app.unmount();
+
+const ThemeKey: InjectionKey<{ color: string }> = Symbol("theme");
+Vue.createApp({}).provide(ThemeKey, { color: "red" }).provide("locale", "en");
@@ -44,10 +44,28 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("list", (val: number[], oldVal: number[], mutations) => {
+      if (mutations) {
+        mutations.forEach(({ method, index, removed, added }) => {});
+      }
+    }, { mutations: true });
+    const info = this.$inspectComputed("a");
+    if (info && info.dirty) {
+      info.deps.forEach(({ target, key }) => {});
+      info.evaluations + info.lastEvaluationDuration;
+    }
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
     this.$emit("", 1, 2, 3);
+    this.$on("update:*", () => {}, { priority: 10 });
+    this.$once(["a", "b"], () => {}, { priority: -1 });
+    this.$onScoped("form.submit", () => {}, new Vue());
+    const prevented: boolean = this.$emitCancelable("before-close", {
+      defaultPrevented: false,
+      preventDefault() {}
+    });
+    this.$emit("a").$emit("b");
     this.$nextTick(function() {
       this.$nextTick;
     });
@@ -66,15 +84,21 @@ class Test extends Vue {
         vm.testMethods();
       }
     };
-    config.warnHandler = (msg, vm) => {
+    config.warnHandler = (msg, vm, trace, details) => {
       if (vm instanceof Test) {
         vm.testProperties();
         vm.testMethods();
       }
+      if (details && details.cycle) {
+        details.cycle.forEach(({ expression, component, key }) => {});
+      }
     };
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.proxyReactivity = true
+    config.flushBudget = 5
+    config.maxComputedEvaluations = 10
   }
 
   static testMethods() {
@@ -211,9 +235,50 @@ class Decorated extends Vue {
   a = 123;
 }
 
+Vue.setTimerFunc(flush => requestAnimationFrame(flush));
+Vue.setTimerFunc(null);
+Vue.flushAll();
+
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+// Reactivity API
+const state = Vue.reactive({ count: 0 })
+const payload = Vue.shallowReactive({ list: [{ id: 1 }] })
+const frozen = Vue.readonly({ nested: { a: 1 } })
+const a: number = frozen.nested.a
+const shallowFrozen = Vue.shallowReadonly({ a: 1 })
+const isReadonly: boolean = Vue.isReadonly(frozen) && Vue.isShallow(payload)
+const count = Vue.ref(0)
+count.value++
+const plusOne = Vue.computed(() => count.value + 1, {
+  onTrack: e => e.key,
+  onTrigger: e => e.newValue
+})
+const n: number = plusOne.value
+const writable = Vue.computed({
+  get: () => count.value,
+  set: (v: number) => { count.value = v }
+})
+writable.value = 1
+const stopWatch = Vue.watch(count, (value, oldValue, onCleanup) => {
+  const v: number = value
+  onCleanup(() => {})
+}, { immediate: true })
+Vue.watch([count, () => state.count], ([a, b]) => {})
+Vue.watch(state, s => s.count)
+stopWatch()
+const scope = Vue.effectScope()
+scope.run(() => {
+  Vue.watchEffect(onCleanup => {
+    state.count
+    onCleanup(() => {})
+  })
+  Vue.onScopeDispose(() => {})
+})
+scope.stop()
+const isRef: boolean = Vue.isRef(count) && Vue.unref(count) === 1
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
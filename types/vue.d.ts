@@ -11,9 +11,13 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  ArrayMutation,
+  PropTypesAPI,
+  InjectionKey,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
+import { ReactivityAPI, DebuggerEvent } from "./reactivity";
 
 export interface CreateElement {
   (tag?: string | Component<any, any, any, any> | AsyncComponent<any, any, any, any> | (() => Component), children?: VNodeChildren): VNode;
@@ -44,18 +48,23 @@ export interface Vue {
   $delete: typeof Vue.delete;
   $watch(
     expOrFn: string,
-    callback: (this: this, n: any, o: any) => void,
+    callback: (this: this, n: any, o: any, mutations?: ArrayMutation[] | null) => void,
     options?: WatchOptions
   ): (() => void);
   $watch<T>(
     expOrFn: (this: this) => T,
-    callback: (this: this, n: T, o: T) => void,
+    callback: (this: this, n: T, o: T, mutations?: ArrayMutation[] | null) => void,
     options?: WatchOptions
   ): (() => void);
-  $on(event: string | string[], callback: Function): this;
-  $once(event: string | string[], callback: Function): this;
+  /** Always returns undefined in production builds. */
+  $inspectComputed(name: string): ComputedInspection | undefined;
+  $on(event: string | string[], callback: Function, options?: ListenerOptions): this;
+  $once(event: string | string[], callback: Function, options?: ListenerOptions): this;
+  $onScoped(event: string | string[], callback: Function, scope: Vue, options?: ListenerOptions): this;
   $off(event?: string | string[], callback?: Function): this;
   $emit(event: string, ...args: any[]): this;
+  /** Returns whether a listener called `e.preventDefault()` during this emit. */
+  $emitCancelable(event: string, e: CancelableEvent, ...args: any[]): boolean;
   $nextTick(callback: (this: this) => void): void;
   $nextTick(): Promise<void>;
   $createElement: CreateElement;
@@ -64,6 +73,72 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface AppConfig extends VueConfiguration {
+  globalProperties: Record<string, any>;
+}
+
+export type AppPlugin =
+  | ((app: App, ...options: any[]) => void)
+  | { install(app: App, ...options: any[]): void };
+
+export interface App {
+  readonly version: string;
+  config: AppConfig;
+  use(plugin: AppPlugin, ...options: any[]): this;
+  mixin(mixin: ComponentOptions<Vue>): this;
+  provide<T>(key: InjectionKey<T> | string, value: T): this;
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: Component<any, any, any, any> | AsyncComponent<any, any, any, any>): this;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): this;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): this;
+  mount(elementOrSelector?: Element | string, hydrating?: boolean): Vue;
+  unmount(): void;
+
+  // members of the global API used by Vue 2 plugins, which get the app as
+  // their constructor
+  new (options?: ComponentOptions<Vue>): Vue;
+  readonly options: ComponentOptions<Vue>;
+  readonly prototype: Vue;
+  extend: VueConstructor["extend"];
+  set: VueConstructor["set"];
+  delete: VueConstructor["delete"];
+  nextTick: VueConstructor["nextTick"];
+  observable: VueConstructor["observable"];
+}
+
+export interface ListenerOptions {
+  priority?: number;
+}
+
+export interface CancelableEvent {
+  readonly defaultPrevented: boolean;
+  preventDefault(): void;
+}
+
+export interface ComputedInspection {
+  name: string;
+  value: any;
+  dirty: boolean;
+  evaluations: number;
+  lastEvaluatedAt: number | null;
+  lastEvaluationDuration: number;
+  deps: { target: object | undefined; key: any }[];
+}
+
+export interface UpdateCycleStep {
+  watcher: object;
+  expression: string;
+  component: string | null;
+  key?: any;
+  type?: string;
+}
+
+export interface WarningDetails {
+  cycle?: UpdateCycleStep[];
+}
+
 export interface VueConfiguration {
   silent: boolean;
   optionMergeStrategies: any;
@@ -71,13 +146,16 @@ export interface VueConfiguration {
   productionTip: boolean;
   performance: boolean;
   errorHandler(err: Error, vm: Vue, info: string): void;
-  warnHandler(msg: string, vm: Vue, trace: string): void;
+  warnHandler(msg: string, vm: Vue, trace: string, details?: WarningDetails): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
   async: boolean;
+  proxyReactivity: boolean;
+  flushBudget: number;
+  maxComputedEvaluations: number;
 }
 
-export interface VueConstructor<V extends Vue = Vue> {
+export interface VueConstructor<V extends Vue = Vue> extends ReactivityAPI {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contain Props, not Record<keyof Props, any>. But TS requires to have Base constructors with the same return type.
   new <Data = object, Methods = object, Computed = object, Props = object>(options?: ThisTypedComponentOptionsWithRecordProps<V, Data, Methods, Computed, Props>): CombinedVueInstance<V, Data, Methods, Computed, Record<keyof Props, any>>;
@@ -90,7 +168,9 @@ export interface VueConstructor<V extends Vue = Vue> {
   extend(options?: ComponentOptions<V>): ExtendedVue<V, {}, {}, {}, {}>;
 
   nextTick<T>(callback: (this: T) => void, context?: T): void;
-  nextTick(): Promise<void>
+  nextTick(): Promise<void>;
+  setTimerFunc(fn?: ((flush: () => void) => void) | null): void;
+  flushAll(): void;
   set<T>(object: object, key: string | number, value: T): T;
   set<T>(array: T[], key: number, value: T): T;
   delete(object: object, key: string | number): void;
@@ -113,6 +193,26 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   use<T>(plugin: PluginObject<T> | PluginFunction<T>, options?: T): VueConstructor<V>;
   use(plugin: PluginObject<any> | PluginFunction<any>, ...options: any[]): VueConstructor<V>;
+  createApp(rootOptions?: ComponentOptions<V>): App;
+  propTypes: PropTypesAPI;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(hook: () => void): void;
+  onMounted(hook: () => void): void;
+  onBeforeUpdate(hook: () => void): void;
+  onUpdated(hook: () => void): void;
+  onBeforeUnmount(hook: () => void): void;
+  onUnmounted(hook: () => void): void;
+  onActivated(hook: () => void): void;
+  onDeactivated(hook: () => void): void;
+  onErrorCaptured(hook: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(hook: () => Promise<any>): void;
+  onRenderTracked(hook: (e: DebuggerEvent) => void): void;
+  onRenderTriggered(hook: (e: DebuggerEvent) => void): void;
+  provide<T>(key: InjectionKey<T> | string, value: T): void;
+  inject<T>(key: InjectionKey<T> | string): T | undefined;
+  inject<T>(key: InjectionKey<T> | string, defaultValue: T, treatDefaultAsFactory?: false): T;
+  inject<T>(key: InjectionKey<T> | string, defaultValue: T | (() => T), treatDefaultAsFactory: true): T;
   mixin(mixin: VueConstructor | ComponentOptions<Vue>): VueConstructor<V>;
   compile(template: string): {
     render(createElement: typeof Vue.prototype.$createElement): VNode;